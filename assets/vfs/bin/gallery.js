@@ -101,6 +101,14 @@ function resolveTargetFromArgs(cwdPath, args) {
   };
 }
 
+function isSymlink(path) {
+  try {
+    return vfs.lstat(path).type === 'symlink';
+  } catch (_) {
+    return false;
+  }
+}
+
 function collectPngFilesRecursive(folderPath) {
   const out = [];
   const stack = [folderPath];
@@ -118,7 +126,10 @@ function collectPngFilesRecursive(folderPath) {
     const files = Array.isArray(listing.files) ? listing.files : [];
 
     for (const f of folders) {
-      stack.push(joinPath(current, f));
+      const childPath = joinPath(current, f);
+      // Skip symlinked folders so link cycles cannot loop forever.
+      if (isSymlink(childPath)) continue;
+      stack.push(childPath);
     }
 
     for (const name of files) {
@@ -131,7 +142,7 @@ function collectPngFilesRecursive(folderPath) {
   return out.sort((a, b) => a.localeCompare(b));
 }
 
-function render(shell, state) {
+async function render(shell, state) {
   const currentPath = state.paths[state.index];
   const total = state.paths.length;
 
@@ -141,24 +152,27 @@ function render(shell, state) {
   shell.print(`(${state.index + 1}/${total})`);
   shell.print('');
 
-  let dataUrl = state.cache.get(currentPath);
-  if (typeof dataUrl !== 'string') {
+  let imageUrl = state.cache.get(currentPath);
+  if (typeof imageUrl !== 'string') {
     try {
-      dataUrl = vfs.readFile(currentPath);
-      state.cache.set(currentPath, dataUrl);
+      // readFileBytesAsync fetches pictures served lazily from a mount (/usr/share).
+      const bytes = await vfs.readFileBytesAsync(currentPath);
+      const mime = vfs.stat(currentPath).mime || 'image/png';
+      imageUrl = URL.createObjectURL(new Blob([bytes], { type: mime }));
+      state.cache.set(currentPath, imageUrl);
     } catch (e) {
-      dataUrl = null;
+      imageUrl = null;
     }
   }
 
-  if (!dataUrl) {
+  if (!imageUrl) {
     shell.print(`gallery: failed to load: ${currentPath}`);
     return;
   }
 
   shell.printHTML(
     `<div style="display:flex; align-items:center; justify-content:center; width:100%; height:75vh;">` +
-    `<img alt="${escapeHtml(currentPath)}" src="${escapeHtml(dataUrl)}" ` +
+    `<img alt="${escapeHtml(currentPath)}" src="${escapeHtml(imageUrl)}" ` +
     `style="max-width:100%; max-height:100%; object-fit:contain; border: 1px solid rgba(255,255,255,0.2);" />` +
     `</div>`
   );
@@ -192,7 +206,7 @@ async function main(shell, command, args) {
     paths = collectPngFilesRecursive(targetPath);
   } catch (_) {
     try {
-      vfs.readFile(targetPath);
+      if (vfs.stat(targetPath).type !== 'file') throw new Error('not a file');
       paths = [targetPath];
     } catch (e) {
       shell.print(`gallery: not found: ${targetPath}`);
@@ -236,7 +250,7 @@ async function main(shell, command, args) {
     let running = true;
 
     while (running) {
-      render(shell, state);
+      await render(shell, state);
       showStatus();
 
       const keyEvent = (typeof delayMs === 'number')
@@ -281,6 +295,9 @@ async function main(shell, command, args) {
     if (typeof exitRaw === 'function') {
       exitRaw();
     }
+    for (const url of state.cache.values()) {
+      URL.revokeObjectURL(url);
+    }
     shell.clearStatusLine();
     shell.exitFullscreenMode();
     shell.exitProgramMode();
@@ -359,7 +359,7 @@ async function main(shell, command, args) {
 
   let content;
   try {
-    content = vfs.readFile(path);
+    content = await vfs.readFileAsync(path);
   } catch (err) {
     shell.print(`viewmd: ${String((err && err.message) || err)}`);
     shell.print('');
@@ -3,5 +3,6 @@
 export const STORAGE_KEYS = {
   VFS: 'jsshell.vfs',
   VFS_BACKUP_PREFIX: 'jsshell.vfs.backup',
+  VFS_CACHE_PREFIX: 'jsshell.vfs.cache',
   LOCALSTORAGE_BACKUP_PREFIX: 'jsshell.localStorage.backup'
 };
@@ -0,0 +1,91 @@
+/*! binary.js | Helpers for binary (base64-encoded) content in the JsShell VFS */
+
+const DATA_URL_PATTERN = /^data:([^;,]*)(?:;[^;,]*)*;base64,/i;
+
+/**
+ * Return the value as a Uint8Array when it holds binary data (a Uint8Array,
+ * any other typed array view or an ArrayBuffer), otherwise null.
+ * @param {*} value
+ * @returns {Uint8Array|null}
+ */
+export function toBytes(value) {
+  if (value instanceof Uint8Array) return value;
+  if (typeof ArrayBuffer === 'undefined') return null;
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  return null;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  // Chunked: String.fromCharCode(...bytes) overflows the stack on large files.
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(String(base64 || ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Number of bytes encoded by a base64 string (without decoding it).
+ * @param {string} base64
+ * @returns {number}
+ */
+export function base64ByteLength(base64) {
+  const text = String(base64 || '');
+  const padding = text.endsWith('==') ? 2 : (text.endsWith('=') ? 1 : 0);
+  return Math.max(0, Math.floor(text.length * 3 / 4) - padding);
+}
+
+/**
+ * Split a base64 data URL (the format binary files used to be stored in).
+ * @param {string} text
+ * @returns {{ mime: string|null, base64: string }|null} null when not a base64 data URL
+ */
+export function parseDataUrl(text) {
+  const match = DATA_URL_PATTERN.exec(String(text || ''));
+  if (!match) return null;
+  return { mime: match[1] || null, base64: text.slice(match[0].length) };
+}
+
+/**
+ * Whether a MIME type describes text content.
+ * @param {string|null} mime
+ * @returns {boolean}
+ */
+export function isTextMime(mime) {
+  const m = String(mime || '').toLowerCase();
+  return m.startsWith('text/') || m === 'application/json' || m === 'application/javascript' || m.endsWith('+xml') || m.endsWith('+json');
+}
+
+/**
+ * Decode bytes as UTF-8 text, or return null when they do not look like text
+ * (invalid UTF-8 or NUL bytes).
+ * @param {Uint8Array} bytes
+ * @returns {string|null}
+ */
+export function decodeTextOrNull(bytes) {
+  if (bytes.includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (_) {
+    return null;
+  }
+}
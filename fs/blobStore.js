@@ -0,0 +1,77 @@
+/*! blobStore.js | Content-addressed storage for old file revisions and snapshots in the JsShell VFS */
+
+/**
+ * Content kept by revisions and snapshots, stored once per distinct content
+ * in `VfsState.blobs` and referenced by key.
+ * @typedef {Object} VfsBlob
+ * @property {string} content - text, or base64 when `encoding` is 'base64'
+ * @property {'utf8'|'base64'} encoding
+ */
+
+// 53-bit string hash (cyrb53); collisions are handled by putBlob().
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Store content in `blobs` (if it is not there yet) and return its key.
+ * @param {Object<string, VfsBlob>} blobs
+ * @param {string} content
+ * @param {'utf8'|'base64'} encoding
+ * @returns {string}
+ */
+export function putBlob(blobs, content, encoding) {
+  const base = `${hashString(`${encoding}:${content}`)}-${content.length}`;
+  let key = base;
+  for (let n = 2; blobs[key]; n += 1) {
+    if (blobs[key].content === content && blobs[key].encoding === encoding) return key;
+    key = `${base}.${n}`;
+  }
+  blobs[key] = { content, encoding };
+  return key;
+}
+
+function markFolder(folder, used) {
+  for (const file of folder.files || []) markFile(file, used);
+  for (const child of folder.folders || []) markFolder(child, used);
+}
+
+function markFile(data, used) {
+  if (!data) return;
+  if (data.blob) used.add(data.blob);
+  for (const revision of data.revisions || []) used.add(revision.blob);
+}
+
+/**
+ * Drop blobs no revision or snapshot refers to anymore (e.g. after files
+ * were deleted or old revisions fell off the end of their history).
+ * @param {import('./virtualFileSystem.js').VfsState} state
+ * @returns {number} number of blobs removed
+ */
+export function collectBlobs(state) {
+  if (!state.blobs) return 0;
+  const used = new Set();
+  markFolder(state.root, used);
+  for (const data of Object.values(state.inodes || {})) markFile(data, used);
+  for (const snapshot of Object.values(state.snapshots || {})) {
+    markFolder(snapshot.root, used);
+    for (const data of Object.values(snapshot.inodes || {})) markFile(data, used);
+  }
+  let removed = 0;
+  for (const key of Object.keys(state.blobs)) {
+    if (!used.has(key)) {
+      delete state.blobs[key];
+      removed += 1;
+    }
+  }
+  return removed;
+}
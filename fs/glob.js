@@ -0,0 +1,204 @@
+/*! glob.js | Glob patterns (`*`, `?`, `[...]`, `**`) matched against the JsShell VFS */
+
+import { vfs } from './virtualFileSystem.js';
+
+/**
+ * Whether a pattern has any unescaped `*`, `?` or complete `[...]`.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function hasGlob(pattern) {
+  const src = String(pattern || '');
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (ch === '\\') {
+      i += 1;
+    } else if (ch === '*' || ch === '?') {
+      return true;
+    } else if (ch === '[' && classEnd(src, i) !== -1) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Index of the `]` closing the class that starts at src[i], or -1.
+function classEnd(src, i) {
+  let j = i + 1;
+  if (src[j] === '!' || src[j] === '^') j += 1;
+  if (src[j] === ']') j += 1; // a leading `]` is part of the class
+  while (j < src.length && src[j] !== ']') j += 1;
+  return j < src.length ? j : -1;
+}
+
+/**
+ * Regular expression for one name (no `/`): `*` is any run of characters,
+ * `?` one character, `[abc]`, `[a-z]` and `[!abc]` a character class, and
+ * a backslash makes the next character literal.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const src = String(glob || '');
+  let out = '';
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (ch === '\\' && i + 1 < src.length) {
+      i += 1;
+      out += src[i].replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+    } else if (ch === '*') {
+      out += '.*';
+    } else if (ch === '?') {
+      out += '.';
+    } else if (ch === '[' && classEnd(src, i) !== -1) {
+      const end = classEnd(src, i);
+      let body = src.slice(i + 1, end);
+      const negate = body[0] === '!' || body[0] === '^';
+      if (negate) body = body.slice(1);
+      out += `[${negate ? '^' : ''}${body.replace(/[\\\]^]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      out += ch.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${out}$`, 's');
+}
+
+function unescapeGlob(segment) {
+  return segment.replace(/\\(.)/g, '$1');
+}
+
+function childPath(dir, name) {
+  return dir === '/' ? `/${name}` : `${dir}/${name}`;
+}
+
+function listOrNull(path) {
+  try {
+    return vfs.list(path);
+  } catch (_) {
+    return null;
+  }
+}
+
+function isSymlink(path) {
+  try {
+    return vfs.lstat(path).type === 'symlink';
+  } catch (_) {
+    return false;
+  }
+}
+
+function exists(path) {
+  try {
+    vfs.lstat(path);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// `match` with every folder below it, for `**` (hidden folders and symlinked
+// folders are not entered).
+function withSubfolders(match, out) {
+  out.push(match);
+  const listing = listOrNull(match.abs);
+  if (!listing) return;
+  for (const name of listing.folders) {
+    if (name.startsWith('.')) continue;
+    const abs = childPath(match.abs, name);
+    if (isSymlink(abs)) continue;
+    withSubfolders({ abs, shown: joinShown(match.shown, name), isFolder: true }, out);
+  }
+}
+
+function joinShown(shown, name) {
+  if (shown === '') return name;
+  return shown.endsWith('/') ? shown + name : `${shown}/${name}`;
+}
+
+/**
+ * Paths in the VFS matching a glob pattern, sorted. Relative patterns are
+ * matched from `cwdPath` and give relative paths (`docs/*.md` gives
+ * `docs/a.md`); `**` as a whole path segment matches any number of folders
+ * (`/home/**\/*.txt`). `*`, `?` and `[...]` do not match a leading `.`
+ * unless the pattern segment starts with one.
+ *
+ * @param {string} pattern - with `\` before characters that are meant literally
+ * @param {string} cwdPath
+ * @returns {string[]} empty when nothing matches
+ */
+export function expandGlob(pattern, cwdPath) {
+  const src = String(pattern || '');
+  const absolute = src.startsWith('/');
+  const segments = src.split('/').filter(Boolean);
+  const wantFolder = src.endsWith('/');
+
+  let matches = [{ abs: absolute ? '/' : (cwdPath || '/'), shown: absolute ? '/' : '', isFolder: true }];
+  segments.forEach((segment, index) => {
+    const last = index === segments.length - 1;
+    const next = [];
+
+    if (segment === '**') {
+      const folders = [];
+      for (const match of matches) {
+        if (match.isFolder) withSubfolders(match, folders);
+      }
+      if (!last) {
+        matches = folders;
+        return;
+      }
+      // A final `**` matches everything below: folders and their files.
+      matches = [];
+      for (const folder of folders) {
+        if (folder.shown !== '') matches.push(folder);
+        const listing = listOrNull(folder.abs);
+        for (const name of (listing ? listing.files : [])) {
+          if (name.startsWith('.')) continue;
+          matches.push({ abs: childPath(folder.abs, name), shown: joinShown(folder.shown, name), isFolder: false });
+        }
+      }
+      return;
+    }
+
+    if (!hasGlob(segment)) {
+      const name = unescapeGlob(segment);
+      for (const match of matches) {
+        let abs = childPath(match.abs, name);
+        if (name === '.') abs = match.abs;
+        if (name === '..') abs = match.abs.slice(0, match.abs.lastIndexOf('/')) || '/';
+        if (exists(abs)) {
+          next.push({ abs, shown: joinShown(match.shown, name), isFolder: Boolean(listOrNull(abs)) });
+        }
+      }
+      matches = next;
+      return;
+    }
+
+    const re = globToRegExp(segment);
+    const dotOk = segment.startsWith('.') || segment.startsWith('\\.');
+    for (const match of matches) {
+      if (!match.isFolder) continue;
+      const listing = listOrNull(match.abs);
+      if (!listing) continue;
+      const names = last ? listing.folders.concat(listing.files) : listing.folders;
+      for (const name of names) {
+        if (name.startsWith('.') && !dotOk) continue;
+        if (!re.test(name)) continue;
+        const abs = childPath(match.abs, name);
+        next.push({ abs, shown: joinShown(match.shown, name), isFolder: listing.folders.includes(name) || Boolean(listOrNull(abs)) });
+      }
+    }
+    matches = next;
+  });
+
+  const seen = new Set();
+  const out = [];
+  for (const match of matches) {
+    if (wantFolder && !match.isFolder) continue;
+    const shown = wantFolder ? `${match.shown}/` : match.shown;
+    if (!shown || seen.has(shown)) continue;
+    seen.add(shown);
+    out.push(shown);
+  }
+  return out.sort((a, b) => a.localeCompare(b));
+}
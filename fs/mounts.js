@@ -0,0 +1,209 @@
+/*! mounts.js | Filesystem providers that can be mounted into the JsShell VFS */
+
+import { STORAGE_KEYS } from '../constants.js';
+import { bytesToBase64 } from './binary.js';
+
+const ASSET_BASE_URL = new URL('../assets/', import.meta.url);
+const ASSET_MANIFEST_URL = new URL('manifest.json', ASSET_BASE_URL);
+const ASSET_VERSION_URL = new URL('version.json', ASSET_BASE_URL);
+
+// Bumped when the layout of cached file content changes (2: binary files as
+// plain base64 instead of data URLs).
+const ASSET_CACHE_FORMAT = 2;
+
+/**
+ * A mount provider describes the tree shown below a mount point. The
+ * VirtualFileSystem asks it once for its entries when mounting and builds an
+ * in-memory folder tree from them; that tree is never persisted with the
+ * rest of the VFS.
+ *
+ * Entries without `content` become lazy file nodes whose content is fetched
+ * through `read()` on first access. Content of entries with
+ * `encoding: 'base64'` (binary files) is base64. Providers are constructed as
+ * `new Provider(source, { path, backend, readOnly })` where `path` is the
+ * mount point.
+ *
+ * @typedef {Object} VfsMountProvider
+ * @property {string} type - filesystem type shown by `mount` (e.g. "assets")
+ * @property {string} source - what is mounted (e.g. "/usr/share")
+ * @property {boolean} readOnly
+ * @property {() => Promise<Array<{ path: string, content?: string, encoding?: 'utf8'|'base64' }>>} entries
+ *   file paths relative to the mount point
+ * @property {(path: string) => Promise<string>} [read] - load a lazy file
+ */
+
+async function fetchAsText(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`fetch failed: ${response.status} ${response.statusText}`);
+  }
+  return await response.text();
+}
+
+async function fetchAsBytes(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`fetch failed: ${response.status} ${response.statusText}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Manifest entries with encoding "binary" ("dataUrl" in older manifests).
+function isBinaryEntry(entry) {
+  return entry.encoding === 'binary' || entry.encoding === 'dataUrl';
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`fetch failed: ${response.status} ${response.statusText}`);
+  }
+  return await response.json();
+}
+
+function normalizeSource(source) {
+  const parts = String(source || '').split('/').filter(Boolean);
+  return '/' + parts.join('/');
+}
+
+/**
+ * Read-only view of the bundled assets listed in `assets/manifest.json`.
+ *
+ * Only manifest entries whose `dest` lies below `source` are shown, relative
+ * to the mount point (mounting source "/usr/share" on /usr/share serves
+ * `/usr/share/...` entries where the manifest says they belong). Content is
+ * fetched on first read and kept in a cache stored through the VFS backend,
+ * so it survives reloads and works offline; the cache is dropped whenever
+ * the assets version changes.
+ */
+export class AssetMount {
+  /**
+   * @param {string} [source] - manifest `dest` prefix to serve (defaults to the mount point)
+   * @param {{ path?: string, backend?: import('./storageBackends.js').VfsStorageBackend, readOnly?: boolean }} [options]
+   */
+  constructor(source, { path, backend, readOnly } = {}) {
+    if (readOnly === false) {
+      throw new Error('mount: assets mounts are always read-only');
+    }
+    this.type = 'assets';
+    this.source = normalizeSource(source == null ? path : source);
+    this.readOnly = true;
+    this._backend = backend || null;
+    this._cacheKey = `${STORAGE_KEYS.VFS_CACHE_PREFIX}.assets:${this.source}`;
+    this._cache = null; // { format, version, manifest, files: { [dest]: content } }
+  }
+
+  async entries() {
+    const cache = await this._readCache();
+
+    let manifest = null;
+    let version = null;
+    try {
+      manifest = await this._fetchManifest();
+      const info = await fetchJson(ASSET_VERSION_URL);
+      version = info && typeof info.version === 'string' ? info.version.trim() : null;
+    } catch (_) {
+      // Offline or not served over HTTP: fall back to the cached manifest.
+    }
+
+    if (manifest) {
+      if (!version || cache.version !== version) {
+        cache.files = {};
+      }
+      cache.version = version;
+      cache.manifest = manifest;
+      this._writeCache();
+    } else if (!cache.manifest) {
+      throw new Error('mount: cannot load asset manifest');
+    }
+
+    const prefix = this.source === '/' ? '/' : `${this.source}/`;
+    return cache.manifest
+      .filter((e) => e.dest.startsWith(prefix) && e.dest.length > prefix.length)
+      .map((e) => ({
+        path: e.dest.slice(prefix.length),
+        content: cache.files[e.dest],
+        encoding: isBinaryEntry(e) ? 'base64' : 'utf8'
+      }));
+  }
+
+  async read(path) {
+    const cache = await this._readCache();
+    const dest = this.source === '/' ? `/${path}` : `${this.source}/${path}`;
+    const entry = (cache.manifest || []).find((e) => e.dest === dest);
+    if (!entry) {
+      throw new Error(`${dest}: not in asset manifest`);
+    }
+
+    const url = new URL(entry.src, ASSET_BASE_URL);
+    const content = isBinaryEntry(entry)
+      ? bytesToBase64(await fetchAsBytes(url))
+      : await fetchAsText(url);
+    cache.files[dest] = content;
+    this._writeCache();
+    return content;
+  }
+
+  async _fetchManifest() {
+    if (typeof fetch !== 'function') return null;
+    const json = await fetchJson(ASSET_MANIFEST_URL);
+    if (!Array.isArray(json)) return null;
+    return json
+      .filter((e) => e && typeof e === 'object' && typeof e.src === 'string' && typeof e.dest === 'string')
+      .map((e) => ({
+        src: e.src.replace(/^\/+/, ''),
+        dest: e.dest,
+        encoding: typeof e.encoding === 'string' ? e.encoding : 'text'
+      }));
+  }
+
+  async _readCache() {
+    if (this._cache) return this._cache;
+    let stored = null;
+    try {
+      stored = this._backend ? await this._backend.read(this._cacheKey) : null;
+    } catch (_) {
+      stored = null;
+    }
+    const current = Boolean(stored) && stored.format === ASSET_CACHE_FORMAT;
+    this._cache = {
+      format: ASSET_CACHE_FORMAT,
+      version: stored && typeof stored.version === 'string' ? stored.version : null,
+      manifest: stored && Array.isArray(stored.manifest) ? stored.manifest : null,
+      files: current && stored.files && typeof stored.files === 'object' ? stored.files : {}
+    };
+    return this._cache;
+  }
+
+  _writeCache() {
+    if (!this._backend) return;
+    try {
+      const result = this._backend.write(this._cacheKey, this._cache);
+      if (result && typeof result.then === 'function') {
+        result.catch(() => {});
+      }
+    } catch (_) {
+      // The cache is best effort (localStorage may be out of quota).
+    }
+  }
+}
+
+/**
+ * Empty, writable in-memory filesystem. Its content is lost on reload or
+ * `umount`, which makes it a good fit for scratch space such as /tmp.
+ */
+export class TmpfsMount {
+  /**
+   * @param {string} [source]
+   * @param {{ readOnly?: boolean }} [options]
+   */
+  constructor(source = 'tmpfs', { readOnly = false } = {}) {
+    this.type = 'tmpfs';
+    this.source = String(source || 'tmpfs');
+    this.readOnly = Boolean(readOnly);
+  }
+
+  async entries() {
+    return [];
+  }
+}
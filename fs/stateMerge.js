@@ -0,0 +1,273 @@
+/*! stateMerge.js | Three-way merge of VFS states saved by different tabs */
+
+/**
+ * @typedef {Object} VfsMergeConflict
+ * @property {string} path
+ * @property {string} message - human readable description of what was kept
+ */
+
+function joinPath(base, name) {
+  return base === '/' ? `/${name}` : `${base}/${name}`;
+}
+
+function depth(path) {
+  return path.split('/').length;
+}
+
+// Comparable summary of a node. Timestamps are left out on purpose: touching
+// a file in both tabs is not a conflict, different content is.
+function signature(node) {
+  if (node.type === 'folder') return `d:${node.mode}`;
+  if (node.type === 'symlink') return `l:${node.target}`;
+  if (node.inode != null) return `h:${node.inode}`;
+  const nlink = typeof node.nlink === 'number' ? `:${node.nlink}` : '';
+  return `f:${node.mode}:${node.mime}${nlink}:${node.content}`;
+}
+
+// Map of path -> node for every entry of a state, plus `#inode:<id>` keys for
+// the shared data of hard-linked files.
+function flatten(state) {
+  const out = new Map();
+  const walk = (folder, path) => {
+    for (const child of folder.folders || []) {
+      const childPath = joinPath(path, child.name);
+      out.set(childPath, child);
+      walk(child, childPath);
+    }
+    for (const file of folder.files || []) {
+      out.set(joinPath(path, file.name), file);
+    }
+  };
+  walk(state.root, '/');
+  for (const [id, data] of Object.entries(state.inodes || {})) {
+    out.set(`#inode:${id}`, data);
+  }
+  return out;
+}
+
+function has(object, key) {
+  return Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function sigOf(map, key) {
+  const node = map.get(key);
+  return node ? signature(node) : undefined;
+}
+
+function findFolder(root, path, create) {
+  let folder = root;
+  for (const part of path.split('/').filter(Boolean)) {
+    let next = folder.folders.find((f) => f.name === part);
+    if (!next) {
+      if (!create) return null;
+      // Recreate a parent the other tab removed; its own entry fixes metadata.
+      next = { ...folder, name: part, folders: [], files: [] };
+      folder.folders.push(next);
+    }
+    folder = next;
+  }
+  return folder;
+}
+
+function splitPath(path) {
+  const idx = path.lastIndexOf('/');
+  return { parentPath: path.slice(0, idx) || '/', name: path.slice(idx + 1) };
+}
+
+function entryExists(root, path) {
+  const { parentPath, name } = splitPath(path);
+  const parent = findFolder(root, parentPath, false);
+  return Boolean(parent) && (parent.folders.some((f) => f.name === name) || parent.files.some((f) => f.name === name));
+}
+
+function setEntry(state, key, node) {
+  if (key.startsWith('#inode:')) {
+    if (!state.inodes) state.inodes = {};
+    state.inodes[key.slice('#inode:'.length)] = JSON.parse(JSON.stringify(node));
+    return;
+  }
+
+  const { parentPath, name } = splitPath(key);
+  const parent = findFolder(state.root, parentPath, true);
+  if (node.type === 'folder') {
+    const existing = parent.folders.find((f) => f.name === name);
+    const { folders, files, ...meta } = node;
+    if (existing) {
+      Object.assign(existing, meta);
+    } else {
+      parent.files = parent.files.filter((f) => f.name !== name);
+      parent.folders.push({ ...meta, folders: [], files: [] });
+    }
+    return;
+  }
+
+  parent.folders = parent.folders.filter((f) => f.name !== name);
+  const copy = JSON.parse(JSON.stringify(node));
+  const idx = parent.files.findIndex((f) => f.name === name);
+  if (idx === -1) parent.files.push(copy);
+  else parent.files[idx] = copy;
+}
+
+// Remove an entry; folders are only removed once empty. Returns false when a
+// folder had to be kept.
+function deleteEntry(state, key) {
+  if (key.startsWith('#inode:')) {
+    if (state.inodes) delete state.inodes[key.slice('#inode:'.length)];
+    return true;
+  }
+
+  const { parentPath, name } = splitPath(key);
+  const parent = findFolder(state.root, parentPath, false);
+  if (!parent) return true;
+  const folder = parent.folders.find((f) => f.name === name);
+  if (folder) {
+    if (folder.folders.length || folder.files.length) return false;
+    parent.folders = parent.folders.filter((f) => f !== folder);
+    return true;
+  }
+  parent.files = parent.files.filter((f) => f.name !== name);
+  return true;
+}
+
+// Both tabs must pick the same winner, or each would keep its own version and
+// the conflict copies would pile up: the newer edit wins, ties go by content.
+function localIsNewer(mine, theirs) {
+  const a = Number(mine.mtime) || 0;
+  const b = Number(theirs.mtime) || 0;
+  if (a !== b) return a > b;
+  return signature(mine) > signature(theirs);
+}
+
+function conflictCopyPath(state, path) {
+  let candidate = `${path}.conflict`;
+  for (let i = 2; entryExists(state.root, candidate); i += 1) {
+    candidate = `${path}.conflict${i}`;
+  }
+  return candidate;
+}
+
+/**
+ * Merge the changes this tab made since `base` into `remote` (the state
+ * another tab saved). Non-conflicting edits from both sides are kept. When
+ * both sides changed the same file differently, the newer version wins and
+ * the other one is kept next to it as `<name>.conflict`, so nothing is lost;
+ * every such case is reported.
+ *
+ * `remote` is modified in place and returned as the merged state.
+ *
+ * @param {import('./virtualFileSystem.js').VfsState} base - last state both tabs agreed on
+ * @param {import('./virtualFileSystem.js').VfsState} local - this tab's current state
+ * @param {import('./virtualFileSystem.js').VfsState} remote - freshly loaded state
+ * @param {{ localWins?: (path: string) => boolean }} [options]
+ *   paths where this tab silently wins conflicts (e.g. per-tab shell state)
+ * @returns {{ state: import('./virtualFileSystem.js').VfsState, changed: boolean, conflicts: VfsMergeConflict[] }}
+ */
+export function mergeStates(base, local, remote, { localWins = () => false } = {}) {
+  const b = flatten(base);
+  const l = flatten(local);
+  const r = flatten(remote);
+  const conflicts = [];
+  let changed = false;
+
+  const sets = [];
+  const deletes = [];
+  for (const key of new Set([...b.keys(), ...l.keys()])) {
+    const lsig = sigOf(l, key);
+    const bsig = sigOf(b, key);
+    if (lsig === bsig) continue; // not changed in this tab
+    const rsig = sigOf(r, key);
+    if (lsig === rsig) continue; // same change in both tabs
+    if (lsig === undefined) deletes.push(key);
+    else sets.push(key);
+  }
+
+  sets.sort((x, y) => depth(x) - depth(y));
+  deletes.sort((x, y) => depth(y) - depth(x));
+
+  for (const key of sets) {
+    const mine = l.get(key);
+    const theirs = r.get(key);
+    const theirsChanged = sigOf(r, key) !== sigOf(b, key);
+
+    if (theirsChanged && theirs && !key.startsWith('#inode:') && !localWins(key)) {
+      const mineIsFolder = mine.type === 'folder';
+      const theirsIsFolder = theirs.type === 'folder';
+      if (mineIsFolder && theirsIsFolder) {
+        // Only the mode differs; take ours without making noise.
+      } else if (theirsIsFolder) {
+        const copyPath = conflictCopyPath(remote, key);
+        setEntry(remote, copyPath, { ...mine, name: splitPath(copyPath).name });
+        conflicts.push({ path: key, message: `${key}: is a folder in another tab; this tab's file saved as ${copyPath}` });
+        changed = true;
+        continue;
+      } else {
+        const copyPath = conflictCopyPath(remote, key);
+        if (!mineIsFolder && !localIsNewer(mine, theirs)) {
+          setEntry(remote, copyPath, { ...mine, name: splitPath(copyPath).name });
+          conflicts.push({ path: key, message: `${key}: changed in both tabs; kept the other tab's newer version, this tab's is in ${copyPath}` });
+          changed = true;
+          continue;
+        } else if (!mineIsFolder) {
+          setEntry(remote, copyPath, { ...theirs, name: splitPath(copyPath).name });
+          conflicts.push({ path: key, message: `${key}: changed in both tabs; kept this tab's newer version, the other is in ${copyPath}` });
+        } else {
+          setEntry(remote, copyPath, { ...theirs, name: splitPath(copyPath).name });
+          conflicts.push({ path: key, message: `${key}: is a file in another tab; it was saved as ${copyPath}` });
+        }
+      }
+    } else if (theirsChanged && !theirs && !key.startsWith('#inode:') && !localWins(key)) {
+      conflicts.push({ path: key, message: `${key}: deleted in another tab but changed here; restored` });
+    }
+
+    setEntry(remote, key, mine);
+    // Per-tab entries alone are no reason to save: the other tab would take
+    // its own version back and the two would keep overwriting each other.
+    if (!localWins(key)) changed = true;
+  }
+
+  for (const key of deletes) {
+    const theirsChanged = sigOf(r, key) !== sigOf(b, key);
+    if (theirsChanged && r.has(key) && !key.startsWith('#inode:') && !localWins(key)) {
+      conflicts.push({ path: key, message: `${key}: changed in another tab; not deleted` });
+      continue;
+    }
+    if (!deleteEntry(remote, key)) {
+      conflicts.push({ path: key, message: `${key}: another tab added files to it; folder not deleted` });
+      continue;
+    }
+    if (!localWins(key)) changed = true;
+  }
+
+  // The mount table is small; take ours whole if we changed it.
+  if (JSON.stringify(local.mounts || []) !== JSON.stringify(base.mounts || [])) {
+    remote.mounts = local.mounts;
+    changed = true;
+  }
+
+  // Blobs are keyed by content, so both sides' sets can simply be combined;
+  // the next save drops the ones nothing refers to anymore. Entries that
+  // need a new blob were merged above and already count as a change.
+  for (const [key, blob] of Object.entries(local.blobs || {})) {
+    if (!remote.blobs) remote.blobs = {};
+    if (!has(remote.blobs, key)) remote.blobs[key] = blob;
+  }
+
+  // Snapshots never change once taken: only creations and deletions count.
+  const baseSnapshots = base.snapshots || {};
+  const localSnapshots = local.snapshots || {};
+  for (const name of Object.keys(localSnapshots)) {
+    if (!has(baseSnapshots, name) && !has(remote.snapshots, name)) {
+      if (!remote.snapshots) remote.snapshots = {};
+      remote.snapshots[name] = localSnapshots[name];
+      changed = true;
+    }
+  }
+  for (const name of Object.keys(baseSnapshots)) {
+    if (!has(localSnapshots, name) && has(remote.snapshots, name)) {
+      delete remote.snapshots[name];
+      changed = true;
+    }
+  }
+
+  return { state: remote, changed, conflicts };
+}
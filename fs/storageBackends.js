@@ -0,0 +1,277 @@
+/*! storageBackends.js | Persistence backends for the JsShell virtual filesystem */
+
+/**
+ * A storage backend persists whole VFS states under string keys.
+ *
+ * Backends are deliberately dumb key/value stores: the VirtualFileSystem keeps
+ * the authoritative tree in memory and hands the backend a state object to
+ * persist. `read`/`write`/`remove`/`keys` may either return plain values
+ * (synchronous backends) or Promises (asynchronous backends such as
+ * IndexedDB); callers must handle both. A caller that already has the state
+ * as JSON passes it as `raw`, so it is not serialized again.
+ *
+ * @typedef {Object} VfsStorageBackend
+ * @property {string} name - short identifier shown to users (e.g. "indexedDB")
+ * @property {(key: string) => (Object|null|Promise<Object|null>)} read
+ * @property {(key: string, value: Object, raw?: string) => (void|Promise<void>)} write
+ * @property {(key: string) => (void|Promise<void>)} remove
+ * @property {() => (string[]|Promise<string[]>)} keys
+ * @property {() => Promise<VfsStorageEstimate>} estimate
+ */
+
+/**
+ * Storage use as far as the browser lets us know it. `quota` is null when
+ * there is no known limit.
+ * @typedef {Object} VfsStorageEstimate
+ * @property {number} used - bytes in use
+ * @property {number|null} quota - bytes available in total
+ */
+
+// Browsers allow about 5 MB (counted in UTF-16 characters) per origin.
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Whether an error means the storage is full (QuotaExceededError, or the
+ * legacy codes Safari and Firefox use).
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isQuotaError(err) {
+  if (!err) return false;
+  return err.name === 'QuotaExceededError' ||
+    err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    err.code === 22 ||
+    err.code === 1014;
+}
+
+/**
+ * Backend storing each state as a JSON string in a Web Storage object
+ * (window.localStorage by default). This is the original persistence format
+ * and is limited by the browser's localStorage quota (~5 MB).
+ */
+export class LocalStorageBackend {
+  /** @param {Storage} [storage] */
+  constructor(storage = window.localStorage) {
+    this.name = 'localStorage';
+    this._storage = storage;
+  }
+
+  read(key) {
+    const raw = this._storage.getItem(key);
+    if (!raw) return null;
+    return JSON.parse(raw);
+  }
+
+  write(key, value, raw = JSON.stringify(value)) {
+    this._storage.setItem(key, raw);
+  }
+
+  remove(key) {
+    this._storage.removeItem(key);
+  }
+
+  keys() {
+    const out = [];
+    for (let i = 0; i < this._storage.length; i += 1) {
+      const k = this._storage.key(i);
+      if (k != null) out.push(k);
+    }
+    return out;
+  }
+
+  /** Characters used by all keys of the origin (the quota is shared). */
+  async estimate() {
+    let used = 0;
+    for (const key of this.keys()) {
+      used += key.length + String(this._storage.getItem(key) || '').length;
+    }
+    return { used, quota: LOCAL_STORAGE_QUOTA };
+  }
+}
+
+/**
+ * Backend keeping states in memory only. Values are deep-copied on the way in
+ * and out so callers cannot mutate what has been "persisted". Useful for tests
+ * and for running the shell without touching browser storage.
+ */
+export class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this._items = new Map();
+  }
+
+  read(key) {
+    const raw = this._items.get(key);
+    return raw == null ? null : JSON.parse(raw);
+  }
+
+  write(key, value, raw = JSON.stringify(value)) {
+    this._items.set(key, raw);
+  }
+
+  remove(key) {
+    this._items.delete(key);
+  }
+
+  keys() {
+    return Array.from(this._items.keys());
+  }
+
+  async estimate() {
+    let used = 0;
+    for (const [key, raw] of this._items) {
+      used += key.length + raw.length;
+    }
+    return { used, quota: null };
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+  });
+}
+
+/**
+ * Asynchronous backend storing states as objects in an IndexedDB object
+ * store, within the origin's IndexedDB quota rather than localStorage's.
+ *
+ * Writes are coalesced: repeated `write()` calls for the same key before its
+ * put starts only result in a single IndexedDB put of the latest value, as
+ * it was when it was written. A write that comes in during a put gets a put
+ * of its own once that one is done.
+ */
+export class IndexedDbBackend {
+  /**
+   * @param {{ dbName?: string, storeName?: string, indexedDB?: IDBFactory }} [options]
+   */
+  constructor({ dbName = 'jsshell', storeName = 'vfs', indexedDB: factory } = {}) {
+    this.name = 'indexedDB';
+    this._dbName = dbName;
+    this._storeName = storeName;
+    this._factory = factory || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this._dbPromise = null;
+    this._pending = new Map(); // key -> { raw, started, promise }, the latest write
+  }
+
+  /** Open (and create/upgrade if needed) the database. */
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+    if (!this._factory) {
+      return Promise.reject(new Error('IndexedDB is not available in this environment'));
+    }
+
+    const request = this._factory.open(this._dbName, 1);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(this._storeName)) {
+        db.createObjectStore(this._storeName);
+      }
+    };
+    this._dbPromise = requestToPromise(request);
+    return this._dbPromise;
+  }
+
+  async _run(mode, fn) {
+    const db = await this.open();
+    const tx = db.transaction(this._storeName, mode);
+    const done = mode === 'readwrite'
+      ? new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+      })
+      : null;
+    const result = await requestToPromise(fn(tx.objectStore(this._storeName)));
+    if (done) await done;
+    return result;
+  }
+
+  async read(key) {
+    const pending = this._pending.get(key);
+    if (pending) return JSON.parse(pending.raw);
+    const value = await this._run('readonly', (store) => store.get(key));
+    return value == null ? null : value;
+  }
+
+  write(key, value, raw = JSON.stringify(value)) {
+    // `raw` is taken now: the caller keeps changing `value` (a transaction
+    // half done, say) before the put below runs.
+    const pending = this._pending.get(key);
+    if (pending && !pending.started) {
+      pending.raw = raw;
+      return pending.promise;
+    }
+
+    const entry = { raw, started: false, promise: null };
+    const previous = pending ? pending.promise.catch(() => {}) : Promise.resolve();
+    entry.promise = previous.then(async () => {
+      entry.started = true;
+      try {
+        await this._run('readwrite', (store) => store.put(JSON.parse(entry.raw), key));
+      } finally {
+        if (this._pending.get(key) === entry) this._pending.delete(key);
+      }
+    });
+    this._pending.set(key, entry);
+    return entry.promise;
+  }
+
+  async remove(key) {
+    this._pending.delete(key);
+    await this._run('readwrite', (store) => store.delete(key));
+  }
+
+  async keys() {
+    const stored = await this._run('readonly', (store) => store.getAllKeys());
+    const out = new Set((stored || []).map((k) => String(k)));
+    for (const k of this._pending.keys()) out.add(k);
+    return Array.from(out);
+  }
+
+  /** Origin-wide usage and quota reported by the Storage API. */
+  async estimate() {
+    if (typeof navigator !== 'undefined' && navigator.storage && typeof navigator.storage.estimate === 'function') {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { used: Number(usage) || 0, quota: Number.isFinite(quota) ? quota : null };
+    }
+    // No Storage API: measure the stored states themselves.
+    let used = 0;
+    for (const key of await this.keys()) {
+      used += key.length + JSON.stringify(await this.read(key) || null).length;
+    }
+    return { used, quota: null };
+  }
+}
+
+/**
+ * Copy a state stored under `key` from one backend to another if the target
+ * does not have it yet, then remove it from the source. Used to move the
+ * legacy `jsshell.vfs` localStorage entry into IndexedDB on first load.
+ *
+ * @param {VfsStorageBackend} from
+ * @param {VfsStorageBackend} to
+ * @param {string} key
+ * @returns {Promise<boolean>} true when data was migrated
+ */
+export async function migrateStorageKey(from, to, key) {
+  const existing = await to.read(key);
+  if (existing) return false;
+
+  let legacy = null;
+  try {
+    legacy = await from.read(key);
+  } catch (_) {
+    legacy = null;
+  }
+  if (!legacy) return false;
+
+  await to.write(key, legacy);
+  try {
+    await from.remove(key);
+  } catch (_) {
+    // Keeping the legacy copy around is harmless.
+  }
+  return true;
+}
@@ -1,15 +1,125 @@
-/*! virtualFileSystem.js | Simple in-browser virtual filesystem persisted to localStorage */
+/*! virtualFileSystem.js | Simple in-browser virtual filesystem with pluggable persistence */
 
 import { STORAGE_KEYS } from '../constants.js';
 import { normalizePathParts } from './pathUtils.js';
+import { LocalStorageBackend, IndexedDbBackend, MemoryBackend, migrateStorageKey, isQuotaError } from './storageBackends.js';
+import { AssetMount, TmpfsMount } from './mounts.js';
+import { mergeStates } from './stateMerge.js';
+import { putBlob, collectBlobs } from './blobStore.js';
+import { toBytes, bytesToBase64, base64ToBytes, base64ByteLength, parseDataUrl, isTextMime } from './binary.js';
 
 const STORAGE_KEY = STORAGE_KEYS.VFS;
 
+// BroadcastChannel used to tell other tabs that the VFS was saved.
+const SYNC_CHANNEL = 'jsshell.vfs';
+
+// How long tabs stay listed in VfsState.seen after their last save.
+const SYNC_SEEN_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Default permission bits for new nodes (rw-r--r-- / rwxr-xr-x). Scripts get
+// the executable bits so `ls -l` can tell them apart.
+const DEFAULT_FILE_MODE = 0o644;
+const DEFAULT_EXEC_MODE = 0o755;
+const DEFAULT_FOLDER_MODE = 0o755;
+const SYMLINK_MODE = 0o777;
+
+// Maximum number of symbolic links followed while resolving one path before
+// giving up with ELOOP (Linux uses 40).
+const MAX_SYMLINK_HOPS = 40;
+
+// Earlier versions kept per file (see fileHistory()). Overwriting a file
+// larger than MAX_REVISION_SIZE bytes does not keep its old content.
+const MAX_REVISIONS = 10;
+const MAX_REVISION_SIZE = 256 * 1024;
+
+// Top-level folders left out of snapshots: the shell's own settings,
+// environment and history, which restoring a snapshot should not undo.
+const SNAPSHOT_EXCLUDED = ['sys'];
+
+// Filesystem types accepted by mount(); see fs/mounts.js.
+const MOUNT_TYPES = {
+  assets: AssetMount,
+  tmpfs: TmpfsMount
+};
+
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.js': 'application/javascript',
+  '.jsh': 'text/x-jsh',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * @typedef {Object} VfsNodeMeta
+ * @property {number} ctime - creation / status change time (ms since epoch)
+ * @property {number} mtime - last content modification time (ms since epoch)
+ * @property {number} atime - last access time (ms since epoch)
+ * @property {number} mode - permission bits (e.g. 0o644)
+ */
+
 /**
  * @typedef {Object} VfsFile
  * @property {'file'} type
  * @property {string} name
- * @property {string} content
+ * @property {string} content - text, or base64 when `encoding` is 'base64'
+ * @property {'utf8'|'base64'} encoding - 'base64' for binary files
+ * @property {number} size - content size in bytes (UTF-8 for text)
+ * @property {string} [mime] - MIME type, guessed from the extension when not given
+ * @property {number} ctime
+ * @property {number} mtime
+ * @property {number} atime
+ * @property {number} mode
+ * @property {number} [rev] - revision number of the content (1 when missing)
+ * @property {VfsRevision[]} [revisions] - earlier contents, oldest first
+ */
+
+/**
+ * An earlier version of a file's content, kept in `VfsState.blobs`.
+ * @typedef {Object} VfsRevision
+ * @property {number} rev
+ * @property {string} blob - key into VfsState.blobs
+ * @property {number} size
+ * @property {string|null} mime
+ * @property {number} mtime - when this content was written
+ */
+
+/**
+ * A point-in-time copy of the tree. Files hold a `blob` key instead of
+ * their content, so content that did not change between snapshots (or
+ * revisions) is stored once.
+ * @typedef {Object} VfsSnapshot
+ * @property {number} created
+ * @property {VfsFolder} root
+ * @property {Object<string, Object>} [inodes]
+ */
+
+/**
+ * A hard-linked file node keeps only its name; content and metadata live in
+ * `VfsState.inodes[inode]` and are shared by every link.
+ * @typedef {Object} VfsHardLink
+ * @property {'file'} type
+ * @property {string} name
+ * @property {string} inode - key into VfsState.inodes
+ */
+
+/**
+ * @typedef {Object} VfsSymlink
+ * @property {'symlink'} type
+ * @property {string} name
+ * @property {string} target - path the link points to (absolute, or relative to the link's folder)
+ * @property {number} ctime
+ * @property {number} mtime
+ * @property {number} atime
+ * @property {number} mode
  */
 
 /**
@@ -17,23 +127,289 @@ const STORAGE_KEY = STORAGE_KEYS.VFS;
  * @property {'folder'} type
  * @property {string} name
  * @property {VfsFolder[]} folders
- * @property {VfsFile[]} files
+ * @property {Array<VfsFile|VfsHardLink|VfsSymlink>} files - files and symlinks
+ * @property {number} ctime
+ * @property {number} mtime
+ * @property {number} atime
+ * @property {number} mode
+ */
+
+/**
+ * @typedef {Object} VfsStat
+ * @property {'file'|'folder'|'symlink'} type - 'symlink' only from lstat()
+ * @property {string} name
+ * @property {string} path - canonical absolute path
+ * @property {number} size - bytes for files, number of entries for folders
+ * @property {number} mode
+ * @property {string|null} mime
+ * @property {'utf8'|'base64'|null} encoding - files only; 'base64' means binary
+ * @property {number} ctime
+ * @property {number} mtime
+ * @property {number} atime
  */
 
 /**
  * @typedef {Object} VfsState
  * @property {VfsFolder} root
  * @property {string[]} cwdParts - current working directory as path parts relative to root
+ * @property {Object<string, VfsFile & { nlink: number }>} [inodes] - shared data of hard-linked files
+ * @property {VfsMountInfo[]} [mounts] - mount table, re-applied by restoreMounts()
+ * @property {Object<string, import('./blobStore.js').VfsBlob>} [blobs] - content of revisions and snapshots
+ * @property {Object<string, VfsSnapshot>} [snapshots] - by name
+ * @property {Object<string, number>} [seen] - per tab id, the last save of
+ *   that tab this state includes (used by cross-tab sync)
+ */
+
+/**
+ * @typedef {Object} VfsMountInfo
+ * @property {string} path - absolute mount point
+ * @property {string} type - filesystem type (e.g. "assets", "tmpfs")
+ * @property {string} source
+ * @property {boolean} readOnly
+ */
+
+/**
+ * Change notification passed to vfs.watch() callbacks. Paths are canonical
+ * (symlinks resolved). `subtree` marks changes that affect everything below
+ * `path` at once (mount/umount, replacing the whole tree).
+ * @typedef {Object} VfsChangeEvent
+ * @property {'create'|'modify'|'delete'|'rename'} type
+ * @property {string} path - affected path (the new path for renames)
+ * @property {string} [oldPath] - previous path, for renames
+ * @property {'file'|'folder'|'symlink'} kind
+ * @property {boolean} [subtree]
+ */
+
+function isWebStorage(value) {
+  return Boolean(value) && typeof value.getItem === 'function' && typeof value.setItem === 'function';
+}
+
+function isThenable(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+ * Create an Error carrying a POSIX-style `code` (ELOOP, EEXIST, ...) so
+ * callers can branch on the failure kind without parsing messages.
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error & { code: string }}
+ */
+export function vfsError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function storageFullError() {
+  return vfsError('ENOSPC', 'No space left on device: browser storage is full, the change was not saved (see "df")');
+}
+
+/**
+ * Guess a MIME type from a file name's extension.
+ * @param {string} name
+ * @returns {string|null}
  */
+export function guessMimeType(name) {
+  const lower = String(name || '').toLowerCase();
+  const idx = lower.lastIndexOf('.');
+  if (idx === -1) return null;
+  return MIME_TYPES[lower.slice(idx)] || null;
+}
+
+function byteLength(content, encoding) {
+  if (encoding === 'base64') return base64ByteLength(content);
+  const text = String(content ?? '');
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(text).length;
+  }
+  return text.length;
+}
+
+function defaultFileMode(name) {
+  const lower = String(name || '').toLowerCase();
+  return lower.endsWith('.js') || lower.endsWith('.jsh') ? DEFAULT_EXEC_MODE : DEFAULT_FILE_MODE;
+}
+
+function createFileNode(name, content, { mime, encoding = 'utf8', now = Date.now() } = {}) {
+  return {
+    type: 'file',
+    name,
+    content,
+    encoding,
+    size: byteLength(content, encoding),
+    mime: mime || guessMimeType(name),
+    ctime: now,
+    mtime: now,
+    atime: now,
+    mode: defaultFileMode(name)
+  };
+}
+
+function createFolderNode(name, now = Date.now()) {
+  return {
+    type: 'folder',
+    name,
+    folders: [],
+    files: [],
+    ctime: now,
+    mtime: now,
+    atime: now,
+    mode: DEFAULT_FOLDER_MODE
+  };
+}
+
+// Fill in metadata for trees persisted before nodes carried any. Unknown
+// timestamps are set to the time of the first load with this version.
+function backfillMetadata(folder, now) {
+  if (typeof folder.ctime !== 'number') folder.ctime = now;
+  if (typeof folder.mtime !== 'number') folder.mtime = folder.ctime;
+  if (typeof folder.atime !== 'number') folder.atime = folder.mtime;
+  if (typeof folder.mode !== 'number') folder.mode = DEFAULT_FOLDER_MODE;
+  if (!Array.isArray(folder.folders)) folder.folders = [];
+  if (!Array.isArray(folder.files)) folder.files = [];
+
+  for (const file of folder.files) {
+    // Symlinks and hard links are only ever created with full metadata.
+    if (file.type === 'symlink' || file.inode != null) continue;
+    if (typeof file.ctime !== 'number') file.ctime = now;
+    if (typeof file.mtime !== 'number') file.mtime = file.ctime;
+    if (typeof file.atime !== 'number') file.atime = file.mtime;
+    if (typeof file.mode !== 'number') file.mode = defaultFileMode(file.name);
+    if (file.mime === undefined) file.mime = guessMimeType(file.name);
+    if (file.encoding === undefined) {
+      // Binary files used to be stored as data URL strings.
+      const dataUrl = isTextMime(file.mime) ? null : parseDataUrl(file.content);
+      if (dataUrl) {
+        file.content = dataUrl.base64;
+        if (dataUrl.mime) file.mime = dataUrl.mime;
+        file.size = base64ByteLength(dataUrl.base64);
+      }
+      file.encoding = dataUrl ? 'base64' : 'utf8';
+    }
+    if (typeof file.size !== 'number') file.size = byteLength(file.content, file.encoding);
+  }
+  for (const child of folder.folders) {
+    backfillMetadata(child, now);
+  }
+}
+
+// Build the in-memory tree shown at a mount point from its provider's
+// entries. Entries without content become lazy nodes (`lazy` holds the
+// provider path used to load them).
+function buildMountTree(name, entries, readOnly, now) {
+  const root = createFolderNode(name, now);
+  for (const entry of entries) {
+    const parts = String(entry.path || '').split('/').filter(Boolean);
+    const fileName = parts.pop();
+    if (!fileName) continue;
+
+    let folder = root;
+    for (const part of parts) {
+      let next = folder.folders.find((f) => f.name === part);
+      if (!next) {
+        next = createFolderNode(part, now);
+        folder.folders.push(next);
+      }
+      folder = next;
+    }
+    if (folder.files.some((f) => f.name === fileName)) continue;
+
+    const loaded = typeof entry.content === 'string';
+    const encoding = entry.encoding === 'base64' ? 'base64' : 'utf8';
+    const file = createFileNode(fileName, loaded ? entry.content : '', { encoding, now });
+    if (!loaded) file.lazy = parts.concat([fileName]).join('/');
+    folder.files.push(file);
+  }
+  if (readOnly) clearWriteBits(root);
+  return root;
+}
+
+// Map of path -> node for everything in a persisted tree (mounts are not
+// looked into); hard-linked files map to their inode data.
+function flattenTree(root, inodes) {
+  const out = new Map();
+  const walk = (folder, path) => {
+    for (const child of folder.folders) {
+      const childPath = path === '/' ? `/${child.name}` : `${path}/${child.name}`;
+      out.set(childPath, child);
+      walk(child, childPath);
+    }
+    for (const file of folder.files) {
+      const data = file.inode != null && inodes && inodes[file.inode] ? inodes[file.inode] : file;
+      out.set(path === '/' ? `/${file.name}` : `${path}/${file.name}`, data);
+    }
+  };
+  walk(root, '/');
+  return out;
+}
+
+// `root` without the folders in SNAPSHOT_EXCLUDED (snapshots made before
+// they were left out may still have them).
+function snapshotRoot(root) {
+  return { ...root, folders: root.folders.filter((f) => !SNAPSHOT_EXCLUDED.includes(f.name)) };
+}
+
+// Keys of the inodes hard links under `folder` refer to.
+function linkedInodes(folder, out = new Set()) {
+  for (const child of folder.folders) linkedInodes(child, out);
+  for (const file of folder.files) {
+    if (file.inode != null) out.add(file.inode);
+  }
+  return out;
+}
+
+// Kind reported in change events.
+function nodeKind(node) {
+  if (node.type === 'folder') return 'folder';
+  return node.type === 'symlink' ? 'symlink' : 'file';
+}
+
+function clearWriteBits(folder) {
+  folder.mode &= ~0o222;
+  for (const file of folder.files) file.mode &= ~0o222;
+  for (const child of folder.folders) clearWriteBits(child);
+}
 
 /**
  * Virtual filesystem class wrapping a JSON structure with simple helpers.
+ *
+ * The tree always lives in memory so every API stays synchronous; the storage
+ * backend only persists it. With an asynchronous backend (IndexedDB) the
+ * initial load completes when `ready` resolves and writes finish in the
+ * background (see `flush()`).
  */
 export class VirtualFileSystem {
-  /** @param {Storage} [storage] */
-  constructor(storage = window.localStorage) {
-    this._storage = storage;
-    this._state = this._load() || this._createDefaultState();
+  /**
+   * @param {import('./storageBackends.js').VfsStorageBackend|Storage} [backend]
+   *   Storage backend. A plain Web Storage object (the old constructor
+   *   argument) is wrapped in a LocalStorageBackend.
+   */
+  constructor(backend = new LocalStorageBackend()) {
+    this._backend = isWebStorage(backend) ? new LocalStorageBackend(backend) : backend;
+    this._state = this._createDefaultState();
+    this._loadedFromStorage = false;
+    this._pendingWrite = null;
+    this._pendingSource = null; // backend promise behind _pendingWrite
+    this._mounts = new Map(); // mount point path -> { info, provider, root }
+    this._lazyLoads = new Map(); // lazy file node -> pending load
+    this._watchers = new Set();
+    this._externalChangeListeners = new Set();
+    this._tabId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    this._sync = null; // cross-tab sync state, see startSync()
+    this._tx = null; // open transaction, see transaction()
+
+    const loaded = this._load();
+    if (isThenable(loaded)) {
+      /** @type {Promise<VirtualFileSystem>} */
+      this.ready = loaded.then((state) => {
+        this._applyLoadedState(state);
+        return this;
+      });
+    } else {
+      this._applyLoadedState(loaded);
+      this.ready = Promise.resolve(this);
+    }
   }
 
   /** @returns {VfsState} */
@@ -41,26 +417,416 @@ export class VirtualFileSystem {
     return this._state;
   }
 
-  /** Persist current state to localStorage. */
+  /** @returns {import('./storageBackends.js').VfsStorageBackend} */
+  get backend() {
+    return this._backend;
+  }
+
+  /** True when the current tree was loaded from the backend (not freshly created). */
+  get loadedFromStorage() {
+    return this._loadedFromStorage;
+  }
+
+  /**
+   * Persist current state through the storage backend. Inside a
+   * transaction this only marks the state for saving at commit.
+   *
+   * When the browser storage is full the tree is reset to what was last
+   * persisted, so memory never holds changes that a reload would lose, and
+   * an ENOSPC error is thrown (by flush() for asynchronous backends).
+   */
   save() {
-    this._storage.setItem(STORAGE_KEY, JSON.stringify(this._state));
+    if (this._tx) {
+      this._tx.dirty = true;
+      return;
+    }
+    if (this._state.blobs) {
+      collectBlobs(this._state);
+    }
+    const seq = this._sync ? this._stampSave() : null;
+    // Serialized once, for the backend and for cross-tab sync alike.
+    const json = JSON.stringify(this._state);
+    let result;
+    try {
+      result = this._backend.write(STORAGE_KEY, this._state, json);
+    } catch (err) {
+      if (!isQuotaError(err)) throw err;
+      this._revertToPersisted(this._backend.read(STORAGE_KEY));
+      throw storageFullError();
+    }
+    if (this._sync) {
+      this._sync.written = json;
+      this._sync.writtenSeq = seq;
+    }
+    if (!isThenable(result)) {
+      if (this._sync) this._announceSave();
+      return;
+    }
+    // Coalesced writes share one promise; handle each write once.
+    if (result === this._pendingSource) return;
+    this._pendingSource = result;
+    const written = result.then(() => {
+      if (this._sync) this._announceSave();
+    }, async (err) => {
+      if (!isQuotaError(err)) throw err;
+      // Only the latest write decides what is on disk; a newer one may
+      // still succeed (e.g. after files were deleted).
+      if (this._pendingWrite === written) {
+        this._revertToPersisted(await this._backend.read(STORAGE_KEY));
+      }
+      throw storageFullError();
+    });
+    // Keep the rejection observable through flush() without triggering
+    // unhandled-rejection noise for fire-and-forget callers.
+    written.catch(() => {});
+    this._pendingWrite = written;
+  }
+
+  /**
+   * Keep this instance in step with other tabs using the same storage.
+   *
+   * Every save is announced on a BroadcastChannel (or, without one, picked
+   * up through `storage` events when persisting to localStorage). When
+   * another tab saves, its state is loaded and merged with this tab's
+   * unsaved-by-them changes (see fs/stateMerge.js), and listeners registered
+   * with onExternalChange() are told about any conflicts.
+   *
+   * @param {{ localWins?: string[] }} [options] - folders holding per-tab
+   *   state (e.g. '/sys') where this tab's version wins without a conflict
+   */
+  startSync({ localWins = [] } = {}) {
+    if (this._sync) return;
+    const current = JSON.stringify(this._state);
+    const sync = {
+      base: current, // last state every tab has seen: the merge base
+      written: current, // last state this tab saved
+      writtenSeq: null, // its number if it was this tab's own save
+      seq: 0, // number of the last save, see _stampSave()
+      localWins: localWins.slice(),
+      channel: null,
+      running: null,
+      again: false
+    };
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      sync.channel = new BroadcastChannel(SYNC_CHANNEL);
+      sync.channel.onmessage = (event) => {
+        const data = event && event.data;
+        if (data && data.type === 'saved' && data.tab !== this._tabId) {
+          this._scheduleSync();
+        }
+      };
+    } else if (this._backend instanceof LocalStorageBackend && typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) this._scheduleSync();
+      });
+    }
+
+    this._sync = sync;
+  }
+
+  /**
+   * Register a callback run after changes from another tab were merged in.
+   * It receives `{ conflicts }` (see VfsMergeConflict in fs/stateMerge.js).
+   * @param {function({ conflicts: Array<{ path: string, message: string }> }): void} callback
+   * @returns {function(): void} call to unregister
+   */
+  onExternalChange(callback) {
+    this._externalChangeListeners.add(callback);
+    return () => {
+      this._externalChangeListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Wait until the most recent save() has reached the backend. Rethrows
+   * its error (e.g. ENOSPC) once.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const pending = this._pendingWrite;
+    if (!pending) return;
+    try {
+      await pending;
+    } finally {
+      if (this._pendingWrite === pending) this._pendingWrite = null;
+    }
+  }
+
+  /**
+   * How much of the backend's storage is in use. `used` and `quota` come
+   * from the backend (they may cover the whole origin); `tree` is the size
+   * in bytes of the serialized VFS state, as UTF-8.
+   * @returns {Promise<{ backend: string, used: number|null, quota: number|null, available: number|null, tree: number }>}
+   */
+  async storageInfo() {
+    const tree = new TextEncoder().encode(JSON.stringify(this._state)).length;
+    let used = null;
+    let quota = null;
+    if (typeof this._backend.estimate === 'function') {
+      try {
+        ({ used, quota } = await this._backend.estimate());
+      } catch (_) {
+        used = null;
+        quota = null;
+      }
+    }
+    const available = used != null && quota != null ? Math.max(0, quota - used) : null;
+    return { backend: this._backend.name || 'unknown', used: used != null ? used : tree, quota, available, tree };
+  }
+
+  /**
+   * Run `fn` as one batch: the tree is persisted once when it completes
+   * (instead of once per writeFile/mkdir/unlink/...) and watchers are
+   * notified then. If `fn` throws, the tree, the cwd and writable mounts are
+   * rolled back to where they were and nothing is persisted.
+   *
+   * `fn` receives this VFS. Nested calls join the outer transaction, and
+   * changes made by other code while `fn` is waiting become part of it.
+   *
+   * @template T
+   * @param {function(VirtualFileSystem): (T|Promise<T>)} fn
+   * @returns {Promise<T>}
+   */
+  async transaction(fn) {
+    if (this._tx) {
+      return await fn(this);
+    }
+
+    const tx = {
+      state: JSON.stringify(this._state),
+      // Read-only mounts cannot change; writable ones (tmpfs) are restored.
+      mounts: Array.from(this._mounts, ([path, m]) => [path, m, m.info.readOnly ? null : JSON.stringify(m.root)]),
+      dirty: false,
+      events: [],
+      syncPending: false
+    };
+    const rollback = () => {
+      this._tx = null;
+      this._state = JSON.parse(tx.state);
+      this._mounts = new Map(tx.mounts.map(([path, m, root]) => {
+        if (root != null) m.root = JSON.parse(root);
+        return [path, m];
+      }));
+      if (tx.syncPending) this._scheduleSync();
+    };
+
+    this._tx = tx;
+    let result;
+    try {
+      result = await fn(this);
+    } catch (err) {
+      rollback();
+      throw err;
+    }
+
+    this._tx = null;
+    if (tx.dirty) {
+      try {
+        this.save();
+      } catch (err) {
+        rollback();
+        throw err;
+      }
+    }
+    for (const event of tx.events) {
+      this._emit(event);
+    }
+    if (tx.syncPending) this._scheduleSync();
+    return result;
+  }
+
+  /**
+   * Persist a copy of the current state under another backend key
+   * (e.g. `jsshell.vfs.backup.<timestamp>`).
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async writeBackup(key) {
+    await this._backend.write(key, this._state);
+  }
+
+  /**
+   * Replace the whole tree (e.g. when restoring a backup) and persist it.
+   * @param {VfsState} state
+   */
+  replaceState(state) {
+    const normalized = this._normalizeLoadedState(state);
+    if (!normalized) {
+      throw new Error('vfs: invalid filesystem state');
+    }
+    this._state = normalized;
+    this._mounts.clear();
+    this.save();
+    this._emit({ type: 'modify', path: '/', kind: 'folder', subtree: true });
+    // Mount points may differ in the new tree; re-apply its mount table.
+    this.restoreMounts();
   }
 
   /** Reset filesystem to default state. */
   reset() {
     this._state = this._createDefaultState();
+    this._mounts.clear();
+    this.save();
+    this._emit({ type: 'modify', path: '/', kind: 'folder', subtree: true });
+  }
+
+  /**
+   * Mount a filesystem on an existing folder. The folder's own content is
+   * hidden (not lost) until the mount is removed again. The mount is added
+   * to the persisted mount table unless `persist` is false.
+   * @param {string} path - mount point
+   * @param {{ type: string, source?: string, readOnly?: boolean, persist?: boolean }} options
+   * @returns {Promise<VfsMountInfo>}
+   */
+  async mount(path, { type, source, readOnly, persist = true } = {}) {
+    const Provider = MOUNT_TYPES[type];
+    if (!Provider) {
+      throw vfsError('ENODEV', `mount: unknown filesystem type '${type}'`);
+    }
+
+    const mountPath = this._mountPointPath(path, 'mount');
+    const provider = new Provider(source, { path: mountPath, backend: this._backend, readOnly });
+    const entries = await provider.entries();
+
+    // Check again: another mount may have been added while loading.
+    if (this._mounts.has(mountPath)) {
+      throw vfsError('EBUSY', `mount: ${mountPath}: already mounted`);
+    }
+    const name = mountPath.split('/').pop();
+    const info = { path: mountPath, type: provider.type, source: provider.source, readOnly: provider.readOnly };
+    this._mounts.set(mountPath, {
+      info,
+      provider,
+      root: buildMountTree(name, entries, provider.readOnly, Date.now())
+    });
+
+    if (persist) {
+      const table = Array.isArray(this._state.mounts) ? this._state.mounts : [];
+      this._state.mounts = table.filter((m) => m.path !== mountPath).concat([info]);
+      this.save();
+    }
+    this._emit({ type: 'modify', path: mountPath, kind: 'folder', subtree: true });
+    return info;
+  }
+
+  /**
+   * Remove the mount at `path` and drop it from the mount table.
+   * @param {string} path
+   */
+  umount(path) {
+    const parts = this._normalizePath(path);
+    let resolved = null;
+    try {
+      resolved = this._resolveNode(parts, { followLast: true });
+    } catch (_) {
+      resolved = null;
+    }
+    const mountPath = resolved && resolved.node ? '/' + this._physicalParts(resolved).join('/') : '/' + parts.join('/');
+    const entry = this._mounts.get(mountPath);
+    if (!entry) {
+      throw vfsError('EINVAL', `umount: ${path}: not mounted`);
+    }
+    const cwd = this.getCwdPath();
+    if (cwd === mountPath || cwd.startsWith(mountPath + '/')) {
+      throw vfsError('EBUSY', `umount: ${mountPath}: target is busy`);
+    }
+
+    this._mounts.delete(mountPath);
+    if (Array.isArray(this._state.mounts)) {
+      this._state.mounts = this._state.mounts.filter((m) => m.path !== mountPath);
+    }
     this.save();
+    this._emit({ type: 'modify', path: mountPath, kind: 'folder', subtree: true });
+  }
+
+  /**
+   * Call `callback` with a VfsChangeEvent whenever something at `path`
+   * changes: the path itself or its direct children, or anything below it
+   * with `{ recursive: true }`. The path does not need to exist yet.
+   *
+   *   const w = vfs.watch('/bin', (e) => console.log(e.type, e.path));
+   *   vfs.unwatch(w);
+   *
+   * @param {string} path
+   * @param {{ recursive?: boolean }|function(VfsChangeEvent): void} [options]
+   * @param {function(VfsChangeEvent): void} [callback]
+   * @returns {Object} opaque handle for unwatch()
+   */
+  watch(path, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback !== 'function') {
+      throw new TypeError('watch: callback must be a function');
+    }
+    const watcher = {
+      path: this._canonicalPath(path),
+      recursive: Boolean(options && options.recursive),
+      callback
+    };
+    this._watchers.add(watcher);
+    return watcher;
+  }
+
+  /**
+   * Stop a watcher returned by watch().
+   * @param {Object} watcher
+   * @returns {boolean} false if it was not active
+   */
+  unwatch(watcher) {
+    return this._watchers.delete(watcher);
+  }
+
+  /**
+   * List active mounts, sorted by mount point.
+   * @returns {VfsMountInfo[]}
+   */
+  mounts() {
+    return Array.from(this._mounts.values())
+      .map((m) => ({ ...m.info }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Return the mount a path lives on, or null for the persisted tree.
+   * @param {string} path
+   * @returns {VfsMountInfo|null}
+   */
+  getMount(path) {
+    try {
+      const { mount } = this._resolveNode(this._normalizePath(path), { followLast: true });
+      return mount ? { ...mount.info } : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Mount everything in the persisted mount table that is not mounted yet
+   * (called on startup). Failures are collected, not thrown.
+   * @returns {Promise<{ mounted: VfsMountInfo[], failed: Array<{ path: string, error: Error }> }>}
+   */
+  async restoreMounts() {
+    const mounted = [];
+    const failed = [];
+    const table = Array.isArray(this._state.mounts) ? this._state.mounts.slice() : [];
+    for (const m of table) {
+      if (!m || typeof m.path !== 'string' || this._mounts.has(m.path)) continue;
+      try {
+        mounted.push(await this.mount(m.path, { type: m.type, source: m.source, readOnly: m.readOnly, persist: false }));
+      } catch (err) {
+        failed.push({ path: m.path, error: err });
+      }
+    }
+    return { mounted, failed };
   }
 
   /** @private */
   _createDefaultState() {
     return {
-      root: {
-        type: 'folder',
-        name: '/',
-        folders: [],
-        files: []
-      },
+      root: createFolderNode('/'),
       cwdParts: []
     };
   }
@@ -68,17 +834,33 @@ export class VirtualFileSystem {
   /** @private */
   _load() {
     try {
-      const raw = this._storage.getItem(STORAGE_KEY);
-      if (!raw) return null;
-      const parsed = JSON.parse(raw);
-      if (!parsed.root || parsed.root.type !== 'folder') return null;
-      parsed.cwdParts = Array.isArray(parsed.cwdParts) ? parsed.cwdParts : [];
-      return parsed;
+      const raw = this._backend.read(STORAGE_KEY);
+      if (isThenable(raw)) {
+        return raw.then((value) => this._normalizeLoadedState(value), () => null);
+      }
+      return this._normalizeLoadedState(raw);
     } catch (_) {
       return null;
     }
   }
 
+  /** @private */
+  _normalizeLoadedState(parsed) {
+    if (!parsed || typeof parsed !== 'object') return null;
+    if (!parsed.root || parsed.root.type !== 'folder') return null;
+    parsed.cwdParts = Array.isArray(parsed.cwdParts) ? parsed.cwdParts : [];
+    backfillMetadata(parsed.root, Date.now());
+    return parsed;
+  }
+
+  /** @private */
+  _applyLoadedState(state) {
+    if (state) {
+      this._state = state;
+      this._loadedFromStorage = true;
+    }
+  }
+
   /** Get current working directory folder node. */
   getCwdFolder() {
     return this._resolveFolder(this._state.cwdParts);
@@ -105,126 +887,1385 @@ export class VirtualFileSystem {
     if (!name || /[\\/]/.test(name)) {
       throw new Error('mkdir: folder name must be a simple name without path separators');
     }
-    const cwd = this.getCwdFolder();
+    const { node: cwd, mount } = this._resolveNode(this._state.cwdParts, { followLast: true });
     if (cwd.folders.some((f) => f.name === name) || cwd.files.some((f) => f.name === name)) {
       throw new Error(`mkdir: cannot create directory '${name}': File exists`);
     }
-    cwd.folders.push({ type: 'folder', name, folders: [], files: [] });
+    this._assertWritable(mount, `mkdir: cannot create directory '${name}': Read-only file system`);
+    const now = Date.now();
+    cwd.folders.push(createFolderNode(name, now));
+    cwd.mtime = now;
     this.save();
+    this._emit({ type: 'create', path: this._childPath(this._physicalCwdParts(), name), kind: 'folder' });
   }
 
-  /** List contents of a folder at path (or current dir by default). */
+  /**
+   * List contents of a folder at path (or current dir by default).
+   * Symlinks are reported under `folders` or `files` according to what they
+   * point to (dangling links count as files).
+   */
   list(path = '.') {
-    const folder = path === '.' ? this.getCwdFolder() : this._resolveFolder(this._normalizePath(path));
+    let resolved = null;
+    try {
+      resolved = this._resolveNode(this._normalizePath(path), { followLast: true });
+    } catch (_) {
+      resolved = null;
+    }
+    const folder = resolved && resolved.node && resolved.node.type === 'folder' ? resolved.node : null;
     if (!folder) {
       throw new Error(`ls: cannot access '${path}': No such file or directory`);
     }
-    return {
-      folders: folder.folders.map((f) => f.name),
-      files: folder.files.map((f) => f.name)
-    };
+    const folderParts = this._physicalParts(resolved);
+    const folders = folder.folders.map((f) => f.name);
+    const files = [];
+    for (const f of folder.files) {
+      if (f.type === 'symlink' && this._symlinkPointsToFolder(folderParts, f)) {
+        folders.push(f.name);
+      } else {
+        files.push(f.name);
+      }
+    }
+    return { folders, files };
   }
 
-  /** Remove an empty folder in the current working directory. */
-  rmdir(name) {
-    const cwd = this.getCwdFolder();
-    const idx = cwd.folders.findIndex((f) => f.name === name);
-    if (idx === -1) {
-      throw new Error(`rmdir: failed to remove '${name}': No such file or directory`);
+  /** Remove an empty folder (path relative to the cwd by default). */
+  rmdir(path) {
+    const target = this._resolveNode(this._normalizePath(path), { followLast: false });
+    if (!target.node) {
+      throw vfsError('ENOENT', `rmdir: failed to remove '${path}': No such file or directory`);
     }
-    const folder = cwd.folders[idx];
-    if (folder.folders.length || folder.files.length) {
-      throw new Error(`rmdir: failed to remove '${name}': Directory not empty`);
+    if (target.node.type !== 'folder') {
+      throw vfsError('ENOTDIR', `rmdir: failed to remove '${path}': Not a directory`);
     }
-    cwd.folders.splice(idx, 1);
-    this.save();
+    const folderPath = '/' + this._physicalParts(target).join('/');
+    if (!target.parent || this._hasMountAtOrBelow(folderPath)) {
+      throw vfsError('EBUSY', `rmdir: failed to remove '${path}': Device or resource busy`);
+    }
+    this._assertWritable(target.mount, `rmdir: failed to remove '${path}': Read-only file system`);
+    if (target.node.folders.length || target.node.files.length) {
+      throw vfsError('ENOTEMPTY', `rmdir: failed to remove '${path}': Directory not empty`);
+    }
+    this._detach(target, folderPath);
   }
 
   /**
    * Create or overwrite a file at the given path (relative to cwd by default).
+   *
+   * Binary content (a Uint8Array, other typed array or ArrayBuffer) is stored
+   * base64-encoded; so is a string passed with `encoding: 'base64'`.
+   *
    * @param {string} path
-   * @param {string} content
+   * @param {string|Uint8Array|ArrayBuffer} content
+   * @param {{ mime?: string, encoding?: 'utf8'|'base64', history?: boolean }} [options] - explicit
+   *   MIME type (guessed from the name otherwise) and encoding of a string
+   *   `content`; `history: false` replaces the content without keeping the
+   *   old one as a revision (for state files rewritten all the time)
    */
-  writeFile(path, content) {
-    const { parent, name, existingFile } = this._ensureFileParent(path);
+  writeFile(path, content, { mime, encoding, history = true } = {}) {
+    const bytes = toBytes(content);
+    if (bytes) {
+      content = bytesToBase64(bytes);
+      encoding = 'base64';
+    } else {
+      content = String(content ?? '');
+      encoding = encoding === 'base64' ? 'base64' : 'utf8';
+    }
+
+    const { parent, name, parentParts, existingFile, mount } = this._ensureFileParent(path);
+    const now = Date.now();
     if (existingFile) {
-      existingFile.content = content;
+      const data = this._fileData(existingFile);
+      if (history && !mount && (data.content !== content || data.encoding !== encoding)) {
+        this._recordRevision(data);
+      }
+      data.content = content;
+      data.encoding = encoding;
+      data.size = byteLength(content, encoding);
+      data.mtime = now;
+      data.atime = now;
+      if (mime) data.mime = mime;
     } else {
-      parent.files.push({ type: 'file', name, content });
+      parent.files.push(createFileNode(name, content, { mime, encoding, now }));
+      parent.mtime = now;
     }
     this.save();
+    this._emit({ type: existingFile ? 'modify' : 'create', path: this._childPath(parentParts, name), kind: 'file' });
   }
 
   /**
-   * Read file content at the given path.
+   * Read file content at the given path. Binary files are returned as a
+   * `data:` URL (usable as an image source); use readFileBytes() for their
+   * bytes.
    * @param {string} path
    * @returns {string}
    */
   readFile(path) {
-    const { file } = this._getFile(path);
-    if (!file) {
-      throw new Error(`cat: ${path}: No such file`);
+    const data = this._readData(path);
+    if (data.encoding === 'base64') {
+      return `data:${data.mime || 'application/octet-stream'};base64,${data.content}`;
     }
-    return file.content;
+    return data.content;
   }
 
   /**
-   * Delete a file at the given path.
+   * Read file content as bytes (text files are UTF-8 encoded).
    * @param {string} path
+   * @returns {Uint8Array}
    */
-  unlink(path) {
-    const parts = this._normalizePath(path);
-    const name = parts.pop();
-    const parent = this._resolveFolder(parts);
-    if (!parent) {
-      throw new Error(`No such file: ${path}`);
-    }
-    const idx = parent.files.findIndex((f) => f.name === name);
-    if (idx === -1) {
-      throw new Error(`No such file: ${path}`);
+  readFileBytes(path) {
+    const data = this._readData(path);
+    if (data.encoding === 'base64') {
+      return base64ToBytes(data.content);
     }
-    parent.files.splice(idx, 1);
-    this.save();
+    return new TextEncoder().encode(String(data.content ?? ''));
   }
 
-  /** @private */
-  _normalizePath(path) {
-    return normalizePathParts(this._state.cwdParts, path);
+  /**
+   * Read file content, first fetching it if the file lives on a mount that
+   * loads content lazily. Use this instead of readFile() for paths that may
+   * be on a mount such as /usr/share.
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  async readFileAsync(path) {
+    await this._ensureLoaded(path);
+    return this.readFile(path);
   }
 
-  /** @private */
-  _resolveFolder(parts) {
-    let current = this._state.root;
-    for (const part of parts) {
-      const next = current.folders.find((f) => f.name === part);
-      if (!next) return null;
-      current = next;
-    }
-    return current;
+  /**
+   * readFileBytes() for files that may live on a lazily loading mount.
+   * @param {string} path
+   * @returns {Promise<Uint8Array>}
+   */
+  async readFileBytesAsync(path) {
+    await this._ensureLoaded(path);
+    return this.readFileBytes(path);
   }
 
-  /** @private */
-  _getFile(path) {
+  /**
+   * Return metadata for a file or folder, following symlinks.
+   * @param {string} path
+   * @returns {VfsStat}
+   */
+  stat(path) {
+    const parts = this._normalizePath(path);
+    const { node } = this._resolveNode(parts, { followLast: true });
+    if (!node) {
+      throw new Error(`stat: cannot stat '${path}': No such file or directory`);
+    }
+    return this._statNode(node, parts);
+  }
+
+  /**
+   * Like stat(), but reports a symlink itself instead of its target.
+   * @param {string} path
+   * @returns {VfsStat}
+   */
+  lstat(path) {
     const parts = this._normalizePath(path);
-    const name = parts.pop();
-    const parent = this._resolveFolder(parts);
-    if (!parent) return { parent: null, file: null };
-    const file = parent.files.find((f) => f.name === name);
-    return { parent, file };
+    const { node } = this._resolveNode(parts, { followLast: false });
+    if (!node) {
+      throw new Error(`stat: cannot stat '${path}': No such file or directory`);
+    }
+    return this._statNode(node, parts);
+  }
+
+  /**
+   * Return the target of a symlink.
+   * @param {string} path
+   * @returns {string}
+   */
+  readlink(path) {
+    const { node } = this._resolveNode(this._normalizePath(path), { followLast: false });
+    if (!node) {
+      throw vfsError('ENOENT', `readlink: ${path}: No such file or directory`);
+    }
+    if (node.type !== 'symlink') {
+      throw vfsError('EINVAL', `readlink: ${path}: Not a symbolic link`);
+    }
+    return node.target;
+  }
+
+  /**
+   * Create a symbolic link at `path` pointing to `target`. The target is not
+   * required to exist; relative targets are resolved from the link's folder.
+   * @param {string} target
+   * @param {string} path
+   */
+  symlink(target, path) {
+    if (!target) {
+      throw vfsError('EINVAL', 'ln: missing link target');
+    }
+    const { parent, name, parentParts } = this._createEntryParent(path, 'ln');
+    const now = Date.now();
+    parent.files.push({
+      type: 'symlink',
+      name,
+      target: String(target),
+      ctime: now,
+      mtime: now,
+      atime: now,
+      mode: SYMLINK_MODE
+    });
+    parent.mtime = now;
+    this.save();
+    this._emit({ type: 'create', path: this._childPath(parentParts, name), kind: 'symlink' });
+  }
+
+  /**
+   * Create a hard link: `newPath` becomes another name for the file at
+   * `existingPath`, sharing its content and metadata.
+   * @param {string} existingPath
+   * @param {string} newPath
+   */
+  link(existingPath, newPath) {
+    const { file } = this._getFile(existingPath);
+    if (!file) {
+      const { node } = this._resolveNode(this._normalizePath(existingPath), { followLast: true });
+      if (node && node.type === 'folder') {
+        throw vfsError('EPERM', `ln: ${existingPath}: hard link not allowed for directory`);
+      }
+      throw vfsError('ENOENT', `ln: failed to access '${existingPath}': No such file or directory`);
+    }
+    const { parent, name, parentParts, mount } = this._createEntryParent(newPath, 'ln');
+    if ((mount || null) !== (this._getFile(existingPath).mount || null)) {
+      throw vfsError('EXDEV', `ln: failed to create hard link '${newPath}': Invalid cross-device link`);
+    }
+    const inode = this._ensureInode(file);
+    const data = this._state.inodes[inode];
+    const now = Date.now();
+    data.nlink += 1;
+    data.ctime = now;
+    parent.files.push({ type: 'file', name, inode });
+    parent.mtime = now;
+    this.save();
+    this._emit({ type: 'create', path: this._childPath(parentParts, name), kind: 'file' });
+  }
+
+  /**
+   * Delete a file or symlink at the given path. A symlink is removed itself,
+   * never its target; a hard-linked file keeps its data while other links
+   * remain.
+   * @param {string} path
+   */
+  unlink(path) {
+    const { parent, node, name, parentParts, mount } = this._resolveNode(this._normalizePath(path), { followLast: false });
+    if (!parent || !node || node.type === 'folder') {
+      throw new Error(`No such file: ${path}`);
+    }
+    this._assertWritable(mount, `${path}: Read-only file system`);
+    const idx = parent.files.findIndex((f) => f.name === name);
+    if (idx === -1) {
+      throw new Error(`No such file: ${path}`);
+    }
+    parent.files.splice(idx, 1);
+    this._releaseInode(node);
+    parent.mtime = Date.now();
+    this.save();
+    this._emit({ type: 'delete', path: this._childPath(parentParts, name), kind: node.type === 'symlink' ? 'symlink' : 'file' });
+  }
+
+  /**
+   * Move or rename a file, symlink or folder (with everything below it) in
+   * one step. `dst` is the new path itself, not a folder to move into, and
+   * must not exist yet. Symlinks are moved, not followed.
+   * @param {string} src
+   * @param {string} dst
+   */
+  rename(src, dst) {
+    const from = this._resolveNode(this._normalizePath(src), { followLast: false });
+    if (!from.node) {
+      throw vfsError('ENOENT', `mv: cannot stat '${src}': No such file or directory`);
+    }
+    const fromPath = '/' + this._physicalParts(from).join('/');
+    if (!from.parent || this._hasMountAtOrBelow(fromPath)) {
+      throw vfsError('EBUSY', `mv: cannot move '${src}': Device or resource busy`);
+    }
+
+    const to = this._resolveNode(this._normalizePath(dst), { followLast: false });
+    if (!to.parent) {
+      throw vfsError('ENOENT', `mv: cannot move '${src}' to '${dst}': No such file or directory`);
+    }
+    if (to.node === from.node) return;
+    if (to.node) {
+      throw vfsError('EEXIST', `mv: cannot move '${src}' to '${dst}': File exists`);
+    }
+    if ((from.mount || null) !== (to.mount || null)) {
+      throw vfsError('EXDEV', `mv: cannot move '${src}' to '${dst}': Invalid cross-device link`);
+    }
+    this._assertWritable(from.mount, `mv: cannot move '${src}': Read-only file system`);
+    const toPath = this._childPath(to.parentParts, to.name);
+    if (from.node.type === 'folder' && toPath.startsWith(fromPath + '/')) {
+      throw vfsError('EINVAL', `mv: cannot move '${src}' to a subdirectory of itself, '${dst}'`);
+    }
+
+    const cwdPath = '/' + this._physicalCwdParts().join('/');
+    const node = from.node;
+    const now = Date.now();
+    const list = node.type === 'folder' ? 'folders' : 'files';
+    from.parent[list] = from.parent[list].filter((entry) => entry !== node);
+    node.name = to.name;
+    this._fileData(node).ctime = now;
+    to.parent[list].push(node);
+    from.parent.mtime = now;
+    to.parent.mtime = now;
+
+    // Keep the cwd inside a moved folder.
+    if (cwdPath === fromPath || cwdPath.startsWith(fromPath + '/')) {
+      this._state.cwdParts = (toPath + cwdPath.slice(fromPath.length)).split('/').filter(Boolean);
+    }
+
+    this.save();
+    this._emit({ type: 'rename', path: toPath, oldPath: fromPath, kind: nodeKind(node) });
+  }
+
+  /**
+   * Copy a file, or with `recursive` a folder and everything below it, in
+   * one step. `dst` is the path of the copy; an existing file there is
+   * overwritten, an existing folder is an error. Symlinks inside a copied
+   * folder are copied as links; hard-linked files become separate copies.
+   *
+   * Asynchronous only because files on a lazily loading mount (such as
+   * /usr/share) are fetched first.
+   * @param {string} src
+   * @param {string} dst
+   * @param {{ recursive?: boolean }} [options]
+   * @returns {Promise<void>}
+   */
+  async copy(src, dst, { recursive = false } = {}) {
+    const from = this._resolveNode(this._normalizePath(src), { followLast: true });
+    if (from.node) {
+      const pending = [];
+      const collect = (node, mount) => {
+        if (node.lazy != null) pending.push(this._loadLazy(node, mount));
+      };
+      if (from.node.type === 'folder') {
+        if (recursive) this._walkTree(from.node, '/' + this._physicalParts(from).join('/'), from.mount, collect);
+      } else {
+        collect(from.node, from.mount);
+      }
+      await Promise.all(pending);
+    }
+    this._copyNow(src, dst, recursive);
+  }
+
+  /**
+   * Delete a file, symlink or folder. A folder must be empty unless
+   * `recursive` is set, in which case everything below it goes too. As with
+   * unlink(), symlinks are removed themselves, never their targets.
+   * @param {string} path
+   * @param {{ recursive?: boolean }} [options]
+   */
+  remove(path, { recursive = false } = {}) {
+    const target = this._resolveNode(this._normalizePath(path), { followLast: false });
+    if (!target.node) {
+      throw vfsError('ENOENT', `rm: cannot remove '${path}': No such file or directory`);
+    }
+    const targetPath = '/' + this._physicalParts(target).join('/');
+    if (!target.parent) {
+      throw vfsError('EPERM', `rm: refusing to remove '/'`);
+    }
+    if (target.node.type === 'folder' && this._hasMountAtOrBelow(targetPath)) {
+      throw vfsError('EBUSY', `rm: cannot remove '${path}': Device or resource busy`);
+    }
+    this._assertWritable(target.mount, `rm: cannot remove '${path}': Read-only file system`);
+    if (target.node.type === 'folder' && !recursive && (target.node.folders.length || target.node.files.length)) {
+      throw vfsError('ENOTEMPTY', `rm: cannot remove '${path}': Directory not empty`);
+    }
+    this._detach(target, targetPath);
+  }
+
+  /**
+   * Revisions of a file, newest first. The first entry is the current
+   * content; up to MAX_REVISIONS earlier ones follow. Files on mounts have
+   * no history.
+   * @param {string} path
+   * @returns {Array<{ rev: number, size: number, mime: string|null, encoding: 'utf8'|'base64', mtime: number, current: boolean }>}
+   */
+  fileHistory(path) {
+    const data = this._historyData(path, 'history');
+    const blobs = this._state.blobs || {};
+    const out = [{
+      rev: data.rev || 1,
+      size: data.size,
+      mime: data.mime || null,
+      encoding: data.encoding === 'base64' ? 'base64' : 'utf8',
+      mtime: data.mtime,
+      current: true
+    }];
+    for (const r of (data.revisions || []).slice().reverse()) {
+      const blob = blobs[r.blob];
+      out.push({ rev: r.rev, size: r.size, mime: r.mime, encoding: blob ? blob.encoding : 'utf8', mtime: r.mtime, current: false });
+    }
+    return out;
+  }
+
+  /**
+   * Content of a file at revision `rev`, like readFile() returns it.
+   * @param {string} path
+   * @param {number} rev
+   * @returns {string}
+   */
+  readRevision(path, rev) {
+    const data = this._historyData(path, 'history');
+    if (Number(rev) === (data.rev || 1)) {
+      return this.readFile(path);
+    }
+    const { revision, blob } = this._findRevision(data, path, rev, 'history');
+    if (blob.encoding === 'base64') {
+      return `data:${revision.mime || 'application/octet-stream'};base64,${blob.content}`;
+    }
+    return blob.content;
+  }
+
+  /**
+   * Put the content of revision `rev` back into a file. The content it
+   * replaces becomes a new revision, so a revert can be reverted too.
+   * @param {string} path
+   * @param {number} rev
+   */
+  revertFile(path, rev) {
+    const data = this._historyData(path, 'revert');
+    if (Number(rev) === (data.rev || 1)) return;
+    const { revision, blob } = this._findRevision(data, path, rev, 'revert');
+    this.writeFile(path, blob.content, { encoding: blob.encoding, mime: revision.mime || undefined });
+  }
+
+  /**
+   * Save the current tree (without mounts and SNAPSHOT_EXCLUDED) as a named
+   * snapshot. Content is shared with other snapshots and revisions, so a
+   * snapshot only costs storage for files that changed since.
+   * @param {string} name - letters, digits, '.', '-' and '_'
+   */
+  snapshot(name) {
+    if (!/^[\w.-]+$/.test(String(name || ''))) {
+      throw vfsError('EINVAL', `snapshot: invalid name '${name}' (use letters, digits, '.', '-' and '_')`);
+    }
+    if (this._state.snapshots && Object.prototype.hasOwnProperty.call(this._state.snapshots, name)) {
+      throw vfsError('EEXIST', `snapshot: '${name}' already exists`);
+    }
+    if (!this._state.blobs) this._state.blobs = {};
+    const blobs = this._state.blobs;
+    const freezeData = (data) => {
+      const { content, revisions, rev, ...meta } = data;
+      return { ...meta, blob: putBlob(blobs, String(content ?? ''), data.encoding === 'base64' ? 'base64' : 'utf8') };
+    };
+    const freeze = (node) => {
+      if (node.type === 'folder') {
+        return { ...node, folders: node.folders.map(freeze), files: node.files.map(freeze) };
+      }
+      if (node.type === 'symlink' || node.inode != null) return { ...node };
+      return freezeData(node);
+    };
+    const root = snapshotRoot(this._state.root);
+    const inodes = {};
+    for (const id of linkedInodes(root)) {
+      const data = this._state.inodes && this._state.inodes[id];
+      if (data) inodes[id] = freezeData(data);
+    }
+    if (!this._state.snapshots) this._state.snapshots = {};
+    this._state.snapshots[name] = { created: Date.now(), root: freeze(root), inodes };
+    this.save();
+  }
+
+  /**
+   * List snapshots, oldest first.
+   * @returns {Array<{ name: string, created: number, files: number }>}
+   */
+  snapshots() {
+    return Object.entries(this._state.snapshots || {})
+      .map(([name, snap]) => {
+        const entries = flattenTree(snapshotRoot(snap.root), snap.inodes);
+        const files = Array.from(entries.values()).filter((node) => node.type !== 'folder' && node.type !== 'symlink').length;
+        return { name, created: snap.created, files };
+      })
+      .sort((a, b) => a.created - b.created);
+  }
+
+  /**
+   * Replace the tree with a snapshot. Mounts and SNAPSHOT_EXCLUDED stay as
+   * they are, and files that exist in both keep their history: the content
+   * being replaced is kept as a revision.
+   * @param {string} name
+   */
+  restoreSnapshot(name) {
+    const snap = this._getSnapshot(name);
+    const blobs = this._state.blobs || {};
+    const current = flattenTree(this._state.root, this._state.inodes);
+
+    const thawData = (node) => {
+      const { blob, ...meta } = node;
+      const stored = blobs[blob] || { content: '', encoding: 'utf8' };
+      return { ...meta, content: stored.content, encoding: stored.encoding };
+    };
+    const thaw = (node, path) => {
+      const childPath = (name) => (path === '/' ? `/${name}` : `${path}/${name}`);
+      if (node.type === 'folder') {
+        return {
+          ...node,
+          folders: node.folders.map((f) => thaw(f, childPath(f.name))),
+          files: node.files.map((f) => thaw(f, childPath(f.name)))
+        };
+      }
+      if (node.type === 'symlink' || node.inode != null) return { ...node };
+      const data = thawData(node);
+      const previous = current.get(path);
+      if (previous && previous.type !== 'folder' && previous.type !== 'symlink' && previous.nlink == null) {
+        const carried = { ...previous, revisions: (previous.revisions || []).slice() };
+        if (previous.content !== data.content || previous.encoding !== data.encoding) {
+          this._recordRevision(carried);
+        }
+        data.rev = carried.rev;
+        data.revisions = carried.revisions;
+      }
+      return data;
+    };
+
+    const inodes = {};
+    for (const [id, data] of Object.entries(snap.inodes || {})) {
+      inodes[id] = thawData(data);
+    }
+    const root = thaw(snapshotRoot(snap.root), '/');
+    const kept = this._state.root.folders.filter((f) => SNAPSHOT_EXCLUDED.includes(f.name));
+    for (const folder of kept) {
+      root.folders.push(folder);
+      for (const id of linkedInodes(folder)) {
+        if (this._state.inodes && this._state.inodes[id]) inodes[id] = this._state.inodes[id];
+      }
+    }
+    this._state.root = root;
+    this._state.inodes = inodes;
+    if (!this._resolveFolder(this._state.cwdParts)) {
+      this._state.cwdParts = [];
+    }
+    this.save();
+    this._emit({ type: 'modify', path: '/', kind: 'folder', subtree: true });
+  }
+
+  /**
+   * Paths that differ between snapshot `name` and snapshot `other` (or the
+   * current tree when `other` is omitted), sorted by path. SNAPSHOT_EXCLUDED
+   * is not compared.
+   * @param {string} name
+   * @param {string} [other]
+   * @returns {Array<{ type: 'added'|'removed'|'modified', path: string }>}
+   */
+  diffSnapshot(name, other) {
+    const blobs = this._state.blobs || {};
+    const signatures = (root, inodes) => {
+      const out = new Map();
+      for (const [path, node] of flattenTree(snapshotRoot(root), inodes)) {
+        if (node.type === 'folder') out.set(path, 'd');
+        else if (node.type === 'symlink') out.set(path, `l:${node.target}`);
+        else if (node.blob != null) {
+          const stored = blobs[node.blob] || {};
+          out.set(path, `f:${stored.encoding}:${stored.content}`);
+        } else {
+          out.set(path, `f:${node.encoding === 'base64' ? 'base64' : 'utf8'}:${node.content}`);
+        }
+      }
+      return out;
+    };
+    const snap = this._getSnapshot(name);
+    const before = signatures(snap.root, snap.inodes);
+    const target = other != null ? this._getSnapshot(other) : this._state;
+    const after = signatures(target.root, target.inodes);
+
+    const changes = [];
+    for (const [path, sig] of after) {
+      if (!before.has(path)) changes.push({ type: 'added', path });
+      else if (before.get(path) !== sig) changes.push({ type: 'modified', path });
+    }
+    for (const path of before.keys()) {
+      if (!after.has(path)) changes.push({ type: 'removed', path });
+    }
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Delete a snapshot; content only it referred to is freed.
+   * @param {string} name
+   */
+  deleteSnapshot(name) {
+    this._getSnapshot(name);
+    delete this._state.snapshots[name];
+    this.save();
+  }
+
+  /** @private */
+  _normalizePath(path) {
+    return normalizePathParts(this._state.cwdParts, path);
+  }
+
+  /**
+   * Walk path parts from the root, following symlinks in intermediate
+   * components (and in the last one when `followLast` is set).
+   *
+   * Returns the node found (or null), the folder that contains it and the
+   * entry name within that folder, so callers can create a missing entry.
+   * `parent` is null when an intermediate component is missing or not a
+   * folder.
+   * @private
+   */
+  _resolveNode(parts, { followLast = true } = {}) {
+    const root = this._state.root;
+    let folder = root;
+    let folderParts = [];
+    let mount = null;
+    let remaining = parts.slice();
+    let hops = 0;
+
+    const atFolder = () => ({
+      parent: null,
+      node: folder,
+      name: folderParts[folderParts.length - 1] || '/',
+      parentParts: folderParts.slice(0, -1),
+      mount
+    });
+
+    if (!remaining.length) {
+      return atFolder();
+    }
+
+    while (remaining.length) {
+      const part = remaining.shift();
+      const isLast = remaining.length === 0;
+
+      if (part === '.' || part === '') {
+        if (isLast) return atFolder();
+        continue;
+      }
+      if (part === '..') {
+        folderParts = folderParts.slice(0, -1);
+        ({ folder, mount } = this._resolveFolderStrict(folderParts));
+        if (isLast) return atFolder();
+        continue;
+      }
+
+      const child = folder.folders.find((f) => f.name === part) ||
+        folder.files.find((f) => f.name === part) ||
+        null;
+
+      if (!child) {
+        return isLast
+          ? { parent: folder, node: null, name: part, parentParts: folderParts, mount }
+          : { parent: null, node: null, name: part, parentParts: folderParts, mount };
+      }
+
+      if (child.type === 'symlink' && (!isLast || followLast)) {
+        hops += 1;
+        if (hops > MAX_SYMLINK_HOPS) {
+          throw vfsError('ELOOP', `Too many levels of symbolic links: /${parts.join('/')}`);
+        }
+        const targetParts = String(child.target).split('/');
+        remaining = (child.target.startsWith('/') ? [] : folderParts).concat(targetParts, remaining);
+        folder = root;
+        folderParts = [];
+        mount = null;
+        continue;
+      }
+
+      // A mounted folder is replaced by the root of the mounted tree.
+      const childParts = folderParts.concat([part]);
+      const childMount = child.type === 'folder' ? this._mounts.get('/' + childParts.join('/')) : null;
+      const node = childMount ? childMount.root : child;
+
+      if (isLast) {
+        return { parent: folder, node, name: part, parentParts: folderParts, mount: childMount || mount };
+      }
+      if (node.type !== 'folder') {
+        return { parent: null, node: null, name: part, parentParts: folderParts, mount };
+      }
+      folder = node;
+      folderParts = childParts;
+      if (childMount) mount = childMount;
+    }
+
+    return atFolder();
+  }
+
+  /**
+   * Resolve physical folder parts (no symlinks involved), used when
+   * stepping back with '..' during symlink resolution.
+   * @private
+   */
+  _resolveFolderStrict(parts) {
+    let folder = this._state.root;
+    let mount = null;
+    for (let i = 0; i < parts.length; i += 1) {
+      const next = folder.folders.find((f) => f.name === parts[i]);
+      if (!next) return { folder: this._state.root, mount: null };
+      const nextMount = this._mounts.get('/' + parts.slice(0, i + 1).join('/'));
+      folder = nextMount ? nextMount.root : next;
+      if (nextMount) mount = nextMount;
+    }
+    return { folder, mount };
+  }
+
+  /** @private */
+  _resolveFolder(parts) {
+    let result;
+    try {
+      result = this._resolveNode(parts, { followLast: true });
+    } catch (err) {
+      if (err && err.code === 'ELOOP') return null;
+      throw err;
+    }
+    return result.node && result.node.type === 'folder' ? result.node : null;
+  }
+
+  /**
+   * Physical (symlink-free) path parts of a node returned by _resolveNode.
+   * @private
+   */
+  _physicalParts(resolved) {
+    if (resolved.node === this._state.root) return [];
+    return resolved.parentParts.concat([resolved.name]);
+  }
+
+  /** @private */
+  _symlinkPointsToFolder(folderParts, link) {
+    const target = String(link.target);
+    const parts = target.startsWith('/')
+      ? target.split('/')
+      : folderParts.concat(target.split('/'));
+    return Boolean(this._resolveFolder(parts));
+  }
+
+  /**
+   * Content/metadata holder for a file node: the node itself, or the shared
+   * inode record for hard-linked files.
+   * @private
+   */
+  _fileData(node) {
+    if (node && node.inode != null && this._state.inodes && this._state.inodes[node.inode]) {
+      return this._state.inodes[node.inode];
+    }
+    return node;
+  }
+
+  /**
+   * Keep the current content of a file as a revision before it is
+   * replaced. The oldest revisions are dropped past MAX_REVISIONS; their
+   * content is freed by the next save().
+   * @private
+   */
+  _recordRevision(data) {
+    const rev = data.rev || 1;
+    data.rev = rev + 1;
+    if (data.size > MAX_REVISION_SIZE) return;
+    if (!this._state.blobs) this._state.blobs = {};
+    const encoding = data.encoding === 'base64' ? 'base64' : 'utf8';
+    const revisions = Array.isArray(data.revisions) ? data.revisions : [];
+    revisions.push({
+      rev,
+      blob: putBlob(this._state.blobs, String(data.content ?? ''), encoding),
+      size: data.size,
+      mime: data.mime || null,
+      mtime: data.mtime
+    });
+    data.revisions = revisions.slice(-MAX_REVISIONS);
+  }
+
+  /** @private */
+  _historyData(path, label) {
+    const { node } = this._resolveNode(this._normalizePath(path), { followLast: true });
+    if (!node) {
+      throw vfsError('ENOENT', `${label}: ${path}: No such file`);
+    }
+    if (node.type === 'folder') {
+      throw vfsError('EISDIR', `${label}: ${path}: Is a directory`);
+    }
+    return this._fileData(node);
+  }
+
+  /** @private */
+  _findRevision(data, path, rev, label) {
+    const revision = (data.revisions || []).find((r) => r.rev === Number(rev));
+    const blob = revision && this._state.blobs ? this._state.blobs[revision.blob] : null;
+    if (!blob) {
+      throw vfsError('ENOENT', `${label}: ${path}: no revision ${rev} (see 'history ${path}')`);
+    }
+    return { revision, blob };
+  }
+
+  /** @private */
+  _getSnapshot(name) {
+    const snaps = this._state.snapshots;
+    const snap = snaps && Object.prototype.hasOwnProperty.call(snaps, name) ? snaps[name] : null;
+    if (!snap) {
+      throw vfsError('ENOENT', `snapshot: '${name}': no such snapshot`);
+    }
+    return snap;
+  }
+
+  /**
+   * Move a plain file node's data into the inode table (if not there yet)
+   * and return its inode key.
+   * @private
+   */
+  _ensureInode(node) {
+    if (node.inode != null) return node.inode;
+    if (!this._state.inodes) this._state.inodes = {};
+    let id;
+    do {
+      id = `i${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    } while (this._state.inodes[id]);
+
+    const data = { ...node, nlink: 1 };
+    delete data.type;
+    delete data.name;
+    this._state.inodes[id] = data;
+    for (const key of Object.keys(node)) {
+      if (key !== 'type' && key !== 'name') delete node[key];
+    }
+    node.inode = id;
+    return id;
+  }
+
+  /** @private */
+  _releaseInode(node) {
+    if (!node || node.inode == null || !this._state.inodes) return;
+    const data = this._state.inodes[node.inode];
+    if (!data) return;
+    data.nlink -= 1;
+    data.ctime = Date.now();
+    if (data.nlink <= 0) {
+      delete this._state.inodes[node.inode];
+    }
+  }
+
+  /** @private */
+  _statNode(node, parts) {
+    const absolute = '/' + parts.join('/');
+    const name = parts.length ? parts[parts.length - 1] : '/';
+
+    if (node.type === 'folder') {
+      return {
+        type: 'folder',
+        name,
+        path: absolute,
+        size: node.folders.length + node.files.length,
+        mode: node.mode,
+        mime: null,
+        encoding: null,
+        ctime: node.ctime,
+        mtime: node.mtime,
+        atime: node.atime,
+        nlink: 1
+      };
+    }
+
+    if (node.type === 'symlink') {
+      return {
+        type: 'symlink',
+        name,
+        path: absolute,
+        size: byteLength(node.target),
+        mode: node.mode,
+        mime: null,
+        encoding: null,
+        ctime: node.ctime,
+        mtime: node.mtime,
+        atime: node.atime,
+        nlink: 1,
+        target: node.target
+      };
+    }
+
+    const data = this._fileData(node);
+    return {
+      type: 'file',
+      name,
+      path: absolute,
+      size: data.size,
+      mode: data.mode,
+      mime: data.mime || null,
+      encoding: data.encoding === 'base64' ? 'base64' : 'utf8',
+      ctime: data.ctime,
+      mtime: data.mtime,
+      atime: data.atime,
+      nlink: typeof data.nlink === 'number' ? data.nlink : 1
+    };
+  }
+
+  /**
+   * Content holder of a readable file; throws for missing and not yet
+   * loaded (lazy) files.
+   * @private
+   */
+  _readData(path) {
+    const { file, mount } = this._getFile(path);
+    if (!file) {
+      throw new Error(`cat: ${path}: No such file`);
+    }
+    if (file.lazy != null) {
+      // Start loading so a retry (or readFileAsync) finds the content.
+      this._loadLazy(file, mount).catch(() => {});
+      throw vfsError('EAGAIN', `cat: ${path}: not loaded yet from ${mount.info.type} mount, try again`);
+    }
+    // Access times are only updated in memory; they reach storage with the
+    // next save() instead of turning every read into a write.
+    const data = this._fileData(file);
+    data.atime = Date.now();
+    return data;
+  }
+
+  /** @private */
+  async _ensureLoaded(path) {
+    const { file, mount } = this._getFile(path);
+    if (file && file.lazy != null) {
+      await this._loadLazy(file, mount);
+    }
+  }
+
+  /** @private */
+  _getFile(path) {
+    const { parent, node, mount } = this._resolveNode(this._normalizePath(path), { followLast: true });
+    if (!parent || !node || node.type !== 'file') return { parent: parent || null, file: null, mount };
+    return { parent, file: node, mount };
   }
 
   /** @private */
   _ensureFileParent(path) {
-    const parts = this._normalizePath(path);
-    const name = parts.pop();
-    const parent = this._resolveFolder(parts);
+    const { parent, node, name, parentParts, mount } = this._resolveNode(this._normalizePath(path), { followLast: true });
     if (!parent) {
       throw new Error(`No such directory for path: ${path}`);
     }
-    const existingFile = parent.files.find((f) => f.name === name) || null;
-    return { parent, name, existingFile };
+    if (node && node.type === 'folder') {
+      throw vfsError('EISDIR', `${path}: Is a directory`);
+    }
+    this._assertWritable(mount, `${path}: Read-only file system`);
+    return { parent, name, parentParts, existingFile: node || null, mount };
+  }
+
+  /** @private */
+  _copyNow(src, dst, recursive) {
+    const from = this._resolveNode(this._normalizePath(src), { followLast: true });
+    if (!from.node) {
+      throw vfsError('ENOENT', `cp: cannot stat '${src}': No such file or directory`);
+    }
+    const isFolder = from.node.type === 'folder';
+    if (isFolder && !recursive) {
+      throw vfsError('EISDIR', `cp: -r not specified; omitting directory '${src}'`);
+    }
+
+    const to = this._resolveNode(this._normalizePath(dst), { followLast: true });
+    if (!to.parent) {
+      throw vfsError('ENOENT', `cp: cannot create '${dst}': No such file or directory`);
+    }
+    if (to.node === from.node) {
+      throw vfsError('EINVAL', `cp: '${src}' and '${dst}' are the same file`);
+    }
+    if (to.node && (isFolder || to.node.type === 'folder')) {
+      throw vfsError(isFolder ? 'EEXIST' : 'EISDIR', isFolder
+        ? `cp: cannot create directory '${dst}': File exists`
+        : `cp: cannot overwrite directory '${dst}' with non-directory`);
+    }
+    this._assertWritable(to.mount, `cp: cannot create '${dst}': Read-only file system`);
+    const fromPath = '/' + this._physicalParts(from).join('/');
+    const toPath = this._childPath(to.parentParts, to.name);
+    if (isFolder && toPath.startsWith(fromPath + '/')) {
+      throw vfsError('EINVAL', `cp: cannot copy a directory, '${src}', into itself, '${dst}'`);
+    }
+
+    const now = Date.now();
+    // Files copied off a read-only mount get the usual writable modes.
+    const resetModes = Boolean(from.mount && from.mount.info.readOnly);
+    const copy = this._cloneNode(from.node, to.name, fromPath, now, resetModes);
+    if (to.node) {
+      const data = this._fileData(to.node);
+      if (!to.mount && (data.content !== copy.content || data.encoding !== copy.encoding)) {
+        this._recordRevision(data);
+      }
+      for (const key of ['content', 'encoding', 'size', 'mime']) data[key] = copy[key];
+      data.mtime = now;
+      data.atime = now;
+    } else {
+      to.parent[isFolder ? 'folders' : 'files'].push(copy);
+      to.parent.mtime = now;
+    }
+
+    this.save();
+    const event = { type: to.node ? 'modify' : 'create', path: toPath, kind: nodeKind(copy) };
+    if (isFolder) event.subtree = true;
+    this._emit(event);
+  }
+
+  /**
+   * Deep copy of a node for copy(); mounted folders below are copied with
+   * their mounted content.
+   * @private
+   */
+  _cloneNode(node, name, path, now, resetModes) {
+    if (node.type === 'symlink') {
+      return { ...node, name, ctime: now, mtime: now, atime: now };
+    }
+    if (node.type === 'folder') {
+      const folder = createFolderNode(name, now);
+      if (!resetModes) folder.mode = node.mode;
+      for (const child of node.folders) {
+        const childPath = path === '/' ? `/${child.name}` : `${path}/${child.name}`;
+        const mounted = this._mounts.get(childPath);
+        const source = mounted ? mounted.root : child;
+        const readOnly = resetModes || Boolean(mounted && mounted.info.readOnly);
+        folder.folders.push(this._cloneNode(source, child.name, childPath, now, readOnly));
+      }
+      for (const child of node.files) {
+        const childPath = path === '/' ? `/${child.name}` : `${path}/${child.name}`;
+        folder.files.push(this._cloneNode(child, child.name, childPath, now, resetModes));
+      }
+      return folder;
+    }
+    const data = this._fileData(node);
+    const file = createFileNode(name, data.content, { mime: data.mime, encoding: data.encoding || 'utf8', now });
+    if (!resetModes) file.mode = data.mode;
+    return file;
+  }
+
+  /**
+   * Call `visit(node, path, mount)` for every entry below a folder, looking
+   * through mount points.
+   * @private
+   */
+  _walkTree(folder, path, mount, visit) {
+    for (const child of folder.folders) {
+      const childPath = path === '/' ? `/${child.name}` : `${path}/${child.name}`;
+      const mounted = this._mounts.get(childPath);
+      const node = mounted ? mounted.root : child;
+      visit(node, childPath, mounted || mount);
+      this._walkTree(node, childPath, mounted || mount, visit);
+    }
+    for (const file of folder.files) {
+      visit(file, path === '/' ? `/${file.name}` : `${path}/${file.name}`, mount);
+    }
   }
+
+  /** @private */
+  _hasMountAtOrBelow(path) {
+    return Array.from(this._mounts.keys()).some((p) => p === path || p.startsWith(path + '/'));
+  }
+
+  /**
+   * Take a resolved entry (and its subtree) out of its parent folder, then
+   * save and report the deletion.
+   * @private
+   */
+  _detach(target, path) {
+    const node = target.node;
+    const cwdPath = '/' + this._physicalCwdParts().join('/');
+    if (node.type === 'folder') {
+      this._walkTree(node, path, target.mount, (child) => this._releaseInode(child));
+      target.parent.folders = target.parent.folders.filter((f) => f !== node);
+      // The cwd cannot stay inside a removed folder.
+      if (cwdPath === path || cwdPath.startsWith(path + '/')) {
+        this._state.cwdParts = target.parentParts.slice();
+      }
+    } else {
+      target.parent.files = target.parent.files.filter((f) => f !== node);
+      this._releaseInode(node);
+    }
+    target.parent.mtime = Date.now();
+    this.save();
+    const event = { type: 'delete', path, kind: nodeKind(node) };
+    if (node.type === 'folder') event.subtree = true;
+    this._emit(event);
+  }
+
+  /**
+   * Replace the in-memory tree with the persisted one after a failed save,
+   * keeping the cwd when it still exists there.
+   * @private
+   */
+  _revertToPersisted(stored) {
+    const persisted = this._normalizeLoadedState(stored ? JSON.parse(JSON.stringify(stored)) : null);
+    if (!persisted) return; // nothing saved yet: keep what we have
+    const cwdParts = this._state.cwdParts;
+    this._state = persisted;
+    if (this._resolveFolder(cwdParts)) {
+      persisted.cwdParts = cwdParts;
+    } else if (!this._resolveFolder(persisted.cwdParts)) {
+      persisted.cwdParts = [];
+    }
+    if (this._sync) {
+      this._sync.written = JSON.stringify(stored);
+      this._sync.writtenSeq = null;
+    }
+    this._emit({ type: 'modify', path: '/', kind: 'folder', subtree: true });
+  }
+
+  /**
+   * Number this save and record it in `seen`, so other tabs can tell which
+   * of our saves their state already includes.
+   * @private
+   */
+  _stampSave() {
+    const sync = this._sync;
+    const seq = Math.max(Date.now(), sync.seq + 1);
+    sync.seq = seq;
+    const seen = { ...(this._state.seen || {}), [this._tabId]: seq };
+    for (const [tab, last] of Object.entries(seen)) {
+      if (last < seq - SYNC_SEEN_TTL) delete seen[tab];
+    }
+    this._state.seen = seen;
+    return seq;
+  }
+
+  /** @private */
+  _announceSave() {
+    if (this._sync && this._sync.channel) {
+      this._sync.channel.postMessage({ type: 'saved', tab: this._tabId });
+    }
+  }
+
+  /**
+   * Run _syncFromBackend(), once more if another save arrives meanwhile.
+   * @private
+   */
+  _scheduleSync() {
+    const sync = this._sync;
+    if (this._tx) {
+      // Merged once the transaction has committed or rolled back.
+      this._tx.syncPending = true;
+      return Promise.resolve();
+    }
+    if (sync.running) {
+      sync.again = true;
+      return sync.running;
+    }
+    sync.running = (async () => {
+      do {
+        sync.again = false;
+        try {
+          await this._syncFromBackend();
+        } catch (_) {
+          // Unreadable remote state: keep ours; the next save overwrites it.
+        }
+      } while (sync.again);
+      sync.running = null;
+    })();
+    return sync.running;
+  }
+
+  /** @private */
+  async _syncFromBackend() {
+    const sync = this._sync;
+    const stored = await this._backend.read(STORAGE_KEY);
+    if (this._tx) {
+      this._tx.syncPending = true;
+      return;
+    }
+    if (!stored) return;
+    // Serialized copy: a backend may hand out the object it is about to write.
+    const json = JSON.stringify(stored);
+    if (json === sync.written) return; // still our own save
+    const remote = this._normalizeLoadedState(JSON.parse(json));
+    if (!remote) return;
+
+    // Another tab may have saved without seeing our latest saves, so the
+    // base stays at the last state both sides share rather than our own.
+    // The remote state may already include our last save, which is newer
+    // than the last remote state we merged; it is then the better base (or
+    // whatever the other tab deleted from it would look like our addition).
+    const seenSave = remote.seen ? remote.seen[this._tabId] : undefined;
+    const ownBase = sync.writtenSeq !== null && seenSave === sync.writtenSeq;
+    const base = JSON.parse(ownBase ? sync.written : sync.base);
+
+    const localWins = (path) => sync.localWins.some((p) => path === p || path.startsWith(p + '/'));
+    const { state, changed, conflicts } = mergeStates(base, this._state, remote, { localWins });
+    sync.base = json;
+
+    // The working directory is per tab.
+    state.cwdParts = this._state.cwdParts;
+    this._state = state;
+    if (!this._resolveFolder(state.cwdParts)) {
+      state.cwdParts = [];
+    }
+
+    if (changed) {
+      this.save();
+    } else {
+      sync.written = json;
+      sync.writtenSeq = null;
+    }
+
+    this._emit({ type: 'modify', path: '/', kind: 'folder', subtree: true });
+    for (const listener of Array.from(this._externalChangeListeners)) {
+      try {
+        listener({ conflicts });
+      } catch (_) {
+        // ignore
+      }
+    }
+  }
+
+  /** @private */
+  _childPath(parentParts, name) {
+    return '/' + parentParts.concat([name]).join('/');
+  }
+
+  /** @private */
+  _physicalCwdParts() {
+    return this._physicalParts(this._resolveNode(this._state.cwdParts, { followLast: true }));
+  }
+
+  /**
+   * Canonical form of a path for watchers: symlinks resolved as far as the
+   * path exists, plain normalization otherwise.
+   * @private
+   */
+  _canonicalPath(path) {
+    const parts = this._normalizePath(path);
+    try {
+      const resolved = this._resolveNode(parts, { followLast: true });
+      if (resolved.node) return '/' + this._physicalParts(resolved).join('/');
+      if (resolved.parent) return this._childPath(resolved.parentParts, resolved.name);
+    } catch (_) {
+      // Fall through for link loops.
+    }
+    return '/' + parts.join('/');
+  }
+
+  /**
+   * Deliver a change event to every matching watcher. Watcher errors are
+   * swallowed so they cannot break the write that triggered them.
+   * @private
+   */
+  _emit(event) {
+    if (this._tx) {
+      // Delivered on commit, dropped on rollback.
+      this._tx.events.push(event);
+      return;
+    }
+    if (!this._watchers.size) return;
+    for (const watcher of Array.from(this._watchers)) {
+      if (!this._watcherMatches(watcher, event)) continue;
+      try {
+        watcher.callback({ ...event });
+      } catch (_) {
+        // ignore
+      }
+    }
+  }
+
+  /** @private */
+  _watcherMatches(watcher, event) {
+    const covers = (base, path) => path === base || path.startsWith(base === '/' ? '/' : base + '/');
+    const sees = (path) => {
+      if (!path) return false;
+      if (watcher.recursive) return covers(watcher.path, path);
+      const parent = path.slice(0, path.lastIndexOf('/')) || '/';
+      return path === watcher.path || parent === watcher.path;
+    };
+    if (sees(event.path) || sees(event.oldPath)) return true;
+    return Boolean(event.subtree) && covers(event.path, watcher.path);
+  }
+
+  /** @private */
+  _assertWritable(mount, message) {
+    if (mount && mount.info.readOnly) {
+      throw vfsError('EROFS', message);
+    }
+  }
+
+  /**
+   * Fetch the content of a lazy mount file (once, even if several reads
+   * race) and turn it into a regular node.
+   * @private
+   */
+  _loadLazy(node, mount) {
+    let pending = this._lazyLoads.get(node);
+    if (!pending) {
+      pending = mount.provider.read(node.lazy)
+        .then((content) => {
+          node.content = content;
+          node.size = byteLength(content, node.encoding);
+          delete node.lazy;
+        })
+        .finally(() => {
+          this._lazyLoads.delete(node);
+        });
+      this._lazyLoads.set(node, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Canonical path of a folder that can take a new mount.
+   * @private
+   */
+  _mountPointPath(path, label) {
+    const resolved = this._resolveNode(this._normalizePath(path), { followLast: true });
+    if (!resolved.node || resolved.node.type !== 'folder') {
+      throw vfsError('ENOENT', `${label}: ${path}: mount point does not exist`);
+    }
+    const parts = this._physicalParts(resolved);
+    if (!parts.length) {
+      throw vfsError('EBUSY', `${label}: cannot mount on /`);
+    }
+    const mountPath = '/' + parts.join('/');
+    if (this._mounts.has(mountPath)) {
+      throw vfsError('EBUSY', `${label}: ${mountPath}: already mounted`);
+    }
+    const nested = Array.from(this._mounts.keys()).some((p) => p.startsWith(mountPath + '/'));
+    if (resolved.mount || nested) {
+      throw vfsError('EBUSY', `${label}: ${mountPath}: mounts cannot be nested`);
+    }
+    return mountPath;
+  }
+
+  /**
+   * Resolve the folder in which a new entry (link) will be created, failing
+   * if the name is already taken.
+   * @private
+   */
+  _createEntryParent(path, label) {
+    const { parent, node, name, parentParts, mount } = this._resolveNode(this._normalizePath(path), { followLast: false });
+    if (!parent) {
+      throw vfsError('ENOENT', `${label}: cannot create '${path}': No such file or directory`);
+    }
+    if (node) {
+      throw vfsError('EEXIST', `${label}: failed to create '${path}': File exists`);
+    }
+    this._assertWritable(mount, `${label}: cannot create '${path}': Read-only file system`);
+    return { parent, name, parentParts, mount };
+  }
+}
+
+/**
+ * Pick the persistence backend for the shared instance: IndexedDB when the
+ * browser supports it (migrating an existing `jsshell.vfs` localStorage entry
+ * on first use), otherwise localStorage, otherwise memory only.
+ * @returns {Promise<import('./storageBackends.js').VfsStorageBackend>}
+ */
+export async function openDefaultBackend() {
+  let legacy = null;
+  try {
+    legacy = typeof window !== 'undefined' && window.localStorage
+      ? new LocalStorageBackend(window.localStorage)
+      : null;
+  } catch (_) {
+    // Accessing localStorage can throw (e.g. disabled cookies).
+    legacy = null;
+  }
+
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      const idb = new IndexedDbBackend();
+      await idb.open();
+      if (legacy) {
+        await migrateStorageKey(legacy, idb, STORAGE_KEY);
+      }
+      return idb;
+    } catch (_) {
+      // Fall back to localStorage (private browsing modes may block IndexedDB).
+    }
+  }
+
+  return legacy || new MemoryBackend();
 }
 
-// Shared singleton instance used by commands and holder
-export const vfs = new VirtualFileSystem();
+// Shared singleton instance used by commands and holder. Top-level await keeps
+// importers simple: by the time any module sees `vfs`, the tree is loaded.
+export const vfs = new VirtualFileSystem(await openDefaultBackend());
+await vfs.ready;
@@ -93,6 +93,23 @@ class JsShell {
     this._keyHandlerStack = [];
     this._pendingKeyReads = [];
 
+    // Ctrl+C while a command runs (see beginCommand). Keys typed into
+    // prompts and raw mode bubble up to here as well.
+    this._commandController = null;
+    this._idleSignal = new AbortController().signal;
+    this.html.addEventListener('keydown', (e) => {
+      if (!e.ctrlKey || e.altKey || e.metaKey || e.code !== 'KeyC' || !this._commandController) {
+        return;
+      }
+      // Ctrl+C on selected text copies it, as usual.
+      const selection = typeof window !== 'undefined' && window.getSelection ? String(window.getSelection()) : '';
+      if (selection) {
+        return;
+      }
+      e.preventDefault();
+      this.interrupt();
+    });
+
     this.setBackgroundColor(options.backgroundColor || '#000')
       .setFontFamily(options.fontFamily || 'Ubuntu Mono, Monaco, Courier, monospace')
       .setTextColor(options.textColor || '#fff')
@@ -158,6 +175,12 @@ class JsShell {
     return this;
   }
 
+  // Error messages: like print(), but they stay on the terminal when the
+  // command's output goes into a pipeline (see utils/stdio.js).
+  printError(message) {
+    return this.print(message);
+  }
+
   newLine() {
     const newLine = document.createElement('br');
     this._output.appendChild(newLine);
@@ -314,8 +337,10 @@ class JsShell {
     }
   }
 
-  async _prompt(message = '', promptType) {
-    return new Promise(async(resolve) => {
+  async _prompt(message = '', promptType, signal = this.signal) {
+    signal.throwIfAborted();
+    let onAbort = null;
+    const answer = new Promise(async(resolve, reject) => {
       const shouldDisplayInput = (promptType === JsShell.PROMPT_INPUT || promptType === JsShell.PROMPT_CONFIRM);
       const inputField = document.createElement('input');
       inputField.setAttribute('autocapitalize', 'none');
@@ -459,14 +484,36 @@ class JsShell {
           } else {
             resolve(inputValue);
           }
+          // Keep keyboard focus on the terminal so Ctrl+C reaches the
+          // command this line starts.
+          this.html.focus({ preventScroll: true });
           this.html.removeChild(inputField); // remove input field in the end of each callback
           this.scrollBottom(); // scroll to the bottom of the terminal
         }
       };
+
+      // Ctrl+C while a command waits for this input: the prompt goes away
+      // and the command gets the AbortError.
+      if (!signal.aborted) {
+        onAbort = () => {
+          if (inputField.parentNode !== this.html) {
+            return;
+          }
+          this._input.style.display = 'none';
+          this.html.removeChild(inputField);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
       if (this.shouldFocus()) {
         inputField.focus();
       }
     });
+    // The idle signal lives through many prompts: do not leave a listener
+    // on it for each one answered.
+    return answer.finally(() => {
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+    });
   }
 
   async expect(cmdList, inputMessage, notFoundMessage) {
@@ -477,8 +524,8 @@ class JsShell {
     return cmd;
   }
 
-  async input(message) {
-    return await this._prompt(message, JsShell.PROMPT_INPUT);
+  async input(message, signal = this.signal) {
+    return await this._prompt(message, JsShell.PROMPT_INPUT, signal);
   }
 
   async pause(message) {
@@ -491,12 +538,12 @@ class JsShell {
     this._promptPS1_backup = '';
   }
 
-  async password(message) {
-    return await this._prompt(message, JsShell.PROMPT_PASSWORD);
+  async password(message, signal = this.signal) {
+    return await this._prompt(message, JsShell.PROMPT_PASSWORD, signal);
   }
 
-  async confirm(message) {
-    return await this._prompt(message, JsShell.PROMPT_CONFIRM);
+  async confirm(message, signal = this.signal) {
+    return await this._prompt(message, JsShell.PROMPT_CONFIRM, signal);
   }
 
   clear() {
@@ -658,12 +705,62 @@ class JsShell {
 
   // Public instance helper for programs/scripts: `await shell.sleep(250)`.
   // (There is also a static variant: `await JsShell.sleep(250)`.)
-  async sleep(milliseconds) {
-    await JsShell.sleep(milliseconds);
+  // Ctrl+C ends it early with the command's AbortError (see `signal`).
+  async sleep(milliseconds, signal = this.signal) {
+    await JsShell.sleep(milliseconds, signal);
   }
 
-  static async sleep(milliseconds) {
-    await new Promise(resolve => setTimeout(resolve, milliseconds));
+  static async sleep(milliseconds, signal = null) {
+    await new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(signal.reason);
+      };
+      const timeoutId = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, milliseconds);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Interrupting commands (Ctrl+C) -------------------------------------------
+
+  // The holder calls beginCommand() before running a command line and
+  // endCommand() after it. Meanwhile `shell.signal` is an AbortSignal that
+  // Ctrl+C (or interrupt()) aborts with an AbortError; long-running programs
+  // check `shell.signal.aborted` or call `shell.signal.throwIfAborted()`.
+  // sleep(), readKey() and input() stop by themselves. The holder hands the
+  // command a shell bound to its own signal (createStageShell in
+  // utils/stdio.js), so one that outlives its Ctrl+C still sees it aborted.
+  beginCommand() {
+    this._commandController = new AbortController();
+    return this._commandController.signal;
+  }
+
+  endCommand() {
+    this._commandController = null;
+    return this;
+  }
+
+  // Signal of the running command; one that never aborts at the prompt.
+  get signal() {
+    return this._commandController ? this._commandController.signal : this._idleSignal;
+  }
+
+  // Abort the running command, as Ctrl+C does. Returns false if there is
+  // none (or it was interrupted already).
+  interrupt() {
+    const controller = this._commandController;
+    if (!controller || controller.signal.aborted) {
+      return false;
+    }
+    controller.abort();
+    return true;
   }
 
   setTextSize(size) {
@@ -780,18 +877,39 @@ class JsShell {
   // without installing their own handler. Returns a Promise that resolves
   // with the next keyEvent object matching the optional filter, or null on
   // timeout.
-  readKey({ filter, timeout } = {}) {
-    return new Promise((resolve) => {
+  // Ctrl+C rejects it with the command's AbortError (see `signal`).
+  readKey({ filter, timeout, signal = this.signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
       const entry = { filter, resolve, timeoutId: null };
+      const remove = () => {
+        const idx = this._pendingKeyReads.indexOf(entry);
+        if (idx !== -1) {
+          this._pendingKeyReads.splice(idx, 1);
+        }
+        signal.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        remove();
+        if (entry.timeoutId) {
+          clearTimeout(entry.timeoutId);
+        }
+        reject(signal.reason);
+      };
+      entry.resolve = (keyEvent) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(keyEvent);
+      };
       if (typeof timeout === 'number' && timeout > 0) {
         entry.timeoutId = setTimeout(() => {
-          const idx = this._pendingKeyReads.indexOf(entry);
-          if (idx !== -1) {
-            this._pendingKeyReads.splice(idx, 1);
-          }
+          remove();
           resolve(null);
         }, timeout);
       }
+      signal.addEventListener('abort', onAbort, { once: true });
       this._pendingKeyReads.push(entry);
     });
   }
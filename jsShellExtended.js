@@ -18,18 +18,21 @@ class JsShellExtended extends JsShell {
     }
   }
 
+  // PATH scripts for completion. The list is cached until a PATH folder or
+  // /sys/env.json changes (via vfs.watch) instead of being re-scanned.
   _getPathScriptCommands() {
-    const now = Date.now();
-    if (this._pathCommandCache && (now - this._pathCommandCache.at) < 1000) {
+    if (this._pathCommandCache) {
       return this._pathCommandCache.items;
     }
 
     const env = this._getEnvFromStorage();
     const dirs = Array.isArray(env.PATH) ? env.PATH : ['/bin'];
     const out = new Set();
+    const watched = [SYS_ENV_PATH];
 
     for (const dir of dirs) {
       if (typeof dir !== 'string') continue;
+      watched.push(dir);
       try {
         const listing = vfs.list(dir);
         const files = listing && Array.isArray(listing.files) ? listing.files : [];
@@ -44,10 +47,20 @@ class JsShellExtended extends JsShell {
     }
 
     const items = Array.from(out).sort((a, b) => a.localeCompare(b));
-    this._pathCommandCache = { at: now, items };
+    const invalidate = () => this._invalidatePathScriptCommands();
+    const watchers = watched.map((path) => vfs.watch(path, invalidate));
+    this._pathCommandCache = { items, watchers };
     return items;
   }
 
+  _invalidatePathScriptCommands() {
+    if (!this._pathCommandCache) return;
+    for (const watcher of this._pathCommandCache.watchers) {
+      vfs.unwatch(watcher);
+    }
+    this._pathCommandCache = null;
+  }
+
   /**
    * Initialize the universal key handler for a shell instance.
    * @param {Object} options
@@ -117,17 +130,20 @@ class JsShellExtended extends JsShell {
         }
 
         const tokenized = tokenizeCommandLine(currentInput);
-        const words = tokenized.tokens.map((t) => t.value);
+        // Only the command after the last `|`, `;`, `&&` or `||` matters for completion.
+        const lastOp = tokenized.tokens.map((t) => ['|', ';', '&&', '||', '&'].includes(t.op)).lastIndexOf(true);
+        const stageTokens = tokenized.tokens.slice(lastOp + 1);
+        const words = stageTokens.map((t) => t.value);
 
         // If the user ended with whitespace, they're starting a new argument.
         if (tokenized.endsWithSpace) words.push('');
 
         // Compute raw span for the current word (used to replace it on completion).
-        const lastToken = tokenized.tokens.length ? tokenized.tokens[tokenized.tokens.length - 1] : null;
+        const lastToken = stageTokens.length ? stageTokens[stageTokens.length - 1] : null;
         const currentWord = words.length ? words[words.length - 1] : '';
         const currentWordRawStart = tokenized.endsWithSpace
           ? currentInput.length
-          : (lastToken ? lastToken.rawStart : 0);
+          : (lastToken ? lastToken.rawStart : currentInput.length);
         const currentWordRawEnd = tokenized.endsWithSpace
           ? currentInput.length
           : (lastToken ? lastToken.rawEnd : currentInput.length);
@@ -148,11 +164,14 @@ class JsShellExtended extends JsShell {
               currentQuote
             });
           }
+          // Keep whatever comes before the command (e.g. `cat notes.md | `).
+          const beforeCommand = currentInput.slice(0, currentWordRawStart);
           return this._startCommandCompletionSession({
             shellInstance,
             commands,
             state,
-            currentWord
+            currentWord,
+            prefix: beforeCommand && !/\s$/.test(beforeCommand) ? `${beforeCommand} ` : beforeCommand
           });
         } else if (words.length === 2 && words[0] === 'hello') {
           // Example of contextual completion with HTML
@@ -288,7 +307,7 @@ class JsShellExtended extends JsShell {
 
     if (session.type === 'command') {
       const cmd = session.items[session.index];
-      const newInput = cmd + ' ';
+      const newInput = (session.prefix || '') + cmd + ' ';
 
       const hintHtml = session.items
         .map((c, idx) => {
@@ -349,10 +368,11 @@ class JsShellExtended extends JsShell {
   /**
    * Start a completion session (or perform a one-shot completion) for the
    * first word, which is interpreted as a command name.
-   * @param {{ shellInstance: JsShell, commands: string[], state: Object, currentWord: string }} ctx
+   * @param {{ shellInstance: JsShell, commands: string[], state: Object, currentWord: string, prefix?: string }} ctx
+   *   `prefix` is the input before the command word (earlier commands of a pipeline).
    * @returns {string} New input string (or the original word if unchanged).
    */
-  _startCommandCompletionSession({ shellInstance, commands, state, currentWord }) {
+  _startCommandCompletionSession({ shellInstance, commands, state, currentWord, prefix = '' }) {
     // Merge built-ins with PATH-resolved VFS scripts (e.g. /bin/sample.js => sample)
     const allCommands = Array.from(
       new Set([...(commands || []), ...this._getPathScriptCommands()])
@@ -363,19 +383,20 @@ class JsShellExtended extends JsShell {
     if (matches.length === 1) {
       shellInstance.hideHint();
       state.completionSession = null;
-      return matches[0] + ' ';
+      return prefix + matches[0] + ' ';
     }
 
     if (matches.length > 1) {
       const firstIndex = 0;
       const firstCommand = matches[firstIndex];
-      const newInput = firstCommand + ' ';
+      const newInput = prefix + firstCommand + ' ';
 
       state.completionSession = {
         active: true,
         type: 'command',
         items: matches,
         index: firstIndex,
+        prefix,
         lastInput: newInput
       };
 
@@ -404,7 +425,7 @@ class JsShellExtended extends JsShell {
       borderRadius: '3px'
     });
     state.completionSession = null;
-    return currentWord;
+    return prefix + currentWord;
   }
 
   /**
@@ -11,16 +11,25 @@ import { mkdirCommands, executeMkdirCommand } from './programs/mkdir.js';
 import { lsCommands, executeLsCommand } from './programs/ls.js';
 import { findCommands, executeFindCommand } from './programs/find.js';
 import { grepCommands, executeGrepCommand } from './programs/grep.js';
+import { echoCommands, executeEchoCommand } from './programs/echo.js';
+import { sortCommands, executeSortCommand } from './programs/sort.js';
 import { rmdirCommands, executeRmdirCommand } from './programs/rmdir.js';
 import { cdCommands, executeCdCommand } from './programs/cd.js';
 import { pwdCommands, executePwdCommand } from './programs/pwd.js';
 import { catCommands, executeCatCommand } from './programs/cat.js';
 import { touchCommands, executeTouchCommand } from './programs/touch.js';
 import { rmCommands, executeRmCommand } from './programs/rm.js';
+import { trashCommands, executeTrashCommand } from './programs/trash.js';
+import { historyCommands, createHistoryHandler } from './programs/history.js';
+import { snapshotCommands, executeSnapshotCommand } from './programs/snapshot.js';
 import { executePrintProgram, printCommands } from './programs/print.js';
 import { executeCopyCommand, copyCommands } from './programs/copy.js';
 import { executeDelayProgram, delayCommands } from './programs/delay.js';
 import { executeMvCommand, mvCommands } from './programs/mv.js';
+import { executeLnCommand, lnCommands } from './programs/ln.js';
+import { executeMountCommand, mountCommands } from './programs/mount.js';
+import { executeDfCommand, dfCommands } from './programs/df.js';
+import { executeDuCommand, duCommands } from './programs/du.js';
 import { executeScriptFile, executeVfsScript, scriptCommands } from './programs/runScript.js';
 import { executeInitProgram, initCommands } from './programs/init.js';
 import { executeBackupProgram, backupCommands } from './programs/backup.js';
@@ -28,8 +37,18 @@ import { executeRestoreProgram, restoreCommands } from './programs/restore.js';
 import { executeDownloadProgram, downloadCommands } from './programs/download.js';
 import { executeUploadProgram, uploadCommands } from './programs/upload.js';
 import { DEFAULT_CONFIG, buildPromptHtml, applyConfigVisuals, createConfigHandler, configCommands } from './programs/config.js';
-import { STORAGE_KEYS } from './constants.js';
-import { parseCommandLine, tokenizeCommandLine } from './utils/commandLine.js';
+import { createEnvHandler, environmentVariables, envCommands } from './programs/env.js';
+import { createSetHandler, setCommands } from './programs/set.js';
+import { aliasCommands, createAliasHandler } from './programs/alias.js';
+import { executeTestCommand, testCommands } from './programs/test.js';
+import { findSubstitutions, parseCommandLine, parseCommandList, parsePipeline, tokenizeCommandLine } from './utils/commandLine.js';
+import { createJobShell, createStageShell, createStdin } from './utils/stdio.js';
+import { expandGlob, hasGlob } from './fs/glob.js';
+import { parseScript } from './utils/jshScript.js';
+import { expandHistory } from './utils/historyExpansion.js';
+import { INTERRUPTED_STATUS, isAbortError, untilAborted } from './utils/signal.js';
+import { createProcessTable, describeJob } from './utils/processTable.js';
+import { createJobsHandler, jobCommands } from './programs/jobs.js';
 
 const SYS_DIR = '/sys';
 const SYS_ENV_PATH = '/sys/env.json';
@@ -38,6 +57,11 @@ const SYS_HISTORY_LIMIT_PATH = '/sys/historyLimit.txt';
 const SYS_CONFIG_PATH = '/sys/config.json';
 const SYS_ASSETS_VERSION_PATH = '/sys/assets-version.json';
 
+// Run in this order before the first prompt; /etc/profile prints the
+// welcome text.
+const PROFILE_PATH = '/etc/profile';
+const USER_RC_PATH = '/home/user/.jshrc';
+
 const ASSET_BASE_URL = new URL('./assets/', import.meta.url);
 const ASSET_VERSION_URL = new URL('version.json', ASSET_BASE_URL);
 
@@ -87,7 +111,8 @@ function writeJsonToVfs(path, value) {
     if (parent && parent !== '/') {
       ensureDirPath(parent);
     }
-    vfs.writeFile(path, JSON.stringify(value, null, 2));
+    // Rewritten all the time; keeping revisions of it would only fill storage.
+    vfs.writeFile(path, JSON.stringify(value, null, 2), { history: false });
   } catch (_) {
     // ignore
   }
@@ -106,7 +131,7 @@ function readHistoryLimitFromVfs() {
   }
 
   try {
-    vfs.writeFile(SYS_HISTORY_LIMIT_PATH, String(fallback));
+    vfs.writeFile(SYS_HISTORY_LIMIT_PATH, String(fallback), { history: false });
   } catch (_) {
     // ignore
   }
@@ -114,6 +139,86 @@ function readHistoryLimitFromVfs() {
   return fallback;
 }
 
+/**
+ * Exit status of a command from its handler's result (kept in `$?`): the
+ * handler's own `status` if it sets one, otherwise 0 when `ok` (the
+ * default), 1 when it failed and 127 when no handler knew the command.
+ * @param {{ handled?: boolean, ok?: boolean, status?: number }|undefined} result
+ * @returns {number}
+ */
+function exitStatusOf(result) {
+  if (!result) return 0;
+  if (Number.isInteger(result.status)) return result.status;
+  if (isAbortError(result.error)) return INTERRUPTED_STATUS;
+  if (result.handled === false) return 127;
+  return result.ok === false ? 1 : 0;
+}
+
+function statOrNull(path) {
+  try {
+    return vfs.stat(path);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Check the redirections of one command (see parsePipeline) before it runs,
+ * and read the file given with `<`. Later redirections of the same kind win.
+ * Throws when a file cannot be read or written.
+ *
+ * @param {import('./utils/commandLine.js').Redirect[]} redirects
+ * @returns {Promise<{ stdin: import('./utils/stdio.js').ShellStdin|null, stdout: { path: string, append: boolean }|null, stderr: { path: string, append: boolean }|null, errorsToOutput: boolean }>}
+ */
+async function openRedirects(redirects) {
+  const cwdPath = vfs.getCwdPath();
+  const io = { stdin: null, stdout: null, stderr: null, errorsToOutput: false };
+  for (const { op, path: rawPath } of redirects || []) {
+    if (op === '2>&1') {
+      io.errorsToOutput = true;
+      continue;
+    }
+    const path = normalizePathFromCwd(cwdPath, rawPath);
+    const info = statOrNull(path);
+    if (op === '<') {
+      if (!info) throw new Error(`jsh: ${rawPath}: No such file or directory`);
+      if (info.type === 'folder') throw new Error(`jsh: ${rawPath}: Is a directory`);
+      io.stdin = createStdin(await vfs.readFileAsync(path));
+      continue;
+    }
+    if (info && info.type === 'folder') throw new Error(`jsh: ${rawPath}: Is a directory`);
+    const parent = statOrNull(getParentDir(path));
+    if (!parent || parent.type !== 'folder') throw new Error(`jsh: ${rawPath}: No such file or directory`);
+    const target = { path, append: op === '>>' || op === '2>>' };
+    if (op === '>' || op === '>>') io.stdout = target;
+    else io.stderr = target;
+  }
+  return io;
+}
+
+// Save what a command printed into the file of a `>` / `>>` / `2>` / `2>>`.
+async function writeRedirect({ path, append }, text) {
+  const added = text ? `${text}\n` : '';
+  const existing = append ? statOrNull(path) : null;
+  if (existing && existing.encoding === 'base64') {
+    // A binary file reads as a data: URL; append to its bytes instead.
+    const bytes = await vfs.readFileBytesAsync(path);
+    const more = new TextEncoder().encode(added);
+    const joined = new Uint8Array(bytes.length + more.length);
+    joined.set(bytes);
+    joined.set(more, bytes.length);
+    vfs.writeFile(path, joined, { mime: existing.mime || undefined });
+    return;
+  }
+  const previous = existing ? String(await vfs.readFileAsync(path)) : '';
+  vfs.writeFile(path, previous + added);
+}
+
+// Lets the page repaint and read keys between iterations of a jsh loop.
+function nextTick() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
 async function maybePrintUpdateBanner(shell) {
   if (typeof fetch !== 'function') {
     return;
@@ -193,6 +298,8 @@ export function jsShellHolder(containerId) {
   // to command resolution:
   //   - env.PATH: string[] of VFS folders (e.g. ["/bin"]).
   //   - env.ALIAS: Record<string, string> mapping alias -> expansion.
+  // Every other key is a variable set with `export` (see programs/env.js),
+  // available as $NAME on command lines and as `env` in scripts.
   //
   // Resolution order (high level):
   //   1) built-in commands (commandModules)
@@ -295,6 +402,10 @@ export function jsShellHolder(containerId) {
     writeJsonToVfs(SYS_CONFIG_PATH, config);
   };
 
+  // The running command line and background jobs (`cmd &`), for `jobs`,
+  // `fg`, `kill` and `ps`.
+  const processes = createProcessTable();
+
   const state = {
     historyIndex: -1,
     searchMode: false,
@@ -310,24 +421,22 @@ export function jsShellHolder(containerId) {
   persistConfig();
   persistHistory();
 
-  // First-load bootstrap: if there's no VFS yet in localStorage, initialize it
+  // First-load bootstrap: if there's no persisted VFS yet, initialize it
   // immediately.
   let shouldBootstrapInit = false;
   try {
-    if (typeof window !== 'undefined' && window.localStorage) {
-      const hasStorageKey = Boolean(window.localStorage.getItem(STORAGE_KEYS.VFS));
-
-      // Important edge case: jsShellHolder persists /sys state (env/config/history)
-      // early, which creates a VFS in localStorage that may only contain /sys.
-      // Treat that as "empty" so init still auto-creates the base structure.
-      const root = vfs.state && vfs.state.root;
-      const folders = root && Array.isArray(root.folders) ? root.folders : [];
-      const files = root && Array.isArray(root.files) ? root.files : [];
-      const nonSysFolders = folders.filter((f) => f && typeof f.name === 'string' && f.name !== 'sys');
-      const vfsLooksEmpty = !root || (nonSysFolders.length === 0 && files.length === 0);
-
-      shouldBootstrapInit = !hasStorageKey || vfsLooksEmpty;
-    }
+    const hasPersistedVfs = vfs.loadedFromStorage;
+
+    // Important edge case: jsShellHolder persists /sys state (env/config/history)
+    // early, which creates a persisted VFS that may only contain /sys.
+    // Treat that as "empty" so init still auto-creates the base structure.
+    const root = vfs.state && vfs.state.root;
+    const folders = root && Array.isArray(root.folders) ? root.folders : [];
+    const files = root && Array.isArray(root.files) ? root.files : [];
+    const nonSysFolders = folders.filter((f) => f && typeof f.name === 'string' && f.name !== 'sys');
+    const vfsLooksEmpty = !root || (nonSysFolders.length === 0 && files.length === 0);
+
+    shouldBootstrapInit = !hasPersistedVfs || vfsLooksEmpty;
   } catch (_) {
     shouldBootstrapInit = false;
   }
@@ -343,21 +452,31 @@ export function jsShellHolder(containerId) {
     { handler: executeLsCommand, commands: lsCommands },
     { handler: executeFindCommand, commands: findCommands },
     { handler: executeGrepCommand, commands: grepCommands },
+    { handler: executeEchoCommand, commands: echoCommands },
+    { handler: executeSortCommand, commands: sortCommands },
+    { handler: executeTestCommand, commands: testCommands },
     { handler: executeRmdirCommand, commands: rmdirCommands },
     { handler: executeCdCommand, commands: cdCommands },
     { handler: executePwdCommand, commands: pwdCommands },
     { handler: executeCatCommand, commands: catCommands },
     { handler: executeTouchCommand, commands: touchCommands },
     { handler: executeRmCommand, commands: rmCommands },
+    { handler: executeTrashCommand, commands: trashCommands },
+    { handler: createHistoryHandler(commandHistory, persistHistory), commands: historyCommands },
+    { handler: executeSnapshotCommand, commands: snapshotCommands },
     { handler: executePrintProgram, commands: printCommands },
     { handler: executeCopyCommand, commands: copyCommands },
     { handler: executeDelayProgram, commands: delayCommands },
     { handler: executeMvCommand, commands: mvCommands },
+    { handler: executeLnCommand, commands: lnCommands },
+    { handler: executeMountCommand, commands: mountCommands },
+    { handler: executeDfCommand, commands: dfCommands },
+    { handler: executeDuCommand, commands: duCommands },
     // Script execution for ./filename.js
     { handler: executeScriptFile, commands: scriptCommands },
     // init program to create base folder structure and environment
     { handler: executeInitProgram, commands: initCommands },
-    // backup and restore programs for localStorage snapshots
+    // backup and restore programs for browser storage snapshots
     { handler: executeBackupProgram, commands: backupCommands },
     { handler: executeRestoreProgram, commands: restoreCommands },
     // download a VFS file to the user's machine
@@ -365,14 +484,23 @@ export function jsShellHolder(containerId) {
     // upload a local file into the VFS
     { handler: executeUploadProgram, commands: uploadCommands },
     // config command to change prompt, colors and other options
-    { handler: createConfigHandler(config, persistConfig), commands: configCommands }
+    { handler: createConfigHandler(config, persistConfig), commands: configCommands },
+    // export/unset/env edit the variables in /sys/env.json
+    { handler: createEnvHandler(env, onEnvChange, (shellInstance) => contextOf(shellInstance).scope.vars), commands: envCommands },
+    // alias/unalias edit env.ALIAS (see expandAliases)
+    { handler: createAliasHandler(env, onEnvChange), commands: aliasCommands },
+    // set -e/+e and shell variables of the running script
+    { handler: createSetHandler((shellInstance) => contextOf(shellInstance).scope), commands: setCommands },
+    // jobs/fg/bg/kill/ps for background jobs
+    { handler: createJobsHandler(processes), commands: jobCommands }
     // add more modules like: { handler: executeExtraCommands, commands: extraCommands },
   ];
 
   // Aggregate all available commands from registered command modules
-  const commands = Array.from(
+  const builtinCommands = Array.from(
     new Set(commandModules.flatMap((m) => m.commands || []))
   );
+  const commands = builtinCommands.slice();
 
   function collectCommandsFromPath() {
     const out = [];
@@ -397,18 +525,55 @@ export function jsShellHolder(containerId) {
     return out;
   }
 
+  // Rebuild in place: the key handler keeps a reference to `commands`.
+  // Tab completion offers built-ins, programs on PATH and aliases.
   function refreshCommandsFromPath() {
-    const existing = new Set(commands);
+    const next = new Set(builtinCommands);
     for (const cmd of collectCommandsFromPath()) {
-      if (!existing.has(cmd)) {
-        commands.push(cmd);
-        existing.add(cmd);
-      }
+      next.add(cmd);
     }
+    for (const name of Object.keys(env.ALIAS || {})) {
+      next.add(name);
+    }
+    commands.splice(0, commands.length, ...next);
+  }
+
+  // Include PATH-installed VFS programs in command completion, and keep the
+  // list current whenever a PATH folder changes (installs, rm, mv, init).
+  let pathWatchers = [];
+  function watchPathDirs() {
+    for (const watcher of pathWatchers) {
+      vfs.unwatch(watcher);
+    }
+    const dirs = Array.isArray(env.PATH) ? env.PATH : [];
+    pathWatchers = dirs
+      .filter((dir) => typeof dir === 'string' && dir.startsWith('/'))
+      .map((dir) => vfs.watch(dir, () => refreshCommandsFromPath()));
   }
 
-  // Include PATH-installed VFS programs in command completion.
   refreshCommandsFromPath();
+  watchPathDirs();
+
+  // After export/unset/alias/unalias: save, and follow a changed PATH or
+  // aliases in completion.
+  function onEnvChange() {
+    persistEnv();
+    watchPathDirs();
+    refreshCommandsFromPath();
+  }
+
+  // Pick up changes saved by other tabs. Shell state under /sys (env,
+  // config, history) stays per tab; real conflicts elsewhere are reported
+  // here, the merge keeps both versions.
+  vfs.startSync({ localWins: [SYS_DIR] });
+  vfs.onExternalChange(({ conflicts }) => {
+    if (!conflicts.length) return;
+    shell.printHTML('<span style="color:#ff6b6b;">Another tab changed files that were also changed here:</span>');
+    for (const conflict of conflicts) {
+      shell.print(`  ${conflict.message}`);
+    }
+    shell.print('');
+  });
 
   // Initialize universal key handler extension
   shell.initUniversalKeyHandler({
@@ -417,37 +582,118 @@ export function jsShellHolder(containerId) {
     state
   });
 
-  function parseSimpleCommandLine(line) {
-    const trimmed = String(line || '').trim();
-    if (!trimmed) {
-      return { command: '', args: [] };
+  // What the running code sees besides /sys/env.json: its name (`$0`) and
+  // arguments (`$1`, `$@`), its `NAME=value` variables, its functions and
+  // `set -e`. The prompt has one for the whole session; each .jsh run gets
+  // its own, and a function call a copy with its own arguments. `script`
+  // scopes are the ones `set -e` applies to.
+  const promptScope = { name: 'jsh', args: [], vars: new Map(), functions: new Map(), options: { errexit: false }, script: false };
+
+  // The scope in use (see runInScope) and the exit status of the last
+  // command line (`$?`). Background jobs run alongside the prompt, so each
+  // has its own context, found by the signal of the shell running the code
+  // (see startJob).
+  const promptContext = { scope: promptScope, status: 0 };
+  const jobContexts = new WeakMap();
+
+  function contextOf(shellInstance) {
+    return jobContexts.get(shellInstance.signal) || promptContext;
+  }
+
+  // `$?`, `$1`, `$@`, `$NAME` on a command line (see tokenizeCommandLine).
+  function expandVariable(shellInstance, name) {
+    const { scope, status } = contextOf(shellInstance);
+    const { args } = scope;
+    if (name === '?') return String(status);
+    if (name === '@') return args;
+    if (name === '#') return String(args.length);
+    if (/^[0-9]+$/.test(name)) return Number(name) === 0 ? scope.name : args[Number(name) - 1];
+    if (scope.vars.has(name)) return scope.vars.get(name);
+    return environmentVariables(env)[name];
+  }
+
+  // The output of a `$(...)`, run like a line typed at the prompt. A `cd`
+  // or `NAME=value` inside does not change the shell running it.
+  async function captureSubstitution(shellInstance, source, dispatch) {
+    const context = contextOf(shellInstance);
+    const { statements, error } = parseScript(source);
+    if (error) {
+      shellInstance.printError(`jsh: $(${source}): ${error.message}`);
+      context.status = 2;
+      return '';
+    }
+    const stage = createStageShell(shellInstance, { captureOutput: true });
+    const captureDispatch = async (stageShell, command, args) => {
+      const result = await dispatch(stageShell, command, args);
+      stage.endCommand();
+      return result;
+    };
+    const cwd = vfs.getCwdPath();
+    try {
+      await runInScope(stage.shell, statements, { ...context.scope, vars: new Map(context.scope.vars) }, captureDispatch);
+    } finally {
+      try {
+        vfs.changeDirectory(cwd);
+      } catch (_) {
+        // the folder went away meanwhile; stay where the command left us
+      }
     }
+    return stage.output();
+  }
 
-    // Comments
-    if (trimmed.startsWith('#') || trimmed.startsWith('//')) {
-      return { command: '', args: [] };
+  // Parse one pipeline with its variables, `$((...))`, `$(...)` and
+  // wildcards expanded; the commands in `$(...)` run first, left to right.
+  async function parseExpanded(shellInstance, source, dispatch) {
+    const outputs = new Map();
+    for (const { source: inner, rawStart } of findSubstitutions(source)) {
+      outputs.set(rawStart, await captureSubstitution(shellInstance, inner, dispatch));
     }
+    return parsePipeline(source, {
+      expand: (name) => expandVariable(shellInstance, name),
+      substitute: ({ rawStart }) => outputs.get(rawStart),
+      glob: (pattern) => (hasGlob(pattern) ? expandGlob(pattern, vfs.getCwdPath()) : null),
+      failGlob: config.failGlob === true
+    });
+  }
 
-    return parseCommandLine(trimmed);
+  // Calls of functions defined by the running code, and `NAME=value` on
+  // its own; both dispatchers try these before anything else. Returns
+  // null for other commands.
+  async function dispatchShellNames(shellInstance, command, args, dispatch) {
+    const { scope } = contextOf(shellInstance);
+    const body = scope.functions.get(command);
+    if (body) {
+      return runInScope(shellInstance, body, { ...scope, args }, dispatch);
+    }
+    const assignment = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s.exec(command);
+    if (assignment && !args.length) {
+      scope.vars.set(assignment[1], assignment[2]);
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+    return null;
   }
 
   async function dispatchRegisteredModules(shellInstance, command, args) {
     for (const { handler } of commandModules) {
-      const result = await handler(shellInstance, command, args);
+      let result;
+      try {
+        result = await handler(shellInstance, command, args);
+      } catch (err) {
+        // Ctrl+C in shell.sleep(), readKey() or input()
+        if (!isAbortError(err)) throw err;
+        return { handled: true, shouldContinue: true, ok: false, error: err, status: INTERRUPTED_STATUS };
+      }
       if (!result) {
         continue;
       }
 
       if (result.handled) {
-        if ((command || '').toLowerCase() === 'init') {
-          // init can install new scripts into /bin; refresh completion.
-          refreshCommandsFromPath();
-        }
         return {
           handled: true,
           shouldContinue: result.shouldContinue !== false,
           ok: typeof result.ok === 'boolean' ? result.ok : true,
-          error: result.error
+          error: result.error,
+          status: result.status
         };
       }
     }
@@ -469,60 +715,464 @@ export function jsShellHolder(containerId) {
     let innerArgs = Array.isArray(args) ? args : [];
 
     try {
+      const own = await dispatchShellNames(shellInstance, innerCommand, innerArgs, dispatchStrict);
+      if (own) {
+        return own;
+      }
       const result = await dispatchRegisteredModules(shellInstance, innerCommand, innerArgs);
       if (!result.handled) {
         return { ok: false, handled: false, shouldContinue: true, error: new Error(`Command not found: ${innerCommand}`) };
       }
       if (result.ok === false) {
-        return { ok: false, handled: true, shouldContinue: true, error: result.error || new Error(`Execution failed: ${innerCommand}`) };
+        return { ok: false, handled: true, shouldContinue: true, error: result.error || new Error(`Execution failed: ${innerCommand}`), status: result.status };
       }
-      return { ok: true, handled: true, shouldContinue: result.shouldContinue };
+      return { ok: true, handled: true, shouldContinue: result.shouldContinue, status: result.status };
     } catch (err) {
       return { ok: false, handled: true, shouldContinue: true, error: err };
     }
   }
 
-  async function runJshScript(shellInstance, invokedAs) {
+  // Run a .jsh file with its own scope (see parseScript for the language),
+  // or with `scope` when given. By default (`set -e`) it stops at the first
+  // command that fails outside an `if`/`while` condition; a failure handled
+  // by `||` does not count.
+  async function runJshScript(shellInstance, invokedAs, args, scope = null, dispatch = dispatchStrict) {
     const cwdPath = typeof vfs.getCwdPath === 'function' ? vfs.getCwdPath() : '/';
-    const scriptRel = String(invokedAs).slice(2); // strip leading "./"
+    const scriptRel = String(invokedAs).replace(/^\.\//, ''); // strip leading "./"
     const canonicalPath = normalizePathFromCwd(cwdPath, scriptRel);
 
     let content = '';
     try {
-      content = vfs.readFile(canonicalPath);
+      content = await vfs.readFileAsync(canonicalPath);
     } catch (err) {
-      shellInstance.print(`exec: ${invokedAs}: ${err.message || err}`);
+      shellInstance.printError(`exec: ${invokedAs}: ${err.message || err}`);
       shellInstance.print('');
-      return { handled: true, shouldContinue: true };
+      return { handled: true, shouldContinue: true, ok: false };
+    }
+
+    const { statements, error } = parseScript(content);
+    if (error) {
+      shellInstance.printError(`jsh: ${invokedAs}:${error.line}: ${error.message}`);
+      shellInstance.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(error.message), status: 2 };
+    }
+
+    const ownScope = scope || { name: invokedAs, args, vars: new Map(), functions: new Map(), options: { errexit: true }, script: true };
+    return runInScope(shellInstance, statements, ownScope, dispatch);
+  }
+
+  // /etc/profile, then ~/.jshrc, before the first prompt. They run like
+  // .jsh scripts, but share the prompt's variables and functions and find
+  // commands the way the prompt does (aliases, PATH). A failing one is
+  // reported and startup goes on.
+  async function runStartupScripts() {
+    for (const path of [PROFILE_PATH, USER_RC_PATH]) {
+      if (!statOrNull(path)) {
+        continue;
+      }
+      const scope = { ...promptScope, name: path, args: [], options: { errexit: true }, script: true };
+      try {
+        await runInterruptibly(path, (commandShell) => runJshScript(commandShell, path, [], scope, dispatchCommand));
+      } catch (err) {
+        shell.printError(`jsh: ${path}: ${String((err && err.message) || err)}`);
+        shell.print('');
+      }
+    }
+    promptContext.status = 0;
+  }
+
+  // Dispatch one command typed at the prompt (or a stage of a pipeline
+  // typed there): .jsh scripts, built-ins, then scripts found on PATH.
+  async function dispatchCommand(shellInstance, command, args) {
+    if (!command) {
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+
+    // Alias expansion happens early so aliases can point to built-ins,
+    // or PATH-resolved scripts.
+    ({ command, args } = expandAliases(command, args));
+
+    const own = await dispatchShellNames(shellInstance, command, args, dispatchCommand);
+    if (own) {
+      return own;
+    }
+
+    // .jsh scripts must be invoked explicitly (e.g. ./demo.jsh a b) and are
+    // intentionally NOT discovered via PATH fallback.
+    // Inside a .jsh script, commands are dispatched strictly (no alias/PATH
+    // resolution).
+    if (command.startsWith('./') && command.endsWith('.jsh')) {
+      const res = await runJshScript(shellInstance, command, args);
+      return { handled: true, shouldContinue: res.shouldContinue !== false, ok: res.ok !== false, error: res.error, status: res.status };
     }
 
-    const lines = String(content).split(/\r?\n/);
-    for (let i = 0; i < lines.length; i += 1) {
-      const rawLine = lines[i];
-      const parsed = parseSimpleCommandLine(rawLine);
-      if (!parsed.command) {
+    const result = await dispatchRegisteredModules(shellInstance, command, args);
+    if (result.handled) {
+      return result;
+    }
+
+    // PATH script fallback
+    //
+    // If nothing handled the command, try resolving it as a script name on
+    // env.PATH. For example, if /bin is on PATH and /bin/sample.js exists,
+    // typing `sample` will run /bin/sample.js.
+    //
+    // Execution uses the same program convention as ./file.js (see
+    // programs/runScript.js). The script receives the original token
+    // (e.g. "sample") as its `command` argument.
+    const scriptPath = resolveScriptOnPath(command);
+    if (scriptPath) {
+      const scriptResult = await executeVfsScript(shellInstance, scriptPath, args, command);
+      if (scriptResult && scriptResult.handled) {
+        return {
+          handled: true,
+          shouldContinue: scriptResult.shouldContinue !== false,
+          ok: scriptResult.ok !== false,
+          error: scriptResult.error,
+          status: scriptResult.status
+        };
+      }
+    }
+
+    shellInstance.printError(`Command not found: ${command}`);
+    shellInstance.printError('Hit Tab for available commands.');
+    shellInstance.print('');
+    return { handled: false, shouldContinue: true, ok: false, error: new Error(`Command not found: ${command}`) };
+  }
+
+  // Run `a | b | c`: each command runs once the previous one has finished,
+  // reading its output as `shell.stdin` (see utils/stdio.js). Only the last
+  // command prints to the terminal; its result is the pipeline's result.
+  // Redirections (`< in`, `> out`, `2> errors`) replace the pipe or the
+  // terminal for the command they belong to.
+  async function runPipeline(shellInstance, stages, dispatch) {
+    let piped = null;
+    let result = { handled: true, shouldContinue: true, ok: true };
+    for (let i = 0; i < stages.length; i += 1) {
+      if (shellInstance.signal.aborted) {
+        return { handled: true, shouldContinue: true, ok: false, error: shellInstance.signal.reason, status: INTERRUPTED_STATUS };
+      }
+      const isLast = i === stages.length - 1;
+      const { command, args, redirects } = stages[i];
+
+      let io;
+      try {
+        io = await openRedirects(redirects);
+      } catch (err) {
+        // The command does not run, and the next one reads nothing.
+        shellInstance.printError(String(err.message || err));
+        shellInstance.print('');
+        result = { handled: true, shouldContinue: true, ok: false, error: err, status: 1 };
+        piped = createStdin('');
         continue;
       }
 
-      const r = await dispatchStrict(shellInstance, parsed.command, parsed.args);
-      if (!r.ok) {
-        shellInstance.print(`jsh: stopped at ${invokedAs}:${i + 1}`);
-        shellInstance.print(`jsh: ${rawLine}`);
-        shellInstance.print(`jsh: ${String((r.error && r.error.message) || r.error || 'error')}`);
+      const stage = createStageShell(shellInstance, {
+        stdin: io.stdin || piped,
+        captureOutput: !isLast || Boolean(io.stdout),
+        captureErrors: Boolean(io.stderr),
+        errorsToOutput: io.errorsToOutput
+      });
+      result = await dispatch(stage.shell, command, args);
+
+      try {
+        if (io.stdout) await writeRedirect(io.stdout, stage.output());
+        if (io.stderr) await writeRedirect(io.stderr, stage.errors());
+      } catch (err) {
+        shellInstance.printError(String(err.message || err));
+        shellInstance.print('');
+        result = { ...result, ok: false, error: err, status: 1 };
+      }
+
+      if (result.shouldContinue === false) {
+        break;
+      }
+      piped = isLast ? null : createStdin(io.stdout ? '' : stage.output());
+    }
+    return result;
+  }
+
+  // Run a command line: pipelines joined by `;`, `&&` and `||` (see
+  // parseCommandList). Each pipeline is parsed right before it runs so `$?`
+  // is the status of the one before and wildcards see the files it made.
+  // Returns the last result with its exit `status`.
+  async function runCommandList(shellInstance, line, dispatch) {
+    const context = contextOf(shellInstance);
+    const list = parseCommandList(line);
+    if (list.error) {
+      shellInstance.printError(list.error);
+      shellInstance.print('');
+      context.status = 2;
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(list.error), status: context.status };
+    }
+
+    let result = { handled: true, shouldContinue: true, ok: true };
+    for (const { connector, source, background } of list.items) {
+      if ((connector === '&&' && context.status !== 0) || (connector === '||' && context.status === 0)) {
+        continue;
+      }
+      if (background) {
+        startJob(shellInstance, source, dispatch);
+        result = { handled: true, shouldContinue: true, ok: true };
+        context.status = 0;
+        continue;
+      }
+      const { stages, error } = await parseExpanded(shellInstance, source, dispatch);
+      if (error) {
+        shellInstance.printError(`jsh: ${error}`);
         shellInstance.print('');
-        return { handled: true, shouldContinue: true };
+        result = { handled: true, shouldContinue: true, ok: false, error: new Error(error), status: 1 };
+      } else {
+        result = await runPipeline(shellInstance, stages, dispatch);
+      }
+      context.status = exitStatusOf(result);
+      if (result.shouldContinue === false) {
+        break;
+      }
+    }
+    return { ...result, status: context.status };
+  }
+
+  // `source &`: run the pipeline as a background job, with its own signal
+  // (for `kill`), a copy of the running scope (changes stay in the job) and
+  // a shell that keeps its output until the job is reported or brought back
+  // with `fg` (see createJobShell).
+  function startJob(shellInstance, source, dispatch) {
+    const parent = contextOf(shellInstance);
+    // Like captureSubstitution(), the job's `cd` is undone when it ends; but
+    // the prompt runs meanwhile, so only if nothing else moved since.
+    const cwd = vfs.getCwdPath();
+    let jobCwd = cwd;
+    const jobDispatch = async (stageShell, command, args) => {
+      const result = await dispatch(stageShell, command, args);
+      if (cdCommands.includes(command)) {
+        jobCwd = vfs.getCwdPath();
+      }
+      return result;
+    };
+    const controller = new AbortController();
+    const io = createJobShell(shell, { signal: controller.signal });
+    jobContexts.set(controller.signal, { scope: { ...parent.scope, vars: new Map(parent.scope.vars) }, status: parent.status });
+    const proc = processes.add({ command: `${source} &`, background: true, kill: () => controller.abort(), io });
+    if (!parent.scope.script) {
+      shellInstance.print(`[${proc.job}] ${proc.pid}`);
+    }
+    untilAborted(runCommandList(io.shell, source, jobDispatch), controller.signal)
+      .then((result) => exitStatusOf(result), (err) => {
+        if (isAbortError(err)) return INTERRUPTED_STATUS;
+        io.shell.printError(`jsh: ${String((err && err.message) || err)}`);
+        return 1;
+      })
+      .then((status) => {
+        if (jobCwd !== cwd && vfs.getCwdPath() === jobCwd) {
+          try {
+            vfs.changeDirectory(cwd);
+          } catch (_) {
+            // the folder went away meanwhile; stay where the job left us
+          }
+        }
+        processes.finish(proc, status);
+      });
+  }
+
+  // The words after `for NAME in` (or `return`), expanded; null (after
+  // printing why) if they are not plain words.
+  async function expandWords(shellInstance, source, dispatch) {
+    const { stages, error } = await parseExpanded(shellInstance, source, dispatch);
+    if (error || stages.length !== 1 || stages[0].redirects.length) {
+      shellInstance.printError(`jsh: ${error || `${source}: expected plain words`}`);
+      shellInstance.print('');
+      return null;
+    }
+    const [{ command, args }] = stages;
+    return command || args.length ? [command, ...args] : [];
+  }
+
+  // Run statements (see parseScript) in the scope of the context. Returns null when
+  // they ran to the end, or what cut them short: { flow: 'break' |
+  // 'continue' | 'return' | 'stop' | 'exit', status }. A failing command
+  // makes a `set -e` script stop, except in a condition (`inCondition`).
+  async function runStatements(shellInstance, statements, dispatch, inCondition = false) {
+    const context = contextOf(shellInstance);
+    for (const statement of statements) {
+      // Ctrl+C: a loop or script stops before its next command.
+      if (shellInstance.signal.aborted) {
+        context.status = INTERRUPTED_STATUS;
+        return { flow: 'stop', status: context.status };
       }
+      const outcome = await runStatement(shellInstance, statement, dispatch, inCondition);
+      if (outcome) {
+        return outcome;
+      }
+    }
+    return null;
+  }
 
-      if (!r.shouldContinue) {
-        return { handled: true, shouldContinue: false };
+  async function runStatement(shellInstance, statement, dispatch, inCondition) {
+    const context = contextOf(shellInstance);
+    const { scope } = context;
+    switch (statement.type) {
+      case 'command': {
+        const r = await runCommandList(shellInstance, statement.source, dispatch);
+        if (r.shouldContinue === false) {
+          return { flow: 'exit', status: context.status };
+        }
+        if (shellInstance.signal.aborted) {
+          context.status = INTERRUPTED_STATUS;
+          return { flow: 'stop', status: context.status };
+        }
+        if (context.status !== 0 && scope.script && scope.options.errexit && !inCondition) {
+          // A function that stopped has already said where.
+          if (!r.stopped) {
+            shellInstance.printError(`jsh: stopped at ${scope.name}:${statement.line}`);
+            shellInstance.printError(`jsh: ${statement.source}`);
+            shellInstance.printError(`jsh: ${String((r.error && r.error.message) || r.error || `exit status ${context.status}`)}`);
+            shellInstance.print('');
+          }
+          return { flow: 'stop', status: context.status };
+        }
+        return null;
+      }
+
+      case 'if': {
+        for (const { condition, body } of statement.clauses) {
+          const outcome = await runStatements(shellInstance, condition, dispatch, true);
+          if (outcome) return outcome;
+          if (context.status === 0) {
+            return runStatements(shellInstance, body, dispatch, inCondition);
+          }
+        }
+        if (statement.elseBody) {
+          return runStatements(shellInstance, statement.elseBody, dispatch, inCondition);
+        }
+        context.status = 0;
+        return null;
       }
+
+      case 'for': {
+        const words = statement.words == null ? scope.args : await expandWords(shellInstance, statement.words, dispatch);
+        if (!words) {
+          context.status = 1;
+          return scope.script && scope.options.errexit && !inCondition ? { flow: 'stop', status: 1 } : null;
+        }
+        context.status = 0;
+        for (const word of words) {
+          scope.vars.set(statement.name, word);
+          const outcome = await runStatements(shellInstance, statement.body, dispatch, inCondition);
+          if (outcome && outcome.flow === 'break') break;
+          if (outcome && outcome.flow !== 'continue') return outcome;
+          await nextTick();
+        }
+        return null;
+      }
+
+      case 'while': {
+        let status = 0;
+        for (;;) {
+          const outcome = await runStatements(shellInstance, statement.condition, dispatch, true);
+          if (outcome) return outcome;
+          if (context.status !== 0) break;
+          const bodyOutcome = await runStatements(shellInstance, statement.body, dispatch, inCondition);
+          status = context.status;
+          if (bodyOutcome && bodyOutcome.flow === 'break') break;
+          if (bodyOutcome && bodyOutcome.flow !== 'continue') return bodyOutcome;
+          await nextTick();
+        }
+        context.status = status;
+        return null;
+      }
+
+      case 'function':
+        scope.functions.set(statement.name, statement.body);
+        context.status = 0;
+        return null;
+
+      case 'break':
+      case 'continue':
+        return { flow: statement.type, status: context.status };
+
+      case 'return': {
+        const words = statement.source ? await expandWords(shellInstance, statement.source, dispatch) : [];
+        const status = words && words.length ? Number(words[0]) : context.status;
+        context.status = Number.isInteger(status) ? status & 255 : 2;
+        return { flow: 'return', status: context.status };
+      }
+
+      default:
+        return null;
     }
+  }
 
-    return { handled: true, shouldContinue: true };
+  // Run statements with `scope` as the scope of the context: a script, a
+  // function call or a line typed at the prompt. `stopped` tells the caller
+  // that a `set -e` stop was already reported.
+  async function runInScope(shellInstance, statements, scope, dispatch) {
+    const context = contextOf(shellInstance);
+    const saved = context.scope;
+    context.scope = scope;
+    try {
+      const outcome = await runStatements(shellInstance, statements, dispatch);
+      const flow = outcome ? outcome.flow : null;
+      return {
+        handled: true,
+        shouldContinue: flow !== 'exit',
+        ok: context.status === 0,
+        status: context.status,
+        stopped: flow === 'stop'
+      };
+    } finally {
+      context.scope = saved;
+    }
+  }
+
+  // Run a command line (or a startup script) with `run(commandShell)` so
+  // that Ctrl+C gets back to the prompt with `^C` and status 130, even if a
+  // program ignores `shell.signal`. commandShell keeps the aborted signal,
+  // so whatever is still running stops at its next command. `commandLine`
+  // is what `ps` shows meanwhile. Returns null when interrupted.
+  async function runInterruptibly(commandLine, run) {
+    const signal = shell.beginCommand();
+    const { shell: commandShell } = createStageShell(shell, { signal });
+    const proc = processes.add({ command: commandLine, kill: () => shell.interrupt() });
+    try {
+      return await untilAborted(run(commandShell), signal);
+    } catch (err) {
+      if (!isAbortError(err)) throw err;
+      promptContext.scope = promptScope;
+      shell.print('^C');
+      shell.print('');
+      promptContext.status = INTERRUPTED_STATUS;
+      return null;
+    } finally {
+      shell.endCommand();
+      processes.finish(proc, promptContext.status);
+    }
+  }
+
+  // Before a prompt: the output of background jobs that ended, and a
+  // notice for each (`[1]  Done  sort big.txt > sorted.txt &`).
+  function reportFinishedJobs() {
+    const finished = processes.takeFinished();
+    for (const proc of finished) {
+      proc.io.attach();
+      shell.print(describeJob(proc));
+    }
+    if (finished.length) {
+      shell.print('');
+    }
   }
 
   // Main terminal loop
   async function mainLoop() {
+    // Re-attach persisted mounts (e.g. bundled assets on /usr/share). A
+    // failure only hides that mount; the rest of the VFS works as usual.
+    {
+      const { failed } = await vfs.restoreMounts();
+      for (const { path, error } of failed) {
+        shell.print(`mount: could not mount ${path}: ${String((error && error.message) || error)}`);
+      }
+    }
+
     if (shouldBootstrapInit) {
       // Bootstrap init automatically on true first boot.
       await executeInitProgram(shell, 'init', []);
@@ -538,14 +1188,22 @@ export function jsShellHolder(containerId) {
       shell.print('  \\___/ |__/|____/_| |_|\\___|_|_|');
       shell.print('');
     }
-    shell.printHTML('Welcome to <a href="www.aldrian.cc">jsshell@aldrian.cc</a>!');
-    shell.print('Hit Tab for available commands, or just explore...');
-    shell.print('');
+
+    // The welcome text comes from /etc/profile; installs from before it
+    // existed get the built-in one.
+    if (!statOrNull(PROFILE_PATH)) {
+      shell.printHTML('Welcome to <a href="www.aldrian.cc">jsshell@aldrian.cc</a>!');
+      shell.print('Hit Tab for available commands, or just explore...');
+      shell.print('');
+    }
+    await runStartupScripts();
 
     await maybePrintUpdateBanner(shell);
 
     while (true) {
       try {
+        reportFinishedJobs();
+
         // Update prompt to reflect current virtual working directory
         const cwdPath = vfs.getCwdPath();
         shell.setPrompt(buildPromptHtml(config, cwdPath));
@@ -558,96 +1216,54 @@ export function jsShellHolder(containerId) {
         }
 
         const input = await shell.input('');
-        const trimmedInput = input.trim();
-        const parsedInput = parseCommandLine(trimmedInput);
-        let command = parsedInput.command || '';
-        let args = parsedInput.args || [];
-
-        // Alias expansion happens early so aliases can point to built-ins,
-        // or PATH-resolved scripts.
-        ({ command, args } = expandAliases(command, args));
-
-        // Add to history if not empty and not duplicate
-        if (input.trim() && (commandHistory.length === 0 || commandHistory[commandHistory.length - 1] !== input.trim())) {
-          commandHistory.push(input.trim());
-          persistHistory();
-        }
+        let trimmedInput = input.trim();
         state.historyIndex = -1; // Reset history index
         state.searchMode = false; // Exit search mode
         state.searchQuery = '';
         state.completionSession = null; // Reset completion session
         shell.hideHint(); // Hide any active hints
 
-        // Blank line: do nothing.
-        // This used to be handled by programs/empty.js, but keeping it here
-        // avoids an extra command module whose only purpose is no-op.
-        if (!trimmedInput) {
+        // `!!`, `!n`, `!prefix`, `^old^new`: show the line that runs and
+        // keep that in history, not the event.
+        const events = expandHistory(trimmedInput, commandHistory);
+        if (events.error) {
+          shell.printError(`jsh: ${events.error}`);
+          shell.print('');
+          promptContext.status = 1;
           continue;
         }
-
-        // Dispatch command to all registered command handlers
-        let handled = false;
-        let shouldContinue = true;
-
-        // .jsh scripts: one command per line.
-        // They must be invoked explicitly (e.g. ./demo.jsh) and are intentionally
-        // NOT discovered via PATH fallback.
-        // Inside a .jsh script, each line is dispatched strictly (no alias/PATH
-        // resolution) and execution stops on the first error.
-        if (command.startsWith('./') && command.endsWith('.jsh')) {
-          const res = await runJshScript(shell, command);
-          handled = true;
-          shouldContinue = res.shouldContinue !== false;
-        }
-
-        if (handled) {
-          if (!shouldContinue) {
-            return;
-          }
-          continue;
+        if (events.changed) {
+          trimmedInput = events.line.trim();
+          shell.print(trimmedInput);
         }
 
-        for (const { handler } of commandModules) {
-          const result = await handler(shell, command, args);
-          if (!result) {
-            continue;
-          }
-
-          if (result.handled) {
-            handled = true;
-            shouldContinue = result.shouldContinue !== false;
-            break;
-          }
+        // Add to history if not empty and not duplicate
+        if (trimmedInput && (commandHistory.length === 0 || commandHistory[commandHistory.length - 1] !== trimmedInput)) {
+          commandHistory.push(trimmedInput);
+          persistHistory();
         }
 
-        // PATH script fallback
-        //
-        // If nothing handled the command, try resolving it as a script name on
-        // env.PATH. For example, if /bin is on PATH and /bin/sample.js exists,
-        // typing `sample` will run /bin/sample.js.
-        //
-        // Execution uses the same program convention as ./file.js (see
-        // programs/runScript.js). The script receives the original token
-        // (e.g. "sample") as its `command` argument.
-        if (!handled && command) {
-          const scriptPath = resolveScriptOnPath(command);
-          if (scriptPath) {
-            const result = await executeVfsScript(shell, scriptPath, args, command);
-            if (result && result.handled) {
-              handled = true;
-              shouldContinue = result.shouldContinue !== false;
-            }
-          }
+        // Blank line: do nothing.
+        // This used to be handled by programs/empty.js, but keeping it here
+        // avoids an extra command module whose only purpose is no-op.
+        if (!trimmedInput) {
+          continue;
         }
 
-        // If no handler processed the command and it's not empty, show a default message
-        if (!handled && command) {
-          shell.print(`Command not found: ${command}`);
-          shell.print('Hit Tab for available commands.');
+        const { statements, error } = parseScript(trimmedInput);
+        if (error) {
+          shell.printError(`jsh: ${error.message}`);
           shell.print('');
+          promptContext.status = 2;
+          continue;
         }
+        const result = await runInterruptibly(trimmedInput, (commandShell) => runInScope(commandShell, statements, promptScope, dispatchCommand));
+
+        // With IndexedDB, writes finish in the background; report a failed
+        // one (e.g. storage full) for the command that caused it.
+        await vfs.flush();
 
-        if (!shouldContinue) {
+        if (result && result.shouldContinue === false) {
           return;
         }
       } catch (error) {
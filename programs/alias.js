@@ -0,0 +1,112 @@
+/*! alias.js | `alias` and `unalias` commands for the aliases in /sys/env.json */
+
+// Command names provided by this module
+export const aliasCommands = ['alias', 'unalias'];
+
+// No spaces, quotes, `=`, `/` or operators: the name has to work as a command.
+const ALIAS_NAME_RE = /^[A-Za-z0-9_][A-Za-z0-9_.+:@%-]*$/;
+
+// `name='value'`, in a form that can be typed back in.
+function formatAlias(name, value) {
+  return `${name}='${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Create the handler for `alias` and `unalias`, working on `env.ALIAS`
+ * (an object of name -> command line, expanded by jsShellHolder.js).
+ *
+ * alias                        list aliases
+ * alias NAME='command args'    define (or change) an alias
+ * alias NAME                   show one alias
+ * unalias NAME [...]           remove aliases
+ * unalias -a                   remove all aliases
+ *
+ * @param {Object} env - contents of /sys/env.json
+ * @param {Function} onAliasChange - called after a change (saves env.json,
+ *   refreshes Tab completion)
+ * @returns {(shell: import('../jsShell.js').JsShell, command: string, args: string[]) => { handled: boolean, shouldContinue: boolean }}
+ */
+export function createAliasHandler(env, onAliasChange) {
+  return function executeAliasCommand(shell, command, args) {
+    const normalized = (command || '').toLowerCase();
+    if (!aliasCommands.includes(normalized)) {
+      return { handled: false, shouldContinue: true };
+    }
+
+    if (!env.ALIAS || typeof env.ALIAS !== 'object' || Array.isArray(env.ALIAS)) {
+      env.ALIAS = {};
+    }
+    const aliases = env.ALIAS;
+    const list = Array.isArray(args) ? args : [];
+
+    if (normalized === 'alias' && !list.length) {
+      for (const name of Object.keys(aliases).sort((a, b) => a.localeCompare(b))) {
+        shell.print(`alias ${formatAlias(name, aliases[name])}`);
+      }
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+
+    if (normalized === 'unalias' && !list.length) {
+      const message = 'unalias: usage: unalias [-a] NAME [...]';
+      shell.print(message);
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(message), status: 2 };
+    }
+
+    let failed = false;
+    let changed = false;
+    let shown = false;
+    for (const arg of list) {
+      if (normalized === 'unalias') {
+        if (arg === '-a') {
+          changed = changed || Object.keys(aliases).length > 0;
+          Object.keys(aliases).forEach((name) => { delete aliases[name]; });
+        } else if (Object.prototype.hasOwnProperty.call(aliases, arg)) {
+          delete aliases[arg];
+          changed = true;
+        } else {
+          shell.printError(`unalias: ${arg}: not found`);
+          failed = true;
+        }
+        continue;
+      }
+
+      const eq = arg.indexOf('=');
+      if (eq === -1) {
+        if (Object.prototype.hasOwnProperty.call(aliases, arg)) {
+          shell.print(`alias ${formatAlias(arg, aliases[arg])}`);
+          shown = true;
+        } else {
+          shell.printError(`alias: ${arg}: not found`);
+          failed = true;
+        }
+        continue;
+      }
+
+      const name = arg.slice(0, eq);
+      const value = arg.slice(eq + 1);
+      if (!ALIAS_NAME_RE.test(name)) {
+        shell.printError(`alias: '${name}': invalid alias name`);
+        failed = true;
+      } else if (!value.trim()) {
+        shell.printError(`alias: ${name}: empty command (remove an alias with unalias ${name})`);
+        failed = true;
+      } else {
+        aliases[name] = value;
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      onAliasChange();
+    }
+    if (failed || shown) {
+      shell.print('');
+    }
+    if (failed) {
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(`${normalized}: one or more aliases could not be found or set`), status: 1 };
+    }
+    return { handled: true, shouldContinue: true, ok: true };
+  };
+}
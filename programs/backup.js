@@ -1,5 +1,8 @@
 /*! backup.js | Backup browser localStorage to a downloadable file */
 
+import { vfs } from '../fs/virtualFileSystem.js';
+import { STORAGE_KEYS } from '../constants.js';
+
 const BACKUP_FILENAME_PREFIX = 'jsshell-backup-';
 
 export const backupCommands = ['backup'];
@@ -21,10 +24,25 @@ function createDownload(content, filename) {
   }
 }
 
+// The VFS only lives in localStorage when that is its backend; otherwise
+// (IndexedDB, memory) it is exported from the live instance under the same key
+// so backups stay restorable regardless of where the tree is persisted.
+function vfsIsInLocalStorage() {
+  return vfs.backend && vfs.backend.name === 'localStorage';
+}
+
+function readBackupValue(storage, key) {
+  if (key === STORAGE_KEYS.VFS && !vfsIsInLocalStorage()) {
+    return JSON.stringify(vfs.state);
+  }
+  return storage.getItem(key);
+}
+
 /**
  * backup [storageKey] [filename]
  *
- * - With no arguments: backs up all keys from window.localStorage.
+ * - With no arguments: backs up all keys from window.localStorage, plus the
+ *   VFS when it is persisted elsewhere (IndexedDB).
  * - With storageKey: backs up only that key (if present).
  * - Optional filename overrides the default.
  */
@@ -44,7 +62,7 @@ export async function executeBackupProgram(shell, command, args) {
 
   if (args.length > 0 && args[0]) {
     const key = args[0];
-    if (storage.getItem(key) === null) {
+    if (readBackupValue(storage, key) === null) {
       shell.print(`backup: key "${key}" not found in localStorage.`);
       shell.print('');
       return { handled: true, shouldContinue: true };
@@ -53,10 +71,14 @@ export async function executeBackupProgram(shell, command, args) {
   } else {
     for (let i = 0; i < storage.length; i++) {
       const k = storage.key(i);
-      if (k != null) {
+      // Mount caches can be re-fetched; keep them out of backups.
+      if (k != null && !k.startsWith(STORAGE_KEYS.VFS_CACHE_PREFIX)) {
         keysToBackup.push(k);
       }
     }
+    if (!keysToBackup.includes(STORAGE_KEYS.VFS) && !vfsIsInLocalStorage()) {
+      keysToBackup.push(STORAGE_KEYS.VFS);
+    }
   }
 
   const backup = {
@@ -66,7 +88,7 @@ export async function executeBackupProgram(shell, command, args) {
   };
 
   for (const key of keysToBackup) {
-    backup.keys[key] = storage.getItem(key);
+    backup.keys[key] = readBackupValue(storage, key);
   }
 
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
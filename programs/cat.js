@@ -7,18 +7,22 @@ export const catCommands = ['cat'];
 
 /**
  * Execute the `cat` command.
+ *
+ * Without paths (or for the path `-`) it prints what is piped into it.
+ *
  * @param {import('../jsShell.js').JsShell} shell
  * @param {string} command
  * @param {string[]} args
- * @returns {{ handled: boolean, shouldContinue: boolean } | undefined}
+ * @returns {Promise<{ handled: boolean, shouldContinue: boolean } | undefined>}
  */
-export function executeCatCommand(shell, command, args) {
+export async function executeCatCommand(shell, command, args) {
   const normalized = (command || '').toLowerCase();
   if (normalized !== 'cat') {
     return { handled: false, shouldContinue: true };
   }
 
-  if (!args.length) {
+  const paths = args.length || !shell.stdin ? args : ['-'];
+  if (!paths.length) {
     shell.print('cat: missing operand');
     shell.print("Try 'cat filename'");
     shell.print('');
@@ -26,13 +30,23 @@ export function executeCatCommand(shell, command, args) {
   }
 
   let hadError = false;
-  for (const path of args) {
+  for (const path of paths) {
     try {
-      const content = vfs.readFile(path);
+      if (path === '-') {
+        if (shell.stdin) shell.print(await shell.stdin.read());
+        continue;
+      }
+      const content = await vfs.readFileAsync(path);
+      const info = vfs.stat(path);
+      if (info.encoding === 'base64') {
+        // Raw bytes are not printable in the terminal.
+        shell.print(`cat: ${path}: binary file (${info.size} bytes, ${info.mime || 'unknown type'}); use download to save it`);
+        continue;
+      }
       shell.print(content);
     } catch (err) {
       hadError = true;
-      shell.print(String(err.message || err));
+      shell.printError(String(err.message || err));
     }
   }
   shell.print('');
@@ -11,7 +11,17 @@ const DEFAULT_CONFIG = {
   showWelcomeLogo: true,
   textColor: '#2AA198',
   backgroundColor: '#002B36',
-  linkColor: '#268BD2'
+  linkColor: '#268BD2',
+  // `rm` keeps up to this many bytes in /home/user/.trash; 0 turns it off
+  trashMaxBytes: 1024 * 1024,
+  // A wildcard word that matches no file is an error instead of being kept as typed
+  failGlob: false,
+  // Run VFS .js scripts in a Web Worker (see utils/scriptSandbox.js), except
+  // those in the `:`-separated scriptTrustedPaths folders
+  scriptSandbox: false,
+  scriptTrustedPaths: '/bin',
+  // CPU time (ms) a sandboxed script may use; 0 for no limit
+  scriptTimeLimit: 0
 };
 
 const configCommands = ['config'];
@@ -106,7 +116,9 @@ function createConfigHandler(config, persistConfig) {
       shell.print('  config reset           # reset to defaults');
       shell.print('');
       shell.print('Common keys: promptUser, promptHost, promptUserColor, promptPathColor,');
-      shell.print('             textColor, backgroundColor, linkColor, showWelcomeLogo');
+      shell.print('             textColor, backgroundColor, linkColor, showWelcomeLogo,');
+      shell.print('             trashMaxBytes, failGlob, scriptSandbox, scriptTrustedPaths,');
+      shell.print('             scriptTimeLimit');
       shell.print('');
     };
 
@@ -1,8 +1,8 @@
-/*! copy.js | `copy` command for JsShell virtual filesystem */
+/*! copy.js | `copy` / `cp` command for JsShell virtual filesystem */
 
 import { vfs } from '../fs/virtualFileSystem.js';
 
-export const copyCommands = ['copy'];
+export const copyCommands = ['copy', 'cp'];
 
 function joinPathLike(base, name) {
   if (!base || base === '.') return name;
@@ -16,52 +16,64 @@ function basename(path) {
   return parts.length ? parts[parts.length - 1] : s;
 }
 
+function parseCopyArgs(args) {
+  const opts = { recursive: false };
+  const rest = [];
+  for (const a of args) {
+    if (a === '-r' || a === '-R' || a === '--recursive') {
+      opts.recursive = true;
+      continue;
+    }
+    if (a.startsWith('-') && a.length > 1) {
+      return { error: `copy: invalid option '${a}'`, opts, rest };
+    }
+    rest.push(a);
+  }
+  return { error: null, opts, rest };
+}
+
 /**
- * Execute the `copy` command.
+ * Execute the `copy` (alias `cp`) command.
+ *
+ * copy [-r] <src> <dest>
+ *
  * @param {import('../jsShell.js').JsShell} shell
  * @param {string} command
  * @param {string[]} args
  */
-export function executeCopyCommand(shell, command, args) {
+export async function executeCopyCommand(shell, command, args) {
   const normalized = (command || '').toLowerCase();
-  if (normalized !== 'copy') {
+  if (normalized !== 'copy' && normalized !== 'cp') {
     return { handled: false, shouldContinue: true };
   }
 
-  if (!Array.isArray(args) || args.length < 2) {
-    shell.print('copy: missing operand');
-    shell.print("Try 'copy source.txt dest.txt'");
+  const parsed = parseCopyArgs(Array.isArray(args) ? args : []);
+  if (parsed.error || parsed.rest.length !== 2) {
+    const message = parsed.error || `${normalized}: missing operand`;
+    shell.print(message);
+    shell.print(`Try '${normalized} source.txt dest.txt' or '${normalized} -r folder dest'`);
     shell.print('');
-    return { handled: true, shouldContinue: true, ok: false, error: new Error('copy: missing operand') };
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(message) };
   }
 
-  const src = args[0];
-  const destArg = args[1];
-
-  let content = '';
-  try {
-    content = vfs.readFile(src);
-  } catch (err) {
-    shell.print(`copy: cannot read '${src}': ${err.message || err}`);
-    shell.print('');
-    return { handled: true, shouldContinue: true, ok: false, error: new Error('copy: cannot read source') };
-  }
+  const [src, destArg] = parsed.rest;
 
   let dest = destArg;
   try {
     // If destination is an existing folder, copy into it using source basename.
-    vfs.list(destArg);
-    dest = joinPathLike(destArg, basename(src));
+    if (vfs.stat(destArg).type === 'folder') {
+      dest = joinPathLike(destArg, basename(src));
+    }
   } catch (_) {
-    // Not a folder (or doesn't exist) -> treat as file path.
+    // Doesn't exist -> treat as the path of the copy.
   }
 
   try {
-    vfs.writeFile(dest, content);
+    await vfs.copy(src, dest, { recursive: parsed.opts.recursive });
   } catch (err) {
-    shell.print(`copy: cannot write '${dest}': ${err.message || err}`);
+    shell.print(String(err.message || err));
     shell.print('');
-    return { handled: true, shouldContinue: true, ok: false, error: new Error('copy: cannot write destination') };
+    return { handled: true, shouldContinue: true, ok: false, error: err };
   }
 
   return { handled: true, shouldContinue: true, ok: true };
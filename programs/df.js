@@ -0,0 +1,83 @@
+/*! df.js | `df` command for JsShell virtual filesystem */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+import { formatSize } from '../utils/format.js';
+import { measureTree } from './du.js';
+
+// Command names provided by this module
+export const dfCommands = ['df'];
+
+function parseDfArgs(args) {
+  const opts = { human: false };
+  for (const a of args) {
+    if (a === '-h' || a === '--human-readable') {
+      opts.human = true;
+      continue;
+    }
+    return { error: a.startsWith('-') ? `df: invalid option '${a}'` : `df: unexpected argument '${a}'`, opts };
+  }
+  return { error: null, opts };
+}
+
+function printTable(shell, rows) {
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+  const last = widths.length - 1;
+  for (const row of rows) {
+    const cells = row.map((cell, col) => {
+      if (col === last) return cell;
+      // Filesystem is left-aligned, the numbers right-aligned.
+      return col === 0 ? cell.padEnd(widths[col]) : cell.padStart(widths[col]);
+    });
+    shell.print(cells.join('  '));
+  }
+}
+
+/**
+ * Execute the `df` command.
+ *
+ * df [-h]
+ *
+ * The row for `/` shows the browser storage backend (its numbers may cover
+ * everything the page stores, not only the VFS); mounts show what their
+ * files use in memory.
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<{ handled: boolean, shouldContinue: boolean } | undefined>}
+ */
+export async function executeDfCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (normalized !== 'df') {
+    return { handled: false, shouldContinue: true };
+  }
+
+  const parsed = parseDfArgs(Array.isArray(args) ? args : []);
+  if (parsed.error) {
+    shell.print(parsed.error);
+    shell.print('Usage: df [-h]');
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(parsed.error) };
+  }
+
+  const size = (bytes) => (bytes == null ? '-' : (parsed.opts.human ? formatSize(bytes) : String(bytes)));
+  const rows = [['Filesystem', 'Size', 'Used', 'Avail', 'Use%', 'Mounted on']];
+
+  const info = await vfs.storageInfo();
+  const percent = info.quota ? `${Math.min(100, Math.ceil((info.used / info.quota) * 100))}%` : '-';
+  rows.push([info.backend, size(info.quota), size(info.used), size(info.available), percent, '/']);
+
+  for (const m of vfs.mounts()) {
+    let used = null;
+    try {
+      used = measureTree(m.path);
+    } catch (_) {
+      used = null;
+    }
+    rows.push([m.type, '-', size(used), '-', '-', m.path]);
+  }
+
+  printTable(shell, rows);
+  shell.print('');
+  return { handled: true, shouldContinue: true, ok: true };
+}
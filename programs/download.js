@@ -1,6 +1,6 @@
 /*! download.js | Download a VFS file to the user's machine */
 
-import { vfs } from '../fs/virtualFileSystem.js';
+import { vfs, guessMimeType } from '../fs/virtualFileSystem.js';
 
 export const downloadCommands = ['download'];
 
@@ -10,16 +10,8 @@ function basename(path) {
   return parts.length ? parts[parts.length - 1] : '';
 }
 
-function guessMimeType(name) {
-  const lower = String(name || '').toLowerCase();
-  if (lower.endsWith('.js')) return 'application/javascript';
-  if (lower.endsWith('.md')) return 'text/markdown';
-  if (lower.endsWith('.txt')) return 'text/plain';
-  return 'text/plain';
-}
-
-function triggerDownload(textContent, filename) {
-  const blob = new Blob([textContent], { type: guessMimeType(filename) });
+function triggerDownload(bytes, filename, mime) {
+  const blob = new Blob([bytes], { type: mime || guessMimeType(filename) || 'text/plain' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -71,8 +63,11 @@ export async function executeDownloadProgram(shell, command, args) {
   }
 
   let content;
+  let mime = null;
   try {
-    content = vfs.readFile(parsed.path);
+    content = await vfs.readFileBytesAsync(parsed.path);
+    const info = vfs.stat(parsed.path);
+    mime = info.mime || (info.encoding === 'base64' ? 'application/octet-stream' : null);
   } catch (err) {
     shell.print(String(err.message || err));
     shell.print('');
@@ -83,7 +78,7 @@ export async function executeDownloadProgram(shell, command, args) {
   const filename = parsed.name || defaultName;
 
   try {
-    triggerDownload(content, filename);
+    triggerDownload(content, filename, mime);
     shell.print(`download: started download: ${filename}`);
   } catch (err) {
     shell.print(`download: failed to trigger download: ${String(err.message || err)}`);
@@ -0,0 +1,105 @@
+/*! du.js | `du` command for JsShell virtual filesystem */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+import { formatSize } from '../utils/format.js';
+
+// Command names provided by this module
+export const duCommands = ['du'];
+
+function joinListedPath(base, name) {
+  if (base === '/') return '/' + name;
+  return base.endsWith('/') ? (base + name) : (base + '/' + name);
+}
+
+function parseDuArgs(args) {
+  const opts = { summarize: false, human: false };
+  const paths = [];
+  let endOfOptions = false;
+  for (const a of args) {
+    if (!endOfOptions && a === '--') {
+      endOfOptions = true;
+      continue;
+    }
+    if (!endOfOptions && a.startsWith('-') && a.length > 1) {
+      for (const ch of a.slice(1)) {
+        if (ch === 's') opts.summarize = true;
+        else if (ch === 'h') opts.human = true;
+        else return { error: `du: invalid option -- '${ch}'`, opts, paths };
+      }
+      continue;
+    }
+    paths.push(a);
+  }
+  return { error: null, opts, paths };
+}
+
+/**
+ * Total size in bytes of the file or folder tree at `path`. Symlinks count
+ * as the length of their target and are not followed. Files on asset
+ * mounts that were never read count as 0.
+ *
+ * @param {string} path
+ * @param {function(string, number): void} [visit] - called for every folder
+ *   (children first) with its path and total size
+ * @returns {number}
+ */
+export function measureTree(path, visit) {
+  const stat = vfs.lstat(path);
+  if (stat.type !== 'folder') return stat.size;
+  const { folders, files } = vfs.list(path);
+  let total = 0;
+  for (const name of folders.concat(files)) {
+    total += measureTree(joinListedPath(path, name), visit);
+  }
+  if (visit) visit(path, total);
+  return total;
+}
+
+/**
+ * Execute the `du` command.
+ *
+ * du [-s] [-h] [path ...]
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {{ handled: boolean, shouldContinue: boolean } | undefined}
+ */
+export function executeDuCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (normalized !== 'du') {
+    return { handled: false, shouldContinue: true };
+  }
+
+  const parsed = parseDuArgs(Array.isArray(args) ? args : []);
+  if (parsed.error) {
+    shell.print(parsed.error);
+    shell.print('Usage: du [-s] [-h] [path ...]');
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(parsed.error) };
+  }
+
+  const { summarize, human } = parsed.opts;
+  const show = (size, path) => shell.print(`${human ? formatSize(size) : size}\t${path}`);
+  const paths = parsed.paths.length ? parsed.paths : ['.'];
+
+  let hadError = false;
+  for (const path of paths) {
+    try {
+      vfs.lstat(path);
+    } catch (_) {
+      hadError = true;
+      shell.print(`du: cannot access '${path}': No such file or directory`);
+      continue;
+    }
+    const total = measureTree(path, summarize ? null : (folderPath, size) => {
+      if (folderPath !== path) show(size, folderPath);
+    });
+    show(total, path);
+  }
+  shell.print('');
+
+  return hadError
+    ? { handled: true, shouldContinue: true, ok: false, error: new Error('du: one or more paths failed') }
+    : { handled: true, shouldContinue: true, ok: true };
+}
@@ -0,0 +1,30 @@
+/*! echo.js | `echo` command for JsShell */
+
+// Command names provided by this module
+export const echoCommands = ['echo'];
+
+/**
+ * Execute the `echo` command: print its arguments, separated by spaces.
+ * With `--html` first, the text is HTML (links and colors for banners such
+ * as the one in /etc/profile); piped or redirected, only its text is kept.
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {{ handled: boolean, shouldContinue: boolean } | undefined}
+ */
+export function executeEchoCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (normalized !== 'echo') {
+    return { handled: false, shouldContinue: true };
+  }
+
+  const list = Array.isArray(args) ? args : [];
+  if (list[0] === '--html') {
+    shell.printHTML(list.slice(1).join(' '));
+  } else {
+    shell.print(list.join(' '));
+  }
+  shell.print('');
+
+  return { handled: true, shouldContinue: true, ok: true };
+}
@@ -0,0 +1,135 @@
+/*! env.js | `export`, `unset` and `env` commands for the shell environment in /sys/env.json */
+
+// Command names provided by this module
+export const envCommands = ['export', 'unset', 'env'];
+
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Kept in env.json with a shape of their own; PATH is shown as "/bin:/usr/bin".
+const PATH_KEY = 'PATH';
+const ALIAS_KEY = 'ALIAS';
+
+/**
+ * The variables of the persisted environment as strings, the way scripts
+ * and `$NAME` see them: PATH joined with ':', without ALIAS.
+ * @param {Object} env - contents of /sys/env.json
+ * @returns {Object<string, string>}
+ */
+export function environmentVariables(env) {
+  const vars = {};
+  for (const [name, value] of Object.entries(env || {})) {
+    if (name === ALIAS_KEY || !NAME_RE.test(name)) continue;
+    if (name === PATH_KEY) {
+      vars[name] = Array.isArray(value) ? value.join(':') : String(value ?? '');
+    } else if (value != null && typeof value !== 'object') {
+      vars[name] = String(value);
+    }
+  }
+  return vars;
+}
+
+function printVariables(shell, env) {
+  const vars = environmentVariables(env);
+  for (const name of Object.keys(vars).sort((a, b) => a.localeCompare(b))) {
+    shell.print(`${name}=${vars[name]}`);
+  }
+}
+
+function checkName(command, name) {
+  if (!NAME_RE.test(name)) {
+    return `${command}: '${name}': not a valid variable name`;
+  }
+  if (name === ALIAS_KEY) {
+    return `${command}: ${ALIAS_KEY} holds the shell's aliases; change them with alias and unalias`;
+  }
+  return null;
+}
+
+/**
+ * Create the handler for `export`, `unset` and `env`, working on the
+ * shell's env object (the contents of /sys/env.json).
+ *
+ * export                       list variables
+ * export NAME=value [...]      set variables (`export NAME` sets an unset one to '',
+ *                              or to the value of shell variable NAME)
+ * unset NAME [...]             remove variables (shell variables too)
+ * env                          list variables
+ *
+ * @param {Object} env
+ * @param {Function} persistEnv - called after a change
+ * @param {(shell: import('../jsShell.js').JsShell) => Map<string, string>} [getShellVariables] - `NAME=value` variables of the script running in `shell`
+ * @returns {(shell: import('../jsShell.js').JsShell, command: string, args: string[]) => { handled: boolean, shouldContinue: boolean }}
+ */
+export function createEnvHandler(env, persistEnv, getShellVariables = () => new Map()) {
+  return function executeEnvCommand(shell, command, args) {
+    const normalized = (command || '').toLowerCase();
+    if (!envCommands.includes(normalized)) {
+      return { handled: false, shouldContinue: true };
+    }
+
+    const list = Array.isArray(args) ? args : [];
+
+    if (normalized === 'env' || (normalized === 'export' && !list.length)) {
+      if (list.length) {
+        const message = 'env: usage: env (set variables with export NAME=value)';
+        shell.print(message);
+        shell.print('');
+        return { handled: true, shouldContinue: true, ok: false, error: new Error(message) };
+      }
+      printVariables(shell, env);
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+
+    if (normalized === 'unset' && !list.length) {
+      const message = 'unset: usage: unset NAME [...]';
+      shell.print(message);
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(message) };
+    }
+
+    const shellVariables = getShellVariables(shell);
+    let hadError = false;
+    let changed = false;
+    for (const arg of list) {
+      const eq = normalized === 'export' ? arg.indexOf('=') : -1;
+      const name = eq === -1 ? arg : arg.slice(0, eq);
+      const error = checkName(normalized, name);
+      if (error) {
+        hadError = true;
+        shell.printError(error);
+        continue;
+      }
+
+      if (normalized === 'unset') {
+        shellVariables.delete(name);
+        if (Object.prototype.hasOwnProperty.call(env, name)) {
+          delete env[name];
+          changed = true;
+        }
+      } else if (eq !== -1) {
+        const value = arg.slice(eq + 1);
+        env[name] = name === PATH_KEY ? value.split(':').filter(Boolean) : value;
+        shellVariables.delete(name);
+        changed = true;
+      } else if (shellVariables.has(name)) {
+        const value = shellVariables.get(name);
+        env[name] = name === PATH_KEY ? value.split(':').filter(Boolean) : value;
+        shellVariables.delete(name);
+        changed = true;
+      } else if (!Object.prototype.hasOwnProperty.call(env, name)) {
+        env[name] = name === PATH_KEY ? [] : '';
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      persistEnv();
+    }
+    if (hadError) {
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(`${normalized}: invalid variable name`) };
+    }
+    return { handled: true, shouldContinue: true, ok: true };
+  };
+}
@@ -2,22 +2,37 @@
 
 import { vfs } from '../fs/virtualFileSystem.js';
 import { joinPath, normalizePathFromCwd } from '../fs/pathUtils.js';
+import { formatMode, formatTimestamp } from '../utils/format.js';
+import { globToRegExp } from '../fs/glob.js';
 
 export const findCommands = ['find'];
 
-function globToRegExp(glob) {
-  const src = String(glob || '');
-  const escaped = src.replace(/[.+^${}()|[\]\\]/g, '\\$&');
-  const regexSrc = '^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$';
-  return new RegExp(regexSrc);
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// Parse a find-style age test: "N" (exactly N units old), "+N" (more than N),
+// "-N" (less than N). Ages are truncated to whole units like GNU find.
+function parseAgeTest(raw, unitMs) {
+  const m = String(raw || '').match(/^([+-]?)(\d+)$/);
+  if (!m) return null;
+  return { cmp: m[1] || '=', n: Number(m[2]), unitMs };
+}
+
+function matchesAgeTest(test, mtime, now) {
+  if (typeof mtime !== 'number') return false;
+  const age = Math.floor((now - mtime) / test.unitMs);
+  if (test.cmp === '+') return age > test.n;
+  if (test.cmp === '-') return age < test.n;
+  return age === test.n;
 }
 
 function parseFindArgs(args) {
   const opts = {
     ls: false,
     name: null,
-    type: null, // 'f' | 'd'
-    maxDepth: Infinity
+    type: null, // 'f' | 'd' | 'l'
+    maxDepth: Infinity,
+    ageTests: []
   };
 
   let path = null;
@@ -44,9 +59,9 @@ function parseFindArgs(args) {
       }
       if (a === '-type') {
         const next = args[i + 1];
-        if (next == null) return { error: 'find: -type requires f or d', opts, path };
+        if (next == null) return { error: 'find: -type requires f, d or l', opts, path };
         const t = String(next).toLowerCase();
-        if (t !== 'f' && t !== 'd') return { error: 'find: -type must be f or d', opts, path };
+        if (t !== 'f' && t !== 'd' && t !== 'l') return { error: 'find: -type must be f, d or l', opts, path };
         opts.type = t;
         i += 1;
         continue;
@@ -61,6 +76,15 @@ function parseFindArgs(args) {
         continue;
       }
 
+      if (a === '-mtime' || a === '-mmin') {
+        const next = args[i + 1];
+        const test = parseAgeTest(next, a === '-mtime' ? MS_PER_DAY : MS_PER_MINUTE);
+        if (!test) return { error: `find: ${a} requires [+|-]N`, opts, path };
+        opts.ageTests.push(test);
+        i += 1;
+        continue;
+      }
+
       return { error: `find: unknown option: ${a}`, opts, path };
     }
 
@@ -82,26 +106,30 @@ function basename(p) {
   return parts[parts.length - 1] || '';
 }
 
-function getLsSizeForPath(path, kind) {
-  if (kind === 'file') {
-    try {
-      const content = vfs.readFile(path);
-      return String((content || '').length);
-    } catch (_) {
-      return '0';
-    }
-  }
-
-  // folder: show immediate child count (similar to ls -l implementation)
+function lstatOrNull(path) {
   try {
-    const listed = vfs.list(path);
-    const count = (listed.folders?.length || 0) + (listed.files?.length || 0);
-    return String(count);
+    return vfs.lstat(path);
   } catch (_) {
-    return '0';
+    return null;
   }
 }
 
+function formatLsLine(path, kind) {
+  const info = lstatOrNull(path);
+  const modeCol = formatMode(info ? info.mode : undefined, kind);
+  const sizeCol = String(info ? info.size : 0).padStart(6, ' ');
+  const dateCol = formatTimestamp(info ? info.mtime : undefined);
+  const linkSuffix = info && info.type === 'symlink' ? ` -> ${info.target}` : '';
+  return `${modeCol} ${sizeCol} ${dateCol} ${path}${linkSuffix}`;
+}
+
+// Symlinks found while walking are reported as such and never descended
+// into (like `find -P`), which also keeps link cycles from looping.
+function childKind(path, listedKind) {
+  const info = lstatOrNull(path);
+  return info && info.type === 'symlink' ? 'symlink' : listedKind;
+}
+
 function *walk(startPath, maxDepth) {
   // Yields { path, kind, depth }
   const stack = [{ path: startPath, depth: 0, kind: null }];
@@ -139,10 +167,12 @@ function *walk(startPath, maxDepth) {
 
     // Push in reverse order so the output is stable (stack = LIFO)
     for (let i = files.length - 1; i >= 0; i -= 1) {
-      stack.push({ path: joinPath(currentPath, files[i]), depth: depth + 1, kind: 'file' });
+      const childPath = joinPath(currentPath, files[i]);
+      stack.push({ path: childPath, depth: depth + 1, kind: childKind(childPath, 'file') });
     }
     for (let i = folders.length - 1; i >= 0; i -= 1) {
-      stack.push({ path: joinPath(currentPath, folders[i]), depth: depth + 1, kind: 'folder' });
+      const childPath = joinPath(currentPath, folders[i]);
+      stack.push({ path: childPath, depth: depth + 1, kind: childKind(childPath, 'folder') });
     }
   }
 }
@@ -162,7 +192,7 @@ export function executeFindCommand(shell, command, args) {
   const parsed = parseFindArgs(Array.isArray(args) ? args : []);
   if (parsed.error) {
     shell.print(parsed.error);
-    shell.print('Usage: find [path] [-ls] [-name <glob>] [-type f|d] [-maxdepth N]');
+    shell.print('Usage: find [path] [-ls] [-name <glob>] [-type f|d|l] [-maxdepth N] [-mtime [+|-]N] [-mmin [+|-]N]');
     shell.print('');
     return { handled: true, shouldContinue: true, ok: false };
   }
@@ -187,6 +217,7 @@ export function executeFindCommand(shell, command, args) {
   }
 
   const nameRe = parsed.opts.name ? globToRegExp(parsed.opts.name) : null;
+  const now = Date.now();
 
   for (const entry of walk(startPath, parsed.opts.maxDepth)) {
     if (entry.depth === 0 && startKind && entry.kind !== startKind) {
@@ -196,6 +227,7 @@ export function executeFindCommand(shell, command, args) {
     if (parsed.opts.type) {
       if (parsed.opts.type === 'f' && entry.kind !== 'file') continue;
       if (parsed.opts.type === 'd' && entry.kind !== 'folder') continue;
+      if (parsed.opts.type === 'l' && entry.kind !== 'symlink') continue;
     }
 
     if (nameRe) {
@@ -203,11 +235,18 @@ export function executeFindCommand(shell, command, args) {
       if (!nameRe.test(base)) continue;
     }
 
+    if (parsed.opts.ageTests.length) {
+      let mtime = null;
+      try {
+        mtime = vfs.stat(entry.path).mtime;
+      } catch (_) {
+        mtime = null;
+      }
+      if (!parsed.opts.ageTests.every((t) => matchesAgeTest(t, mtime, now))) continue;
+    }
+
     if (parsed.opts.ls) {
-      const typeChar = entry.kind === 'folder' ? 'd' : '-';
-      const size = getLsSizeForPath(entry.path, entry.kind);
-      const sizeCol = String(size).padStart(6, ' ');
-      shell.print(`${typeChar} ${sizeCol} ${entry.path}`);
+      shell.print(formatLsLine(entry.path, entry.kind));
     } else {
       shell.print(entry.path);
     }
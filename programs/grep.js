@@ -75,6 +75,14 @@ function compileMatcher(patternToken, ignoreCase) {
   };
 }
 
+function isSymlink(path) {
+  try {
+    return vfs.lstat(path).type === 'symlink';
+  } catch (_) {
+    return false;
+  }
+}
+
 function *walkFilesRecursive(startPath) {
   const stack = [startPath];
   while (stack.length) {
@@ -96,15 +104,19 @@ function *walkFilesRecursive(startPath) {
     }
 
     for (let i = folders.length - 1; i >= 0; i -= 1) {
-      stack.push(joinPath(current, folders[i]));
+      const childPath = joinPath(current, folders[i]);
+      // Do not descend through symlinked folders (avoids link cycles).
+      if (isSymlink(childPath)) continue;
+      stack.push(childPath);
     }
   }
 }
 
-function grepFile({ shell, path, matcher, opts, showFilePrefix }) {
+// `-` is the piped input.
+async function grepFile({ shell, path, matcher, opts, showFilePrefix }) {
   let content;
   try {
-    content = vfs.readFile(path);
+    content = path === '-' ? await shell.stdin.read() : await vfs.readFileAsync(path);
   } catch (_) {
     return { matched: false, failed: true };
   }
@@ -119,7 +131,7 @@ function grepFile({ shell, path, matcher, opts, showFilePrefix }) {
 
     const lineNo = i + 1;
     const prefixParts = [];
-    if (showFilePrefix) prefixParts.push(path);
+    if (showFilePrefix) prefixParts.push(path === '-' ? '(standard input)' : path);
     if (opts.lineNumbers) prefixParts.push(String(lineNo));
     const prefix = prefixParts.length ? prefixParts.join(':') + ':' : '';
 
@@ -135,7 +147,7 @@ function grepFile({ shell, path, matcher, opts, showFilePrefix }) {
  * @param {string} command
  * @param {string[]} args
  */
-export function executeGrepCommand(shell, command, args) {
+export async function executeGrepCommand(shell, command, args) {
   const normalized = (command || '').toLowerCase();
   if (normalized !== 'grep') {
     return { handled: false, shouldContinue: true };
@@ -162,17 +174,25 @@ export function executeGrepCommand(shell, command, args) {
 
   let paths = parsed.paths.slice();
   if (paths.length === 0) {
-    if (parsed.opts.recursive) {
+    if (shell.stdin && !parsed.opts.recursive) {
+      paths = ['-'];
+    } else if (parsed.opts.recursive) {
       paths = ['.'];
     } else {
-      shell.print('grep: missing file operand');
+      shell.print('grep: missing file operand (or pipe text into grep)');
       shell.print('Usage: grep [-r] [-i] [-n] <pattern> [path ...]');
       shell.print('');
       return { handled: true, shouldContinue: true, ok: false };
     }
   }
 
-  const absoluteInputs = paths.map((p) => normalizePathFromCwd(cwdPath, p));
+  if (paths.includes('-') && !shell.stdin) {
+    shell.printError('grep: -: nothing is piped into grep');
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false };
+  }
+
+  const absoluteInputs = paths.map((p) => (p === '-' ? p : normalizePathFromCwd(cwdPath, p)));
 
   // Expand paths to file list
   const fileList = [];
@@ -181,8 +201,7 @@ export function executeGrepCommand(shell, command, args) {
       for (const f of walkFilesRecursive(p)) {
         // only include actual files (skip folders yielded due to list failures)
         try {
-          vfs.readFile(f);
-          fileList.push(f);
+          if (vfs.stat(f).type === 'file') fileList.push(f);
         } catch (_) {
           // ignore
         }
@@ -200,7 +219,9 @@ export function executeGrepCommand(shell, command, args) {
   let anyFailed = false;
 
   for (const filePath of fileList) {
-    const res = grepFile({
+    // Ctrl+C between files (see JsShell.signal)
+    shell.signal.throwIfAborted();
+    const res = await grepFile({
       shell,
       path: filePath,
       matcher,
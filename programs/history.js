@@ -0,0 +1,113 @@
+/*! history.js | `history` (typed commands, per-file revisions) and `revert` commands for the JsShell VFS */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+import { formatTimestamp } from '../utils/format.js';
+
+// Command names provided by this module
+export const historyCommands = ['history', 'revert'];
+
+function parseRev(value) {
+  return /^\d+$/.test(String(value || '')) ? Number(value) : null;
+}
+
+function printHistory(shell, path) {
+  const revisions = vfs.fileHistory(path);
+  const revWidth = Math.max(3, ...revisions.map((r) => String(r.rev).length));
+  const sizeWidth = Math.max(4, ...revisions.map((r) => String(r.size).length));
+  shell.print(`${'REV'.padStart(revWidth)}  ${'Modified'.padEnd(16)}  ${'Size'.padStart(sizeWidth)}`);
+  for (const r of revisions) {
+    const note = r.current ? '  (current)' : '';
+    shell.print(`${String(r.rev).padStart(revWidth)}  ${formatTimestamp(r.mtime)}  ${String(r.size).padStart(sizeWidth)}${note}`);
+  }
+  if (revisions.length === 1) {
+    shell.print('(no earlier revisions)');
+  }
+}
+
+function printRevision(shell, path, rev) {
+  const content = vfs.readRevision(path, rev);
+  const revision = vfs.fileHistory(path).find((r) => r.rev === rev);
+  if (revision && revision.encoding === 'base64') {
+    shell.print(`history: ${path}: revision ${rev} is binary; use 'revert ${path} ${rev}' to get it back`);
+    return;
+  }
+  for (const line of String(content).split('\n')) {
+    shell.print(line);
+  }
+}
+
+// Numbered like `!n` counts them (see utils/historyExpansion.js).
+function printCommandHistory(shell, commandHistory, count) {
+  const start = count == null ? 0 : Math.max(0, commandHistory.length - count);
+  const width = Math.max(4, String(commandHistory.length).length);
+  for (let i = start; i < commandHistory.length; i += 1) {
+    shell.print(`${String(i + 1).padStart(width)}  ${commandHistory[i]}`);
+  }
+}
+
+/**
+ * Create the handler for the `history` / `revert` commands.
+ *
+ * history [n]            list typed commands (the last n)
+ * history -c             forget typed commands
+ * history <file> [rev]   list revisions of a file, or print one
+ * revert <file> <rev>
+ *
+ * A lone number is a count; write `./5` for a file named 5.
+ *
+ * @param {string[]} commandHistory - typed lines, oldest first (changed in place by -c)
+ * @param {Function} persistHistory - saves commandHistory to /sys/history.json
+ * @returns {(shell: import('../jsShell.js').JsShell, command: string, args: string[]) => { handled: boolean, shouldContinue: boolean }}
+ */
+export function createHistoryHandler(commandHistory, persistHistory) {
+  return function executeHistoryCommand(shell, command, args) {
+    const normalized = (command || '').toLowerCase();
+    if (normalized !== 'history' && normalized !== 'revert') {
+      return { handled: false, shouldContinue: true };
+    }
+
+    const list = Array.isArray(args) ? args : [];
+    if (normalized === 'history' && (!list.length || (list.length === 1 && (list[0] === '-c' || parseRev(list[0]) != null)))) {
+      if (list[0] === '-c') {
+        commandHistory.length = 0;
+        persistHistory();
+        return { handled: true, shouldContinue: true, ok: true };
+      }
+      printCommandHistory(shell, commandHistory, list.length ? parseRev(list[0]) : null);
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+
+    const rev = list.length > 1 ? parseRev(list[1]) : null;
+    const usage = normalized === 'revert' ? 'Usage: revert <file> <rev>' : 'Usage: history [-c] [n] | history <file> [rev]';
+    const badArgs = normalized === 'revert'
+      ? (list.length !== 2 || rev == null)
+      : (list.length > 2 || (list.length === 2 && rev == null));
+    if (badArgs) {
+      const message = `${normalized}: expected a file${normalized === 'revert' ? ' and a revision number' : ''}`;
+      shell.printError(message);
+      shell.printError(usage);
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(message) };
+    }
+
+    const path = list[0];
+    try {
+      if (normalized === 'revert') {
+        vfs.revertFile(path, rev);
+        const current = vfs.fileHistory(path)[0].rev;
+        shell.print(`revert: ${path} has the content of revision ${rev} again (now revision ${current})`);
+      } else if (rev != null) {
+        printRevision(shell, path, rev);
+      } else {
+        printHistory(shell, path);
+      }
+    } catch (err) {
+      shell.printError(String(err.message || err));
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: err };
+    }
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: true };
+  };
+}
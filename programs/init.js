@@ -2,15 +2,19 @@
 
 import { vfs } from '../fs/virtualFileSystem.js';
 import { STORAGE_KEYS } from '../constants.js';
+import { bytesToBase64 } from '../fs/binary.js';
 
 export const initCommands = ['init'];
 
-const VFS_STORAGE_KEY = STORAGE_KEYS.VFS;
 const VFS_BACKUP_PREFIX = STORAGE_KEYS.VFS_BACKUP_PREFIX;
 
 const SYS_ENV_PATH = '/sys/env.json';
 const SYS_ASSETS_VERSION_PATH = '/sys/assets-version.json';
 
+// Manifest entries below this folder are served read-only by an `assets`
+// mount instead of being copied into browser storage.
+const ASSET_MOUNT_POINT = '/usr/share';
+
 const ASSET_BASE_URL = new URL('../assets/', import.meta.url);
 const ASSET_MANIFEST_URL = new URL('manifest.json', ASSET_BASE_URL);
 const ASSET_VERSION_URL = new URL('version.json', ASSET_BASE_URL);
@@ -28,18 +32,12 @@ function ensureDirPath(path) {
   }
 }
 
-async function fetchAsDataUrl(url) {
+async function fetchAsBytes(url) {
   const response = await fetch(url);
   if (!response.ok) {
     throw new Error(`fetch failed: ${response.status} ${response.statusText}`);
   }
-  const blob = await response.blob();
-  return await new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(String(reader.result || ''));
-    reader.onerror = () => reject(reader.error || new Error('FileReader failed'));
-    reader.readAsDataURL(blob);
-  });
+  return new Uint8Array(await response.arrayBuffer());
 }
 
 async function fetchAsText(url) {
@@ -126,7 +124,7 @@ function writeJsonToVfs(path, value) {
     if (parentDir && parentDir !== '/') {
       ensureDirPath(parentDir);
     }
-    vfs.writeFile(path, JSON.stringify(value, null, 2));
+    vfs.writeFile(path, JSON.stringify(value, null, 2), { history: false });
   } catch (_) {
     // ignore
   }
@@ -147,12 +145,45 @@ function setInstalledAssetsVersion(version) {
   writeJsonToVfs(SYS_ASSETS_VERSION_PATH, { version: v, updatedAt: new Date().toISOString() });
 }
 
+// Manifest entries with encoding "binary" ("dataUrl" in older manifests).
 function shouldTreatAssetAsBinary(entry) {
-  return String(entry?.encoding || 'text') === 'dataUrl';
+  const encoding = String(entry?.encoding || 'text');
+  return encoding === 'binary' || encoding === 'dataUrl';
+}
+
+function isServedByAssetMount(entry) {
+  const mount = vfs.getMount(entry.dest);
+  return Boolean(mount) && mount.type === 'assets';
+}
+
+async function ensureAssetMount(shell) {
+  if (vfs.getMount(ASSET_MOUNT_POINT)) {
+    return true;
+  }
+
+  const cwdSnapshot = vfs.getCwdPath();
+  try {
+    ensureDirPath(ASSET_MOUNT_POINT);
+    vfs.changeDirectory(cwdSnapshot);
+    await vfs.mount(ASSET_MOUNT_POINT, { type: 'assets' });
+    return true;
+  } catch (err) {
+    // Without the mount, those assets are copied like any other entry.
+    if (shell && typeof shell.print === 'function') {
+      shell.print(`init: warning: could not mount ${ASSET_MOUNT_POINT} (${String(err.message || err)}); copying its assets instead.`);
+    }
+    return false;
+  } finally {
+    try {
+      vfs.changeDirectory(cwdSnapshot);
+    } catch (_) {
+      // ignore
+    }
+  }
 }
 
 async function syncAssetsFromManifest(shell, { mode }) {
-  const manifest = await loadAssetsManifest();
+  const manifest = (await loadAssetsManifest()).filter((entry) => !isServedByAssetMount(entry));
   if (!manifest.length) {
     return {
       imported: 0,
@@ -166,7 +197,8 @@ async function syncAssetsFromManifest(shell, { mode }) {
       missingPaths: [],
       outdatedPaths: [],
       failedPaths: [],
-      updatedPaths: []
+      updatedPaths: [],
+      rolledBack: false
     };
   }
 
@@ -191,8 +223,9 @@ async function syncAssetsFromManifest(shell, { mode }) {
   const outdatedPaths = [];
   const failedPaths = [];
   const updatedPaths = [];
+  let rolledBack = false;
 
-  try {
+  const syncAll = async () => {
     for (const entry of manifest) {
       try {
         const url = new URL(entry.src, ASSET_BASE_URL);
@@ -201,22 +234,21 @@ async function syncAssetsFromManifest(shell, { mode }) {
           ensureDirPath(parentDir);
         }
 
+        // Binary assets are compared and written as base64.
+        const encoding = shouldTreatAssetAsBinary(entry) ? 'base64' : 'utf8';
+
         let existing = null;
         try {
-          existing = vfs.readFile(entry.dest);
+          existing = encoding === 'base64'
+            ? bytesToBase64(vfs.readFileBytes(entry.dest))
+            : vfs.readFile(entry.dest);
         } catch (_) {
           existing = null;
         }
 
-        let remote;
-        if (shouldTreatAssetAsBinary(entry)) {
-          if (typeof FileReader === 'undefined') {
-            throw new Error('FileReader not available');
-          }
-          remote = await fetchAsDataUrl(url);
-        } else {
-          remote = await fetchAsText(url);
-        }
+        const remote = encoding === 'base64'
+          ? bytesToBase64(await fetchAsBytes(url))
+          : await fetchAsText(url);
 
         const isMissing = existing == null;
         const isDifferent = !isMissing && String(existing) !== String(remote);
@@ -234,7 +266,7 @@ async function syncAssetsFromManifest(shell, { mode }) {
         } else if (mode === 'update') {
           checked += 1;
           if (isMissing || isDifferent) {
-            vfs.writeFile(entry.dest, remote);
+            vfs.writeFile(entry.dest, remote, { encoding });
             updated += 1;
             updatedPaths.push(entry.dest);
             if (isMissing) {
@@ -250,7 +282,7 @@ async function syncAssetsFromManifest(shell, { mode }) {
           imported += 1;
         } else {
           // install/import: always write
-          vfs.writeFile(entry.dest, remote);
+          vfs.writeFile(entry.dest, remote, { encoding });
           imported += 1;
         }
       } catch (_) {
@@ -265,6 +297,22 @@ async function syncAssetsFromManifest(shell, { mode }) {
         shell.print(`${processed}/${manifest.length}`);
       }
     }
+
+    // An update is all or nothing, so assets of two versions never mix.
+    if (mode === 'update' && failed > 0) {
+      throw new Error(`init: ${failed} asset${failed === 1 ? '' : 's'} could not be fetched`);
+    }
+  };
+
+  try {
+    if (mode === 'check') {
+      await syncAll();
+    } else {
+      // One save for the whole sync, and no half-written tree on failure.
+      await vfs.transaction(syncAll);
+    }
+  } catch (_) {
+    rolledBack = true;
   } finally {
     try {
       vfs.changeDirectory(cwdSnapshot);
@@ -285,7 +333,8 @@ async function syncAssetsFromManifest(shell, { mode }) {
     missingPaths,
     outdatedPaths,
     failedPaths,
-    updatedPaths
+    updatedPaths,
+    rolledBack
   };
 }
 
@@ -326,22 +375,13 @@ function isVfsEmpty() {
   return nonSysFolders.length === 0 && files.length === 0;
 }
 
-function backupVfsIfNeeded() {
+async function backupVfsIfNeeded() {
   let backedUp = false;
   let backupKey = null;
   try {
-    if (typeof window === 'undefined' || !window.localStorage) {
-      return { backedUp: false, backupKey: null };
-    }
-    const storage = window.localStorage;
-    const raw = storage.getItem(VFS_STORAGE_KEY);
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     backupKey = `${VFS_BACKUP_PREFIX}.${timestamp}`;
-    if (raw) {
-      storage.setItem(backupKey, raw);
-    } else {
-      storage.setItem(backupKey, JSON.stringify(vfs.state));
-    }
+    await vfs.writeBackup(backupKey);
     backedUp = true;
   } catch (e) {
     backedUp = false;
@@ -360,6 +400,7 @@ function setupBaseStructure() {
   ensureDirPath('/home/user/docs');
   ensureDirPath('/tmp');
   ensureDirPath('/sys');
+  ensureDirPath(ASSET_MOUNT_POINT);
 
   // Default working directory is the user home
   try {
@@ -388,7 +429,7 @@ function ensurePathEnv() {
       env.PATH.push('/bin');
     }
 
-    vfs.writeFile(SYS_ENV_PATH, JSON.stringify(env, null, 2));
+    vfs.writeFile(SYS_ENV_PATH, JSON.stringify(env, null, 2), { history: false });
   } catch (e) {
     // Ignore env persistence errors; they are not fatal for init
   }
@@ -414,15 +455,6 @@ export async function executeInitProgram(shell, command, args) {
   const force = args.includes('-f') || args.includes('--force');
   const empty = isVfsEmpty();
 
-  let storageHasVfs = false;
-  try {
-    if (typeof window !== 'undefined' && window.localStorage) {
-      storageHasVfs = Boolean(window.localStorage.getItem(VFS_STORAGE_KEY));
-    }
-  } catch (_) {
-    storageHasVfs = false;
-  }
-
   if (doCheck) {
     const remote = await loadAssetsVersion();
     const localVersion = getInstalledAssetsVersion();
@@ -460,6 +492,7 @@ export async function executeInitProgram(shell, command, args) {
   if (doUpdate) {
     const cwdSnapshot = typeof vfs.getCwdPath === 'function' ? vfs.getCwdPath() : '/';
     const remote = await loadAssetsVersion();
+    await ensureAssetMount(shell);
     const assets = await updateAssetsFromManifest(shell);
     if (assets.total === 0) {
       shell.print('init: no assets found in manifest.');
@@ -472,6 +505,18 @@ export async function executeInitProgram(shell, command, args) {
       return { handled: true, shouldContinue: true, ok: true };
     }
 
+    if (assets.rolledBack) {
+      shell.print(`init: update failed${assets.failed ? ` (${assets.failed} failed)` : ''}; no files were changed.`);
+      printAssetPathList(shell, 'init: failed:', assets.failedPaths);
+      shell.print('');
+      try {
+        vfs.changeDirectory(cwdSnapshot);
+      } catch (_) {
+        // ignore
+      }
+      return { handled: true, shouldContinue: true, ok: false };
+    }
+
     shell.print(
       `init: updated ${assets.updated}/${assets.total} assets (` +
       `${assets.unchanged} unchanged` +
@@ -506,17 +551,18 @@ export async function executeInitProgram(shell, command, args) {
   let backedUp = false;
   let backupKey = null;
   if (!empty) {
-    const info = backupVfsIfNeeded();
+    const info = await backupVfsIfNeeded();
     backedUp = info.backedUp;
     backupKey = info.backupKey;
   }
 
   shell.print('init: create base folder structure.');
   setupBaseStructure();
+  const mounted = await ensureAssetMount(shell);
   const assets = await importAssetsFromManifest(shell);
   ensurePathEnv();
 
-  {
+  if (!assets.rolledBack) {
     const remote = await loadAssetsVersion();
     if (remote && remote.version) {
       setInstalledAssetsVersion(remote.version);
@@ -524,11 +570,14 @@ export async function executeInitProgram(shell, command, args) {
   }
 
   shell.print('init: base folder structure initialized.');
+  if (assets.rolledBack) {
+    shell.print('init: warning: bundled assets could not be installed; run "init --update" to retry.');
+  }
   await shell.sleep(100);
   
   if (!empty && backedUp) {
     shell.print(
-      `init: previous filesystem backed up under localStorage key "${backupKey}".`
+      `init: previous filesystem backed up under ${vfs.backend.name} key "${backupKey}".`
     );
   } else if (!empty && !backedUp) {
     shell.print('init: warning: previous filesystem could not be backed up.');
@@ -538,6 +587,9 @@ export async function executeInitProgram(shell, command, args) {
   await shell.sleep(100);
   shell.print('Home directory: /home/user');
   shell.print('Binary directory prepared on PATH: /bin');
+  if (mounted) {
+    shell.print(`Bundled assets mounted read-only on ${ASSET_MOUNT_POINT}`);
+  }
   shell.print('');
 
   return { handled: true, shouldContinue: true };
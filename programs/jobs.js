@@ -0,0 +1,163 @@
+/*! jobs.js | `jobs`, `fg`, `bg`, `kill` and `ps` commands for background jobs (`cmd &`) */
+
+import { describeJob } from '../utils/processTable.js';
+import { formatTimestamp } from '../utils/format.js';
+
+// Command names provided by this module
+export const jobCommands = ['jobs', 'fg', 'bg', 'kill', 'ps'];
+
+// Every signal aborts the job's `shell.signal`; the names are accepted so
+// that `kill -9 %1` and `kill -s TERM 12` work as typed elsewhere.
+const SIGNALS = { HUP: 1, INT: 2, KILL: 9, TERM: 15 };
+
+function isSignal(name) {
+  const upper = String(name).toUpperCase().replace(/^SIG/, '');
+  return Object.prototype.hasOwnProperty.call(SIGNALS, upper) || Object.values(SIGNALS).includes(Number(upper));
+}
+
+function fail(shell, message, status = 1) {
+  shell.printError(message);
+  shell.print('');
+  return { handled: true, shouldContinue: true, ok: false, error: new Error(message), status };
+}
+
+// The job named by `spec` (`%1`, `%%`, a PID; the newest job without one).
+function findJob(processes, spec) {
+  const proc = processes.find(spec);
+  return proc && proc.job != null ? proc : null;
+}
+
+async function foreground(shell, processes, proc) {
+  shell.print(proc.command.replace(/\s*&$/, ''));
+  proc.foreground = true;
+  proc.io.attach();
+
+  // Keys go to the job (readKey) and Ctrl+C stops it.
+  const exitRaw = proc.state === 'running' && typeof shell.enterRawMode === 'function'
+    ? shell.enterRawMode({ hideInput: true })
+    : null;
+  const stop = () => proc.kill();
+  shell.signal.addEventListener('abort', stop, { once: true });
+  let status;
+  try {
+    status = await proc.finished;
+  } finally {
+    shell.signal.removeEventListener('abort', stop);
+    if (exitRaw) exitRaw();
+    processes.remove(proc);
+  }
+  return { handled: true, shouldContinue: true, ok: status === 0, status };
+}
+
+function printProcesses(shell, processes) {
+  const list = processes.list();
+  const pidWidth = Math.max(3, ...list.map((p) => String(p.pid).length));
+  shell.print(`${'PID'.padStart(pidWidth)}  ${'STAT'.padEnd(7)}  ${'STARTED'.padEnd(16)}  COMMAND`);
+  for (const p of list) {
+    shell.print(`${String(p.pid).padStart(pidWidth)}  ${p.state.padEnd(7)}  ${formatTimestamp(p.started)}  ${p.command}`);
+  }
+}
+
+/**
+ * Create the handler for the job commands, working on the shell's process
+ * table (see utils/processTable.js).
+ *
+ * jobs [-l]                       list background jobs (-l: with PIDs)
+ * fg [%n|pid]                     show a job's output and wait for it
+ * bg [%n|pid]                     jobs never stop, so this only checks one
+ * kill [-s SIG|-SIG] %n|pid ...   stop jobs
+ * ps                              list the process table
+ *
+ * Without a job, `fg` and `bg` use the newest one.
+ *
+ * @param {ReturnType<import('../utils/processTable.js').createProcessTable>} processes
+ * @returns {(shell: import('../jsShell.js').JsShell, command: string, args: string[]) => Promise<{ handled: boolean, shouldContinue: boolean }>}
+ */
+export function createJobsHandler(processes) {
+  return async function executeJobsCommand(shell, command, args) {
+    const normalized = (command || '').toLowerCase();
+    if (!jobCommands.includes(normalized)) {
+      return { handled: false, shouldContinue: true };
+    }
+
+    const list = Array.isArray(args) ? args : [];
+
+    if (normalized === 'ps') {
+      if (list.length) {
+        return fail(shell, 'ps: usage: ps', 2);
+      }
+      printProcesses(shell, processes);
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+
+    if (normalized === 'jobs') {
+      const long = list[0] === '-l';
+      if (list.length > (long ? 1 : 0)) {
+        return fail(shell, 'jobs: usage: jobs [-l]', 2);
+      }
+      for (const proc of processes.jobs()) {
+        const line = describeJob(proc);
+        shell.print(long ? line.replace(/^(\[\d+\])/, `$1  ${proc.pid}`) : line);
+      }
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+
+    if (normalized === 'fg' || normalized === 'bg') {
+      if (list.length > 1) {
+        return fail(shell, `${normalized}: usage: ${normalized} [%job|pid]`, 2);
+      }
+      const proc = findJob(processes, list[0]);
+      if (!proc) {
+        return fail(shell, `${normalized}: ${list[0] || 'current'}: no such job`);
+      }
+      if (normalized === 'fg') {
+        return foreground(shell, processes, proc);
+      }
+      if (proc.state === 'running') {
+        shell.print(`bg: job ${proc.job} is already running in the background`);
+      } else {
+        shell.print(describeJob(proc));
+      }
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+
+    // kill
+    let targets = list;
+    if (targets[0] === '-s') {
+      if (!targets[1] || !isSignal(targets[1])) {
+        return fail(shell, `kill: ${targets[1] || '-s'}: invalid signal specification`, 2);
+      }
+      targets = targets.slice(2);
+    } else if (targets[0] && /^-./.test(targets[0])) {
+      if (!isSignal(targets[0].slice(1))) {
+        return fail(shell, `kill: ${targets[0].slice(1)}: invalid signal specification`, 2);
+      }
+      targets = targets.slice(1);
+    }
+    if (!targets.length) {
+      return fail(shell, 'kill: usage: kill [-s SIGNAL | -SIGNAL] %job | pid ...', 2);
+    }
+
+    let failed = false;
+    for (const target of targets) {
+      const proc = processes.find(target);
+      if (!proc || proc.state !== 'running') {
+        shell.printError(target.startsWith('%') ? `kill: ${target}: no such job` : `kill: (${target}) - No such process`);
+        failed = true;
+      } else if (!proc.kill) {
+        shell.printError(`kill: ${target}: cannot stop the shell itself`);
+        failed = true;
+      } else {
+        proc.kill();
+      }
+    }
+    if (failed) {
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error('kill: one or more processes could not be stopped'), status: 1 };
+    }
+    return { handled: true, shouldContinue: true, ok: true };
+  };
+}
@@ -0,0 +1,111 @@
+/*! ln.js | `ln` command for JsShell virtual filesystem */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+
+// Command names provided by this module
+export const lnCommands = ['ln'];
+
+function basename(path) {
+  const parts = String(path || '').split('/').filter(Boolean);
+  return parts.length ? parts[parts.length - 1] : '';
+}
+
+function joinPathLike(base, name) {
+  if (!base || base === '.') return name;
+  if (base === '/') return '/' + name;
+  return base.endsWith('/') ? (base + name) : (base + '/' + name);
+}
+
+function parseLnArgs(args) {
+  const opts = {
+    symbolic: false,
+    force: false
+  };
+  const rest = [];
+
+  let parsingFlags = true;
+  for (const a of args) {
+    if (parsingFlags && a === '--') {
+      parsingFlags = false;
+      continue;
+    }
+    if (parsingFlags && a.startsWith('-') && a.length > 1) {
+      for (const ch of a.slice(1)) {
+        if (ch === 's') opts.symbolic = true;
+        else if (ch === 'f') opts.force = true;
+        else return { error: `ln: invalid option -- '${ch}'`, opts, rest };
+      }
+      continue;
+    }
+    rest.push(a);
+  }
+
+  return { error: null, opts, rest };
+}
+
+function isFolder(path) {
+  try {
+    vfs.list(path);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Execute the `ln` command.
+ *
+ * ln [-s] [-f] <target> [link_name]
+ * - Without -s: create a hard link (files only).
+ * - With -s: create a symbolic link; the target does not need to exist.
+ * - If link_name is omitted or is an existing folder, the link is created
+ *   there using the target's base name.
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {{ handled: boolean, shouldContinue: boolean } | undefined}
+ */
+export function executeLnCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (normalized !== 'ln') {
+    return { handled: false, shouldContinue: true };
+  }
+
+  const parsed = parseLnArgs(Array.isArray(args) ? args : []);
+  if (parsed.error || parsed.rest.length < 1 || parsed.rest.length > 2) {
+    shell.print(parsed.error || 'ln: missing file operand');
+    shell.print('Usage: ln [-s] [-f] <target> [link_name]');
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(parsed.error || 'ln: missing operand') };
+  }
+
+  const target = parsed.rest[0];
+  let linkPath = parsed.rest[1] || basename(target);
+  if (parsed.rest[1] && isFolder(parsed.rest[1])) {
+    linkPath = joinPathLike(parsed.rest[1], basename(target));
+  }
+
+  try {
+    if (parsed.opts.force) {
+      try {
+        vfs.lstat(linkPath);
+        vfs.unlink(linkPath);
+      } catch (_) {
+        // Nothing to replace.
+      }
+    }
+
+    if (parsed.opts.symbolic) {
+      vfs.symlink(target, linkPath);
+    } else {
+      vfs.link(target, linkPath);
+    }
+  } catch (err) {
+    shell.print(String(err.message || err));
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: err };
+  }
+
+  return { handled: true, shouldContinue: true, ok: true };
+}
@@ -1,6 +1,7 @@
 /*! ls.js | `ls` command for JsShell virtual filesystem */
 
 import { vfs } from '../fs/virtualFileSystem.js';
+import { formatMode, formatTimestamp } from '../utils/format.js';
 
 // Command names provided by this module
 export const lsCommands = ['ls'];
@@ -30,18 +31,35 @@ function isExecutableName(name) {
   return lower.endsWith('.js') || lower.endsWith('.jsh');
 }
 
-function styleNameHtml(name, { isFolder, isExecutable, isHidden }) {
+function styleNameHtml(name, { isFolder, isExecutable, isHidden, isLink }) {
   const safe = escapeHtml(name);
   const suffix = isFolder ? '/' : '';
 
   let color = '#90ee90'; // files
   if (isFolder) color = '#87ceeb';
   if (isExecutable) color = '#ffff00';
+  if (isLink) color = '#00ffff';
   if (isHidden) color = '#b0b0b0';
 
   return `<span style="color: ${color};">${safe}${suffix}</span>`;
 }
 
+function lstatOrNull(path) {
+  try {
+    return vfs.lstat(path);
+  } catch (_) {
+    return null;
+  }
+}
+
+function isFolder(path) {
+  try {
+    return vfs.stat(path).type === 'folder';
+  } catch (_) {
+    return false;
+  }
+}
+
 function parseLsArgs(args) {
   const opts = {
     long: false,
@@ -68,8 +86,63 @@ function parseLsArgs(args) {
   return { opts, rest };
 }
 
+// Entries of one folder, sorted, with their lstat() info.
+function folderEntries(target, opts) {
+  const { folders, files } = vfs.list(target);
+  return [
+    ...folders.map((name) => ({ name, kind: 'folder' })),
+    ...files.map((name) => ({ name, kind: 'file' }))
+  ]
+    .filter((e) => (opts.all ? true : !isHiddenName(e.name)))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((e) => ({ ...e, info: lstatOrNull(joinListedPath(target, e.name)) }));
+}
+
+// Print one group of entries: a folder's contents, or the file operands.
+function printEntries(shell, entries, opts) {
+  if (opts.long) {
+    for (const e of entries) {
+      const info = e.info;
+      const isLink = Boolean(info && info.type === 'symlink');
+      const isFolder = e.kind === 'folder' && !isLink;
+      const isExecutable = !isFolder && !isLink && isExecutableName(e.name);
+      const isHidden = isHiddenName(e.name);
+
+      const modeCol = formatMode(info ? info.mode : undefined, info ? info.type : e.kind);
+      const sizeCol = String(info ? info.size : 0).padStart(6, ' ');
+      const dateCol = formatTimestamp(info ? info.mtime : undefined);
+      const nameHtml = styleNameHtml(e.name, { isFolder, isExecutable, isHidden, isLink });
+      const linkHtml = isLink ? ` -&gt; ${escapeHtml(info.target)}` : '';
+      shell.printHTML(`${modeCol} ${sizeCol} ${dateCol} ${nameHtml}${linkHtml}`);
+    }
+    return;
+  }
+
+  // Piped into another command: one name per line, so it can be filtered.
+  if (shell.stdout) {
+    for (const e of entries) {
+      shell.print(e.name);
+    }
+    return;
+  }
+
+  const html = entries
+    .map((e) => {
+      const isLink = Boolean(e.info && e.info.type === 'symlink');
+      const isFolder = e.kind === 'folder';
+      const isExecutable = !isFolder && !isLink && isExecutableName(e.name);
+      const isHidden = isHiddenName(e.name);
+      return styleNameHtml(e.name, { isFolder, isExecutable, isHidden, isLink });
+    })
+    .join('&nbsp;&nbsp;');
+
+  shell.printHTML(html);
+}
+
 /**
- * Execute the `ls` command.
+ * Execute the `ls` command. File operands (as from `ls *.txt`) are listed
+ * as they are, then the contents of each folder operand, under its name
+ * when there is more than one operand.
  * @param {import('../jsShell.js').JsShell} shell
  * @param {string} command
  * @param {string[]} args
@@ -82,68 +155,46 @@ export function executeLsCommand(shell, command, args) {
   }
 
   const { opts, rest } = parseLsArgs(args);
-  const target = rest[0] || '.';
-  try {
-    const { folders, files } = vfs.list(target);
-
-    const entries = [
-      ...folders.map((name) => ({ name, kind: 'folder' })),
-      ...files.map((name) => ({ name, kind: 'file' }))
-    ]
-      .filter((e) => (opts.all ? true : !isHiddenName(e.name)))
-      .sort((a, b) => a.name.localeCompare(b.name));
-
-    if (opts.long) {
-      for (const e of entries) {
-        const isFolder = e.kind === 'folder';
-        const isExecutable = !isFolder && isExecutableName(e.name);
-        const isHidden = isHiddenName(e.name);
-
-        let size = '';
-        if (!isFolder) {
-          try {
-            const p = joinListedPath(target, e.name);
-            const content = vfs.readFile(p);
-            size = String((content || '').length);
-          } catch (_) {
-            size = '0';
-          }
-        } else {
-          try {
-            const p = joinListedPath(target, e.name);
-            const listed = vfs.list(p);
-            const count = (listed.folders?.length || 0) + (listed.files?.length || 0);
-            size = String(count);
-          } catch (_) {
-            size = '0';
-          }
-        }
-
-        const typeChar = isFolder ? 'd' : '-';
-        const sizeCol = size.padStart(6, ' ');
-        const nameHtml = styleNameHtml(e.name, { isFolder, isExecutable, isHidden });
-        shell.printHTML(`${typeChar} ${sizeCol} ${nameHtml}`);
-      }
-      shell.print('');
-      return { handled: true, shouldContinue: true, ok: true };
+  const targets = rest.length ? rest : ['.'];
+  const files = [];
+  const folders = [];
+  let error = null;
+  for (const target of targets) {
+    const info = lstatOrNull(target);
+    if (!info) {
+      error = new Error(`ls: cannot access '${target}': No such file or directory`);
+      shell.printError(error.message);
+    } else if (info.type === 'folder' || (info.type === 'symlink' && isFolder(target))) {
+      folders.push(target);
+    } else {
+      files.push({ name: target, kind: 'file', info });
     }
+  }
 
-    const html = entries
-      .map((e) => {
-        const isFolder = e.kind === 'folder';
-        const isExecutable = !isFolder && isExecutableName(e.name);
-        const isHidden = isHiddenName(e.name);
-        return styleNameHtml(e.name, { isFolder, isExecutable, isHidden });
-      })
-      .join('&nbsp;&nbsp;');
-
-    shell.printHTML(html);
-    shell.print('');
-  } catch (err) {
-    shell.print(String(err.message || err));
-    shell.print('');
-    return { handled: true, shouldContinue: true, ok: false, error: err };
+  // Piped output is names only; headers would get in the way.
+  const headers = targets.length > 1 && !shell.stdout;
+  let first = true;
+  if (files.length) {
+    printEntries(shell, files.sort((a, b) => a.name.localeCompare(b.name)), opts);
+    first = false;
+  }
+  for (const target of folders) {
+    try {
+      const entries = folderEntries(target, opts);
+      if (headers) {
+        if (!first) shell.print('');
+        shell.print(`${target}:`);
+      }
+      printEntries(shell, entries, opts);
+    } catch (err) {
+      error = err;
+      shell.printError(String(err.message || err));
+    }
+    first = false;
   }
+  shell.print('');
 
-  return { handled: true, shouldContinue: true, ok: true };
+  return error
+    ? { handled: true, shouldContinue: true, ok: false, error }
+    : { handled: true, shouldContinue: true, ok: true };
 }
@@ -0,0 +1,118 @@
+/*! mount.js | `mount` and `umount` commands for JsShell virtual filesystem */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+
+// Command names provided by this module
+export const mountCommands = ['mount', 'umount'];
+
+function parseMountArgs(args) {
+  const opts = {
+    type: null,
+    readOnly: undefined
+  };
+  const rest = [];
+
+  for (let i = 0; i < args.length; i += 1) {
+    const a = args[i];
+    if (a === '-t') {
+      const next = args[i + 1];
+      if (next == null) return { error: 'mount: option requires an argument -- \'t\'', opts, rest };
+      opts.type = String(next).toLowerCase();
+      i += 1;
+      continue;
+    }
+    if (a === '-o') {
+      const next = args[i + 1];
+      if (next == null) return { error: 'mount: option requires an argument -- \'o\'', opts, rest };
+      for (const o of String(next).split(',')) {
+        if (o === 'ro') opts.readOnly = true;
+        else if (o === 'rw') opts.readOnly = false;
+        else return { error: `mount: unknown mount option '${o}'`, opts, rest };
+      }
+      i += 1;
+      continue;
+    }
+    if (a.startsWith('-') && a.length > 1) {
+      return { error: `mount: invalid option '${a}'`, opts, rest };
+    }
+    rest.push(a);
+  }
+
+  return { error: null, opts, rest };
+}
+
+function printMounts(shell) {
+  const mounts = vfs.mounts();
+  if (!mounts.length) {
+    shell.print('mount: no filesystems mounted');
+  }
+  for (const m of mounts) {
+    shell.print(`${m.source} on ${m.path} type ${m.type} (${m.readOnly ? 'ro' : 'rw'})`);
+  }
+  shell.print('');
+}
+
+/**
+ * Execute the `mount` / `umount` commands.
+ *
+ * mount                                 list active mounts
+ * mount -t <type> [-o ro|rw] [source] <dir>
+ * umount <dir>
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<{ handled: boolean, shouldContinue: boolean } | undefined>}
+ */
+export async function executeMountCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (normalized !== 'mount' && normalized !== 'umount') {
+    return { handled: false, shouldContinue: true };
+  }
+
+  const list = Array.isArray(args) ? args : [];
+
+  if (normalized === 'umount') {
+    if (list.length !== 1) {
+      shell.print('umount: missing mount point');
+      shell.print('Usage: umount <dir>');
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error('umount: missing operand') };
+    }
+    try {
+      vfs.umount(list[0]);
+    } catch (err) {
+      shell.print(String(err.message || err));
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: err };
+    }
+    return { handled: true, shouldContinue: true, ok: true };
+  }
+
+  if (!list.length) {
+    printMounts(shell);
+    return { handled: true, shouldContinue: true, ok: true };
+  }
+
+  const parsed = parseMountArgs(list);
+  if (parsed.error || !parsed.opts.type || parsed.rest.length < 1 || parsed.rest.length > 2) {
+    const message = parsed.error || (parsed.opts.type ? 'mount: missing mount point' : 'mount: missing filesystem type (-t)');
+    shell.print(message);
+    shell.print('Usage: mount -t <assets|tmpfs> [-o ro|rw] [source] <dir>');
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(message) };
+  }
+
+  const dir = parsed.rest[parsed.rest.length - 1];
+  const source = parsed.rest.length === 2 ? parsed.rest[0] : undefined;
+
+  try {
+    await vfs.mount(dir, { type: parsed.opts.type, source, readOnly: parsed.opts.readOnly });
+  } catch (err) {
+    shell.print(String(err.message || err));
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: err };
+  }
+
+  return { handled: true, shouldContinue: true, ok: true };
+}
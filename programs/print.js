@@ -19,7 +19,7 @@ function escapeHtml(text) {
  * @param {string} command
  * @param {string[]} args
  */
-export function executePrintProgram(shell, command, args) {
+export async function executePrintProgram(shell, command, args) {
   const normalized = (command || '').toLowerCase();
   if (normalized !== 'print') {
     return { handled: false, shouldContinue: true };
@@ -35,7 +35,7 @@ export function executePrintProgram(shell, command, args) {
   const path = args[0];
   let content = '';
   try {
-    content = vfs.readFile(path);
+    content = await vfs.readFileAsync(path);
   } catch (err) {
     shell.print(`print: cannot read '${path}': ${err.message || err}`);
     shell.print('');
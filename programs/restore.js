@@ -1,5 +1,6 @@
 /*! restore.js | Restore browser localStorage from a backup file */
 
+import { vfs } from '../fs/virtualFileSystem.js';
 import { STORAGE_KEYS } from '../constants.js';
 
 export const restoreCommands = ['restore'];
@@ -8,7 +9,7 @@ const LS_BACKUP_PREFIX = STORAGE_KEYS.LOCALSTORAGE_BACKUP_PREFIX;
 
 function backupExistingLocalStorage() {
   if (typeof window === 'undefined' || !window.localStorage) {
-    return { backedUp: false, backupKey: null };
+    return { backedUp: false, backupKey: null, snapshot: null };
   }
 
   const storage = window.localStorage;
@@ -26,9 +27,27 @@ function backupExistingLocalStorage() {
 
   try {
     storage.setItem(backupKey, JSON.stringify(snapshot));
-    return { backedUp: true, backupKey };
+    return { backedUp: true, backupKey, snapshot };
   } catch (e) {
-    return { backedUp: false, backupKey: null };
+    return { backedUp: false, backupKey: null, snapshot };
+  }
+}
+
+// Put localStorage keys touched by a failed restore back to their values
+// in `snapshot` (removing keys that did not exist).
+function revertLocalStorage(keys, snapshot) {
+  const storage = window.localStorage;
+  for (const key of keys) {
+    if (key === STORAGE_KEYS.VFS) continue;
+    try {
+      if (snapshot && Object.prototype.hasOwnProperty.call(snapshot.keys, key)) {
+        storage.setItem(key, snapshot.keys[key]);
+      } else {
+        storage.removeItem(key);
+      }
+    } catch (_) {
+      // ignore
+    }
   }
 }
 
@@ -115,8 +134,9 @@ export async function executeRestoreProgram(shell, command, args) {
   const storage = window.localStorage;
   const backupKeys = Object.keys(data.keys);
 
-  // Check for conflicts
-  const conflicting = backupKeys.filter((k) => storage.getItem(k) !== null);
+  // Check for conflicts. The VFS key always "exists": it is the live tree,
+  // whichever backend persists it.
+  const conflicting = backupKeys.filter((k) => k === STORAGE_KEYS.VFS || storage.getItem(k) !== null);
 
   if (conflicting.length > 0 && !force) {
     shell.print('restore: existing localStorage entries would be overwritten:');
@@ -134,21 +154,56 @@ export async function executeRestoreProgram(shell, command, args) {
     shell.print(`restore: current localStorage snapshot saved under key "${backupInfo.backupKey}".`);
   }
 
-  // Apply new values
-  for (const key of backupKeys) {
+  if (backupKeys.includes(STORAGE_KEYS.VFS) && vfs.backend.name !== 'localStorage') {
+    // The localStorage snapshot above does not contain the VFS in this case.
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const vfsBackupKey = `${STORAGE_KEYS.VFS_BACKUP_PREFIX}.${timestamp}`;
     try {
-      const value = data.keys[key];
-      if (typeof value === 'string' || value === null) {
-        // localStorage.setItem only accepts strings; treat null as clearing the key
-        if (value === null) {
-          storage.removeItem(key);
-        } else {
-          storage.setItem(key, value);
+      await vfs.writeBackup(vfsBackupKey);
+      shell.print(`restore: current filesystem saved under ${vfs.backend.name} key "${vfsBackupKey}".`);
+    } catch (e) {
+      shell.print('restore: warning: failed to backup current filesystem before applying restore.');
+    }
+  }
+
+  // Apply new values, all or nothing: the filesystem is rolled back by the
+  // transaction, other keys are put back from the snapshot taken above.
+  const failures = [];
+  try {
+    await vfs.transaction(() => {
+      for (const key of backupKeys) {
+        try {
+          const value = data.keys[key];
+          if (key === STORAGE_KEYS.VFS && typeof value === 'string') {
+            // Route the filesystem through the live instance so the restored tree
+            // is not overwritten by the next in-memory save().
+            vfs.replaceState(JSON.parse(value));
+            continue;
+          }
+          if (typeof value === 'string' || value === null) {
+            // localStorage.setItem only accepts strings; treat null as clearing the key
+            if (value === null) {
+              storage.removeItem(key);
+            } else {
+              storage.setItem(key, value);
+            }
+          }
+        } catch (e) {
+          failures.push(`restore: failed to apply key "${key}": ${String(e)}`);
         }
       }
-    } catch (e) {
-      shell.print(`restore: failed to apply key "${key}": ${String(e)}`);
+      if (failures.length) {
+        throw new Error('restore: backup not applied');
+      }
+    });
+  } catch (err) {
+    revertLocalStorage(backupKeys, backupInfo.snapshot);
+    for (const line of failures.length ? failures : [`restore: ${String(err.message || err)}`]) {
+      shell.print(line);
     }
+    shell.print('restore: nothing was changed.');
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: err };
   }
 
   shell.print('restore: applied backup to localStorage.');
@@ -1,37 +1,101 @@
 /*! rm.js | `rm` command for JsShell virtual filesystem */
 
 import { vfs } from '../fs/virtualFileSystem.js';
+import { moveToTrash } from './trash.js';
 
 // Command names provided by this module
 export const rmCommands = ['rm'];
 
+function parseRmArgs(args) {
+  const opts = { recursive: false, force: false };
+  const paths = [];
+  let endOfOptions = false;
+  for (const a of args) {
+    if (!endOfOptions && a === '--') {
+      endOfOptions = true;
+      continue;
+    }
+    if (!endOfOptions && a === '--recursive') {
+      opts.recursive = true;
+      continue;
+    }
+    if (!endOfOptions && a === '--force') {
+      opts.force = true;
+      continue;
+    }
+    if (!endOfOptions && a.startsWith('-') && a.length > 1) {
+      for (const ch of a.slice(1)) {
+        if (ch === 'r' || ch === 'R') opts.recursive = true;
+        else if (ch === 'f') opts.force = true;
+        else return { error: `rm: invalid option '${a}'`, opts, paths };
+      }
+      continue;
+    }
+    paths.push(a);
+  }
+  return { error: null, opts, paths };
+}
+
+// Move `path` to the trash. False means it has to be removed for good: it
+// cannot go to the trash, or storage is too full to record it there.
+async function trashOrReport(shell, path) {
+  try {
+    return await moveToTrash(path);
+  } catch (err) {
+    if (err && err.code === 'ENOSPC') {
+      shell.print(`rm: no space left to keep '${path}' in the trash; deleting it permanently`);
+      return false;
+    }
+    throw err;
+  }
+}
+
 /**
  * Execute the `rm` command.
+ *
+ * rm [-r] [-f|--force] <path> [path2 ...]
+ *
+ * Removed files go to the trash (see trash.js) unless `--force` is given.
+ *
  * @param {import('../jsShell.js').JsShell} shell
  * @param {string} command
  * @param {string[]} args
- * @returns {{ handled: boolean, shouldContinue: boolean } | undefined}
+ * @returns {Promise<{ handled: boolean, shouldContinue: boolean } | undefined>}
  */
-export function executeRmCommand(shell, command, args) {
+export async function executeRmCommand(shell, command, args) {
   const normalized = (command || '').toLowerCase();
   if (normalized !== 'rm') {
     return { handled: false, shouldContinue: true };
   }
 
-  if (!args.length) {
-    shell.print('rm: missing operand');
-    shell.print("Try 'rm filename'");
+  const parsed = parseRmArgs(Array.isArray(args) ? args : []);
+  if (parsed.error || !parsed.paths.length) {
+    const message = parsed.error || 'rm: missing operand';
+    shell.print(message);
+    shell.print("Try 'rm filename', 'rm -r folder' or 'rm --force filename'");
     shell.print('');
-    return { handled: true, shouldContinue: true, ok: false, error: new Error('rm: missing operand') };
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(message) };
   }
 
   let hadError = false;
-  for (const path of args) {
+  for (const path of parsed.paths) {
     try {
-      vfs.unlink(path);
+      let stat = null;
+      try {
+        stat = vfs.lstat(path);
+      } catch (_) {
+        // Missing: remove() reports it.
+      }
+      if (stat && stat.type === 'folder' && !parsed.opts.recursive) {
+        throw new Error(`rm: cannot remove '${path}': Is a directory`);
+      }
+      if (stat && !parsed.opts.force && await trashOrReport(shell, path)) {
+        continue;
+      }
+      vfs.remove(path, { recursive: parsed.opts.recursive });
     } catch (err) {
       hadError = true;
-      shell.print(`rm: cannot remove '${path}': ${err.message || err}`);
+      shell.print(String(err.message || err));
     }
   }
   shell.print('');
@@ -25,9 +25,9 @@ export function executeRmdirCommand(shell, command, args) {
   }
 
   let hadError = false;
-  for (const name of args) {
+  for (const path of args) {
     try {
-      vfs.rmdir(name);
+      vfs.rmdir(path);
     } catch (err) {
       hadError = true;
       shell.print(String(err.message || err));
@@ -2,12 +2,61 @@
 
 import { vfs } from '../fs/virtualFileSystem.js';
 import { normalizePathFromCwd } from '../fs/pathUtils.js';
+import { environmentVariables } from './env.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { INTERRUPTED_STATUS, isAbortError, untilAborted } from '../utils/signal.js';
+import { CPU_LIMIT_STATUS, readSandboxDirective, runInWorker } from '../utils/scriptSandbox.js';
 
 // No fixed command names here; invocation is via ./filename.js
 export const scriptCommands = [];
 
-async function runSource(shell, command, args, source) {
+const SYS_ENV_PATH = '/sys/env.json';
+const SYS_CONFIG_PATH = '/sys/config.json';
+
+// A copy of the environment for one script run; changes stay in the script.
+function readEnvironment() {
+  try {
+    return environmentVariables(JSON.parse(String(vfs.readFile(SYS_ENV_PATH) || '')));
+  } catch (_) {
+    return {};
+  }
+}
+
+function readConfig() {
+  try {
+    return { ...DEFAULT_CONFIG, ...JSON.parse(String(vfs.readFile(SYS_CONFIG_PATH) || '')) };
+  } catch (_) {
+    return { ...DEFAULT_CONFIG };
+  }
+}
+
+function isTrusted(path, trustedPaths) {
+  return String(trustedPaths || '')
+    .split(':')
+    .filter(Boolean)
+    .some((folder) => path.startsWith(`${folder.replace(/\/+$/, '')}/`));
+}
+
+// Where a script runs: in the worker (see utils/scriptSandbox.js) when the
+// `scriptSandbox` setting is on and it is not in a `scriptTrustedPaths`
+// folder, or when it asks with `// jsh: sandbox`; with the smaller of the
+// `scriptTimeLimit` setting and its own `time-limit=`.
+function sandboxFor(path, source) {
+  const config = readConfig();
+  const directive = readSandboxDirective(source);
+  const sandbox = directive.sandbox || (config.scriptSandbox === true && !isTrusted(path, config.scriptTrustedPaths));
+  const limits = [Number(config.scriptTimeLimit), directive.timeLimit].filter((n) => Number.isFinite(n) && n > 0);
+  return { sandbox, timeLimit: limits.length ? Math.min(...limits) : 0 };
+}
+
+async function runSource(shell, command, args, source, path) {
   try {
+    const { sandbox, timeLimit } = sandboxFor(path, source);
+    if (sandbox) {
+      const status = await runInWorker(shell, { source, command, args, env: readEnvironment(), timeLimit });
+      return { ok: status === 0, error: null, status };
+    }
+
     const wrappedSource = `
 const argv = args;
 ${source}
@@ -17,15 +66,21 @@ if (typeof main === 'function') {
 return undefined;
 `;
 
-    const fn = new Function('shell', 'command', 'args', 'vfs', wrappedSource);
-    const result = fn(shell, command, args, vfs);
+    const fn = new Function('shell', 'command', 'args', 'vfs', 'env', wrappedSource);
+    let result = fn(shell, command, args, vfs, readEnvironment());
     if (result instanceof Promise) {
-      await result;
+      // Ctrl+C stops the wait even if the script never looks at shell.signal.
+      result = await untilAborted(result, shell.signal);
     }
-    return { ok: true, error: null };
+    // `main` may return a number as its exit status (see `$?`).
+    const status = Number.isInteger(result) ? result : 0;
+    return { ok: status === 0, error: null, status };
   } catch (err) {
-    shell.print(`Error executing ${command}: ${err.message || err}`);
-    return { ok: false, error: err };
+    if (isAbortError(err)) {
+      return { ok: false, error: err, status: INTERRUPTED_STATUS };
+    }
+    shell.printError(`Error executing ${command}: ${err.message || err}`);
+    return { ok: false, error: err, status: err && err.code === 'ETIME' ? CPU_LIMIT_STATUS : 1 };
   }
 }
 
@@ -39,28 +94,42 @@ return undefined;
  * The `invokedAs` parameter controls what the script sees as the `command`
  * string (for example: `./sample.js` or `sample`).
  *
+ * In a pipeline, `shell` is the stage's shell (see utils/stdio.js): the
+ * script reads piped input from `shell.stdin` and its prints feed the next
+ * command.
+ *
+ * Ctrl+C aborts `shell.signal`; the run then ends with status 130, whether
+ * or not the script stops (a synchronous loop cannot be interrupted, except
+ * in the sandbox).
+ *
+ * With the `scriptSandbox` setting, or `// jsh: sandbox` in the script, it
+ * runs in a Web Worker instead (see runInWorker in utils/scriptSandbox.js):
+ * same `main(shell, command, args)`, but `vfs` calls return Promises and
+ * only reach some folders, and a CPU time limit can apply (status 152).
+ *
  * @param {import('../jsShell.js').JsShell} shell
  * @param {string} scriptPath - VFS path to the script (absolute or relative)
  * @param {string[]} args
  * @param {string} [invokedAs]
- * @returns {Promise<{ handled: boolean, shouldContinue: boolean, ok?: boolean, error?: any } | undefined>}
+ * @returns {Promise<{ handled: boolean, shouldContinue: boolean, ok?: boolean, error?: any, status?: number } | undefined>}
  */
 export async function executeVfsScript(shell, scriptPath, args, invokedAs) {
   let source;
   try {
-    source = vfs.readFile(scriptPath);
+    source = await vfs.readFileAsync(scriptPath);
   } catch (err) {
-    shell.print(`exec: ${scriptPath}: ${err.message || err}`);
+    shell.printError(`exec: ${scriptPath}: ${err.message || err}`);
     shell.print('');
     return { handled: true, shouldContinue: true, ok: false, error: err };
   }
 
   const command = invokedAs || scriptPath;
+  const cwdPath = typeof vfs.getCwdPath === 'function' ? vfs.getCwdPath() : '/';
 
-  const runResult = await runSource(shell, command, args, source);
+  const runResult = await runSource(shell, command, args, source, normalizePathFromCwd(cwdPath, scriptPath));
 
   shell.print('');
-  return { handled: true, shouldContinue: true, ok: runResult.ok, error: runResult.error };
+  return { handled: true, shouldContinue: true, ok: runResult.ok, error: runResult.error, status: runResult.status };
 }
 
 /**
@@ -71,6 +140,8 @@ export async function executeVfsScript(shell, scriptPath, args, invokedAs) {
  *   - If present, `main` will be called and its (possibly async) result awaited.
  *   - Otherwise, the script body runs once with `shell` and `argv` in scope
  *     via `const argv = args;`, preserving the legacy behavior.
+ *   - `vfs` and `env` (the environment variables as strings, see
+ *     programs/env.js) are in scope either way.
  *
  * @param {import('../jsShell.js').JsShell} shell
  * @param {string} command
@@ -83,17 +154,18 @@ export async function executeScriptFile(shell, command, args) {
   }
 
   let source;
+  let canonicalPath;
   try {
     const cwdPath = typeof vfs.getCwdPath === 'function' ? vfs.getCwdPath() : '/';
-    const canonicalPath = normalizePathFromCwd(cwdPath, command.slice(2)); // strip leading './'
-    source = vfs.readFile(canonicalPath);
+    canonicalPath = normalizePathFromCwd(cwdPath, command.slice(2)); // strip leading './'
+    source = await vfs.readFileAsync(canonicalPath);
   } catch (err) {
-    shell.print(`exec: ${command}: ${err.message || err}`);
+    shell.printError(`exec: ${command}: ${err.message || err}`);
     shell.print('');
     return { handled: true, shouldContinue: true, ok: false, error: err };
   }
 
-  const runResult = await runSource(shell, command, args, source);
+  const runResult = await runSource(shell, command, args, source, canonicalPath);
   shell.print('');
-  return { handled: true, shouldContinue: true, ok: runResult.ok, error: runResult.error };
+  return { handled: true, shouldContinue: true, ok: runResult.ok, error: runResult.error, status: runResult.status };
 }
@@ -0,0 +1,48 @@
+/*! set.js | `set` command: shell variables and options of the running script */
+
+// Command names provided by this module
+export const setCommands = ['set'];
+
+/**
+ * Create the handler for `set`, working on the scope of whatever is running:
+ * a .jsh script (see runJshScript in jsShellHolder.js) or the prompt.
+ *
+ * set          list shell variables (`NAME=value` ones, not exported)
+ * set -e       stop a .jsh script at the first failing command (the default)
+ * set +e       keep going after failing commands; check `$?` instead
+ *
+ * @param {(shell: import('../jsShell.js').JsShell) => { vars: Map<string, string>, options: { errexit: boolean } }} getScope - scope of the script running in `shell`
+ * @returns {(shell: import('../jsShell.js').JsShell, command: string, args: string[]) => { handled: boolean, shouldContinue: boolean }}
+ */
+export function createSetHandler(getScope) {
+  return function executeSetCommand(shell, command, args) {
+    const normalized = (command || '').toLowerCase();
+    if (!setCommands.includes(normalized)) {
+      return { handled: false, shouldContinue: true };
+    }
+
+    const scope = getScope(shell);
+    const list = Array.isArray(args) ? args : [];
+    if (!list.length) {
+      const names = Array.from(scope.vars.keys()).sort((a, b) => a.localeCompare(b));
+      for (const name of names) {
+        shell.print(`${name}=${scope.vars.get(name)}`);
+      }
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: true };
+    }
+
+    for (const arg of list) {
+      if (arg === '-e' || arg === '+e') {
+        scope.options.errexit = arg === '-e';
+        continue;
+      }
+      const message = `set: ${arg}: invalid option`;
+      shell.printError(message);
+      shell.print('Usage: set [-e|+e]');
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(message), status: 2 };
+    }
+    return { handled: true, shouldContinue: true, ok: true };
+  };
+}
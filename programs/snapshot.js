@@ -0,0 +1,103 @@
+/*! snapshot.js | `snapshot` command: named point-in-time copies of the JsShell VFS */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+import { formatTimestamp } from '../utils/format.js';
+
+// Command names provided by this module
+export const snapshotCommands = ['snapshot'];
+
+const DIFF_MARKS = { added: 'A', removed: 'D', modified: 'M' };
+
+function printUsage(shell) {
+  shell.print('Usage:');
+  shell.print('  snapshot create <name>          # save the current tree');
+  shell.print('  snapshot list                   # show snapshots');
+  shell.print('  snapshot diff <name> [<other>]  # what changed since <name> (or up to <other>)');
+  shell.print('  snapshot restore <name>         # put the tree back as it was');
+  shell.print('  snapshot delete <name>');
+  shell.print('');
+}
+
+function printList(shell) {
+  const snapshots = vfs.snapshots();
+  if (!snapshots.length) {
+    shell.print('snapshot: no snapshots (create one with: snapshot create <name>)');
+    return;
+  }
+  const nameWidth = Math.max(4, ...snapshots.map((s) => s.name.length));
+  shell.print(`${'Name'.padEnd(nameWidth)}  ${'Created'.padEnd(16)}  Files`);
+  for (const s of snapshots) {
+    shell.print(`${s.name.padEnd(nameWidth)}  ${formatTimestamp(s.created)}  ${s.files}`);
+  }
+}
+
+function printDiff(shell, name, other) {
+  const changes = vfs.diffSnapshot(name, other);
+  if (!changes.length) {
+    shell.print(`snapshot: no differences between '${name}' and ${other != null ? `'${other}'` : 'the current files'}`);
+    return;
+  }
+  for (const change of changes) {
+    shell.print(`${DIFF_MARKS[change.type]}  ${change.path}`);
+  }
+}
+
+/**
+ * Execute the `snapshot` command.
+ *
+ * snapshot create|restore|delete <name>
+ * snapshot list
+ * snapshot diff <name> [<other>]
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {{ handled: boolean, shouldContinue: boolean } | undefined}
+ */
+export function executeSnapshotCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (normalized !== 'snapshot') {
+    return { handled: false, shouldContinue: true };
+  }
+
+  const list = Array.isArray(args) ? args : [];
+  const sub = (list[0] || 'list').toLowerCase();
+  const name = list[1];
+  const needsName = ['create', 'restore', 'delete', 'diff'].includes(sub);
+  const maxArgs = sub === 'diff' ? 3 : (sub === 'list' ? 1 : 2);
+
+  if (!needsName && sub !== 'list') {
+    shell.print(`snapshot: unknown subcommand "${sub}"`);
+    printUsage(shell);
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(`snapshot: unknown subcommand "${sub}"`) };
+  }
+  if ((needsName && !name) || list.length > maxArgs) {
+    const message = needsName && !name ? `snapshot ${sub}: missing <name>` : `snapshot ${sub}: too many arguments`;
+    shell.print(message);
+    printUsage(shell);
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(message) };
+  }
+
+  try {
+    if (sub === 'list') {
+      printList(shell);
+    } else if (sub === 'create') {
+      vfs.snapshot(name);
+      shell.print(`snapshot: created '${name}'`);
+    } else if (sub === 'restore') {
+      vfs.restoreSnapshot(name);
+      shell.print(`snapshot: restored '${name}' (replaced files keep their old content in 'history')`);
+    } else if (sub === 'delete') {
+      vfs.deleteSnapshot(name);
+      shell.print(`snapshot: deleted '${name}'`);
+    } else {
+      printDiff(shell, name, list[2]);
+    }
+  } catch (err) {
+    shell.print(String(err.message || err));
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: err };
+  }
+  shell.print('');
+  return { handled: true, shouldContinue: true, ok: true };
+}
@@ -0,0 +1,116 @@
+/*! sort.js | `sort` command: sort lines of files or piped input */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+
+// Command names provided by this module
+export const sortCommands = ['sort'];
+
+function parseSortArgs(args) {
+  const opts = { reverse: false, numeric: false, unique: false, ignoreCase: false };
+  const paths = [];
+  let endOfOptions = false;
+  for (const a of args) {
+    if (!endOfOptions && a === '--') {
+      endOfOptions = true;
+      continue;
+    }
+    if (!endOfOptions && a.startsWith('-') && a.length > 1) {
+      for (const ch of a.slice(1)) {
+        if (ch === 'r') opts.reverse = true;
+        else if (ch === 'n') opts.numeric = true;
+        else if (ch === 'u') opts.unique = true;
+        else if (ch === 'f') opts.ignoreCase = true;
+        else return { error: `sort: invalid option -- '${ch}'`, opts, paths };
+      }
+      continue;
+    }
+    paths.push(a);
+  }
+  return { error: null, opts, paths };
+}
+
+// Leading number of a line for -n; lines without one sort as 0.
+function leadingNumber(line) {
+  const match = /^\s*[-+]?(\d+\.?\d*|\.\d+)/.exec(line);
+  return match ? Number(match[0]) : 0;
+}
+
+function compareLines(opts) {
+  const key = (line) => (opts.ignoreCase ? line.toLowerCase() : line);
+  const byText = (a, b) => key(a).localeCompare(key(b));
+  const compare = opts.numeric
+    ? (a, b) => (leadingNumber(a) - leadingNumber(b)) || byText(a, b)
+    : byText;
+  return opts.reverse ? (a, b) => compare(b, a) : compare;
+}
+
+// Drop lines equal to the one before (after sorting), using the sort key.
+function uniqueLines(lines, opts) {
+  const key = (line) => (opts.ignoreCase ? line.toLowerCase() : line);
+  return lines.filter((line, i) => {
+    if (i === 0) return true;
+    const prev = lines[i - 1];
+    return opts.numeric ? leadingNumber(line) !== leadingNumber(prev) : key(line) !== key(prev);
+  });
+}
+
+/**
+ * Execute the `sort` command.
+ *
+ * sort [-r] [-n] [-u] [-f] [file ...]
+ *
+ * Without files (or for the file `-`) it sorts what is piped into it.
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<{ handled: boolean, shouldContinue: boolean } | undefined>}
+ */
+export async function executeSortCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (normalized !== 'sort') {
+    return { handled: false, shouldContinue: true };
+  }
+
+  const parsed = parseSortArgs(Array.isArray(args) ? args : []);
+  if (parsed.error) {
+    shell.print(parsed.error);
+    shell.print('Usage: sort [-r] [-n] [-u] [-f] [file ...]');
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(parsed.error) };
+  }
+
+  const paths = parsed.paths.length ? parsed.paths : ['-'];
+  if (paths.includes('-') && !shell.stdin) {
+    const message = 'sort: missing file operand (or pipe text into sort)';
+    shell.print(message);
+    shell.print('Usage: sort [-r] [-n] [-u] [-f] [file ...]');
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: new Error(message) };
+  }
+
+  let lines = [];
+  for (const path of paths) {
+    let content;
+    try {
+      content = path === '-' ? await shell.stdin.read() : await vfs.readFileAsync(path);
+    } catch (err) {
+      shell.printError(String(err.message || err));
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: err };
+    }
+    const text = String(content ?? '').replace(/\r\n/g, '\n').replace(/\n$/, '');
+    if (text) lines = lines.concat(text.split('\n'));
+  }
+
+  lines.sort(compareLines(parsed.opts));
+  if (parsed.opts.unique) {
+    lines = uniqueLines(lines, parsed.opts);
+  }
+
+  for (const line of lines) {
+    shell.print(line);
+  }
+  shell.print('');
+  return { handled: true, shouldContinue: true, ok: true };
+}
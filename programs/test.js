@@ -0,0 +1,117 @@
+/*! test.js | `test`, `[`, `true` and `false`: exit statuses for `if`, `while`, `&&` and `||` */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+
+// Command names provided by this module
+export const testCommands = ['test', '[', 'true', 'false'];
+
+const FILE_TESTS = ['-e', '-f', '-d', '-L', '-s'];
+const COMPARISONS = ['=', '==', '!='];
+const NUMBER_COMPARISONS = ['-eq', '-ne', '-lt', '-le', '-gt', '-ge'];
+
+function statOrNull(path, follow) {
+  try {
+    return follow ? vfs.stat(path) : vfs.lstat(path);
+  } catch (_) {
+    return null;
+  }
+}
+
+function fileTest(op, path) {
+  const info = statOrNull(path, op !== '-L');
+  if (!info) return false;
+  if (op === '-f') return info.type === 'file';
+  if (op === '-d') return info.type === 'folder';
+  if (op === '-L') return info.type === 'symlink';
+  if (op === '-s') return info.type === 'file' && info.size > 0;
+  return true;
+}
+
+function toInteger(value) {
+  if (!/^\s*[-+]?\d+\s*$/.test(value)) {
+    throw new Error(`test: ${value}: integer expression expected`);
+  }
+  return Number(value);
+}
+
+function compareNumbers(op, a, b) {
+  const x = toInteger(a);
+  const y = toInteger(b);
+  if (op === '-eq') return x === y;
+  if (op === '-ne') return x !== y;
+  if (op === '-lt') return x < y;
+  if (op === '-le') return x <= y;
+  if (op === '-gt') return x > y;
+  return x >= y;
+}
+
+// Evaluate the words of a test expression; throws on a malformed one.
+function evaluate(words) {
+  if (words[0] === '!' && words.length > 1) {
+    return !evaluate(words.slice(1));
+  }
+  if (words.length === 0) return false;
+  if (words.length === 1) return words[0] !== '';
+  if (words.length === 2) {
+    const [op, value] = words;
+    if (FILE_TESTS.includes(op)) return fileTest(op, value);
+    if (op === '-z') return value === '';
+    if (op === '-n') return value !== '';
+    throw new Error(`test: ${op}: unary operator expected`);
+  }
+  if (words.length === 3) {
+    const [a, op, b] = words;
+    if (COMPARISONS.includes(op)) return op === '!=' ? a !== b : a === b;
+    if (NUMBER_COMPARISONS.includes(op)) return compareNumbers(op, a, b);
+    throw new Error(`test: ${op}: binary operator expected`);
+  }
+  throw new Error('test: too many arguments');
+}
+
+/**
+ * Execute `test EXPRESSION`, `[ EXPRESSION ]`, `true` or `false`. They print
+ * nothing; the exit status is 0 when the expression is true, 1 when it is
+ * false and 2 when it cannot be read.
+ *
+ * -e|-f|-d|-L|-s PATH     exists, is a file, a folder, a symbolic link, a non-empty file
+ * -z|-n TEXT              is empty, is not empty
+ * A = B, A != B           texts are equal, different
+ * A -eq|-ne|-lt|-le|-gt|-ge B   integer comparison
+ * ! EXPRESSION            negation
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {{ handled: boolean, shouldContinue: boolean, ok?: boolean, status?: number }}
+ */
+export function executeTestCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (!testCommands.includes(normalized)) {
+    return { handled: false, shouldContinue: true };
+  }
+
+  if (normalized === 'true' || normalized === 'false') {
+    const ok = normalized === 'true';
+    return { handled: true, shouldContinue: true, ok, status: ok ? 0 : 1 };
+  }
+
+  let words = Array.isArray(args) ? args : [];
+  if (normalized === '[') {
+    if (words[words.length - 1] !== ']') {
+      const message = "[: missing ']'";
+      shell.printError(message);
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: new Error(message), status: 2 };
+    }
+    words = words.slice(0, -1);
+  }
+
+  try {
+    const ok = evaluate(words);
+    return { handled: true, shouldContinue: true, ok, status: ok ? 0 : 1 };
+  } catch (err) {
+    shell.printError(err.message);
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: false, error: err, status: 2 };
+  }
+}
@@ -0,0 +1,279 @@
+/*! trash.js | Trash folder used by `rm`, and the `trash` command to list, restore or empty it */
+
+import { vfs } from '../fs/virtualFileSystem.js';
+import { normalizePathFromCwd } from '../fs/pathUtils.js';
+import { formatSize, formatTimestamp } from '../utils/format.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { measureTree } from './du.js';
+
+// Command names provided by this module
+export const trashCommands = ['trash'];
+
+const TRASH_DIR = '/home/user/.trash';
+const TRASH_FILES_DIR = `${TRASH_DIR}/files`;
+const TRASH_INDEX_PATH = `${TRASH_DIR}/index.json`;
+const SYS_CONFIG_PATH = '/sys/config.json';
+
+/**
+ * One item in the trash. It is stored as `files/<id>-<name>`.
+ * @typedef {Object} TrashEntry
+ * @property {number} id
+ * @property {string} path - absolute path it was removed from
+ * @property {number} size - bytes (see `du`)
+ * @property {number} deletedAt - ms since epoch
+ */
+
+function isInside(path, dir) {
+  return path === dir || path.startsWith(dir === '/' ? '/' : dir + '/');
+}
+
+function parentOf(path) {
+  const idx = path.lastIndexOf('/');
+  return path.slice(0, idx) || '/';
+}
+
+function storedPath(entry) {
+  return `${TRASH_FILES_DIR}/${entry.id}-${entry.path.slice(entry.path.lastIndexOf('/') + 1)}`;
+}
+
+function ensureDirPath(path) {
+  const cwdSnapshot = vfs.getCwdPath();
+  const parts = String(path || '').split('/').filter(Boolean);
+  try {
+    vfs.changeDirectory('/');
+    for (const part of parts) {
+      try {
+        vfs.mkdir(part);
+      } catch (_) {
+        // Ignore errors if the folder already exists
+      }
+      vfs.changeDirectory(part);
+    }
+  } finally {
+    vfs.changeDirectory(cwdSnapshot);
+  }
+}
+
+function pathExists(path) {
+  try {
+    vfs.lstat(path);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Size limit from /sys/config.json (`trashMaxBytes`); 0 turns the trash off.
+function readTrashLimit() {
+  try {
+    const config = JSON.parse(String(vfs.readFile(SYS_CONFIG_PATH) || ''));
+    const limit = Number(config && config.trashMaxBytes);
+    if (Number.isFinite(limit) && limit >= 0) return limit;
+  } catch (_) {
+    // Missing or unreadable config: use the default
+  }
+  return DEFAULT_CONFIG.trashMaxBytes;
+}
+
+/** @returns {TrashEntry[]} oldest first */
+function readIndex() {
+  try {
+    const parsed = JSON.parse(String(vfs.readFile(TRASH_INDEX_PATH) || ''));
+    if (Array.isArray(parsed)) {
+      return parsed.filter((e) => e && typeof e.id === 'number' && typeof e.path === 'string');
+    }
+  } catch (_) {
+    // No trash yet
+  }
+  return [];
+}
+
+function writeIndex(entries) {
+  ensureDirPath(TRASH_DIR);
+  vfs.writeFile(TRASH_INDEX_PATH, JSON.stringify(entries, null, 2), { history: false });
+}
+
+/**
+ * Move a file or folder into the trash, deleting the oldest trashed items
+ * when it would grow past its size limit.
+ *
+ * Returns false, leaving the path alone, when it cannot go to the trash
+ * and should simply be removed: the trash is turned off, the path is on a
+ * mount (or is one) or already in the trash.
+ *
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+export async function moveToTrash(path) {
+  const limit = readTrashLimit();
+  const original = vfs.lstat(path).path;
+  if (!limit || isInside(original, TRASH_DIR)) return false;
+  if (vfs.getMount(parentOf(original)) || vfs.mounts().some((m) => isInside(m.path, original))) return false;
+
+  if (isInside(TRASH_DIR, original)) {
+    throw new Error(`rm: cannot move '${path}' to the trash: it contains the trash (use rm --force)`);
+  }
+  const size = measureTree(original);
+  if (size > limit) {
+    throw new Error(`rm: cannot move '${path}' to the trash: larger than its ${formatSize(limit)} limit (use rm --force)`);
+  }
+
+  const cwd = vfs.getCwdPath();
+  await vfs.transaction(() => {
+    const entries = readIndex();
+    // Numbered before evicting, so an id never names two items in a row.
+    const id = entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    let used = entries.reduce((total, e) => total + (Number(e.size) || 0), 0);
+    while (entries.length && used + size > limit) {
+      const oldest = entries.shift();
+      used -= Number(oldest.size) || 0;
+      try {
+        vfs.remove(storedPath(oldest), { recursive: true });
+      } catch (_) {
+        // Already gone
+      }
+    }
+    const entry = {
+      id,
+      path: original,
+      size,
+      deletedAt: Date.now()
+    };
+    ensureDirPath(TRASH_FILES_DIR);
+    vfs.rename(original, storedPath(entry));
+    entries.push(entry);
+    writeIndex(entries);
+  });
+  // rename() keeps the cwd inside a moved folder; do not follow it into the trash.
+  if (isInside(cwd, original)) {
+    vfs.changeDirectory(parentOf(original));
+  }
+  return true;
+}
+
+function findEntry(entries, ref) {
+  if (/^\d+$/.test(ref)) {
+    return entries.find((e) => e.id === Number(ref)) || null;
+  }
+  const path = normalizePathFromCwd(vfs.getCwdPath(), ref);
+  // The most recently removed item with that path.
+  return entries.slice().reverse().find((e) => e.path === path) || null;
+}
+
+async function restoreEntry(ref) {
+  const entries = readIndex();
+  const entry = findEntry(entries, ref);
+  if (!entry) {
+    throw new Error(`trash: '${ref}': not in the trash (see 'trash list')`);
+  }
+  if (pathExists(entry.path)) {
+    throw new Error(`trash: cannot restore '${entry.path}': File exists`);
+  }
+  await vfs.transaction(() => {
+    ensureDirPath(parentOf(entry.path));
+    vfs.rename(storedPath(entry), entry.path);
+    writeIndex(entries.filter((e) => e !== entry));
+  });
+  return entry;
+}
+
+function printList(shell) {
+  const entries = readIndex();
+  if (!entries.length) {
+    shell.print('trash: empty');
+    shell.print('');
+    return;
+  }
+  const idWidth = Math.max(2, ...entries.map((e) => String(e.id).length));
+  const sizeWidth = Math.max(4, ...entries.map((e) => formatSize(e.size).length));
+  shell.print(`${'ID'.padStart(idWidth)}  ${'Deleted'.padEnd(16)}  ${'Size'.padStart(sizeWidth)}  Original path`);
+  for (const e of entries) {
+    shell.print(`${String(e.id).padStart(idWidth)}  ${formatTimestamp(e.deletedAt)}  ${formatSize(e.size).padStart(sizeWidth)}  ${e.path}`);
+  }
+  const used = entries.reduce((total, e) => total + (Number(e.size) || 0), 0);
+  shell.print(`${entries.length} item(s), ${formatSize(used)} of ${formatSize(readTrashLimit())}`);
+  shell.print('');
+}
+
+function printUsage(shell) {
+  shell.print('Usage:');
+  shell.print('  trash list                  # show what is in the trash');
+  shell.print('  trash restore <id|path> ... # put items back where they were');
+  shell.print('  trash empty                 # delete everything in the trash');
+  shell.print('');
+}
+
+/**
+ * Execute the `trash` command.
+ *
+ * trash list
+ * trash restore <id|path> [...]
+ * trash empty
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<{ handled: boolean, shouldContinue: boolean } | undefined>}
+ */
+export async function executeTrashCommand(shell, command, args) {
+  const normalized = (command || '').toLowerCase();
+  if (normalized !== 'trash') {
+    return { handled: false, shouldContinue: true };
+  }
+
+  const list = Array.isArray(args) ? args : [];
+  const sub = (list[0] || 'list').toLowerCase();
+
+  if (sub === 'list') {
+    printList(shell);
+    return { handled: true, shouldContinue: true, ok: true };
+  }
+
+  if (sub === 'restore') {
+    const refs = list.slice(1);
+    if (!refs.length) {
+      shell.print('trash restore: missing <id> or <path>');
+      printUsage(shell);
+      return { handled: true, shouldContinue: true, ok: false, error: new Error('trash restore: missing operand') };
+    }
+    let hadError = false;
+    for (const ref of refs) {
+      try {
+        const entry = await restoreEntry(ref);
+        shell.print(`restored ${entry.path}`);
+      } catch (err) {
+        hadError = true;
+        shell.print(String(err.message || err));
+      }
+    }
+    shell.print('');
+    return hadError
+      ? { handled: true, shouldContinue: true, ok: false, error: new Error('trash: one or more items were not restored') }
+      : { handled: true, shouldContinue: true, ok: true };
+  }
+
+  if (sub === 'empty') {
+    const count = readIndex().length;
+    try {
+      await vfs.transaction(() => {
+        if (pathExists(TRASH_FILES_DIR)) {
+          vfs.remove(TRASH_FILES_DIR, { recursive: true });
+        }
+        if (pathExists(TRASH_INDEX_PATH)) {
+          writeIndex([]);
+        }
+      });
+    } catch (err) {
+      shell.print(String(err.message || err));
+      shell.print('');
+      return { handled: true, shouldContinue: true, ok: false, error: err };
+    }
+    shell.print(`trash: deleted ${count} item(s)`);
+    shell.print('');
+    return { handled: true, shouldContinue: true, ok: true };
+  }
+
+  shell.print(`trash: unknown subcommand "${sub}"`);
+  printUsage(shell);
+  return { handled: true, shouldContinue: true, ok: false, error: new Error(`trash: unknown subcommand "${sub}"`) };
+}
@@ -1,26 +1,14 @@
 /*! upload.js | Upload a local file into the VFS */
 
-import { vfs } from '../fs/virtualFileSystem.js';
+import { vfs, guessMimeType } from '../fs/virtualFileSystem.js';
+import { isTextMime, decodeTextOrNull } from '../fs/binary.js';
 
 export const uploadCommands = ['upload'];
 
-const ALLOWED_EXTS = ['.js', '.txt', '.md'];
-
-function getExt(name) {
-  const n = String(name || '');
-  const idx = n.lastIndexOf('.');
-  return idx === -1 ? '' : n.slice(idx).toLowerCase();
-}
-
-function isAllowedFilename(name) {
-  return ALLOWED_EXTS.includes(getExt(name));
-}
-
 function pickFile() {
   return new Promise((resolve) => {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = ALLOWED_EXTS.join(',');
     input.style.display = 'none';
 
     input.addEventListener('change', () => {
@@ -34,15 +22,26 @@ function pickFile() {
   });
 }
 
-function readFileAsText(file) {
+function readFileAsBytes(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
-    reader.onload = () => resolve(String(reader.result || ''));
+    reader.onload = () => resolve(new Uint8Array(reader.result));
     reader.onerror = (e) => reject(e);
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
   });
 }
 
+// Text files are stored as text so cat, grep and edit work on them; anything
+// else (images, archives, ...) as binary.
+function toVfsContent(file, bytes) {
+  const mime = guessMimeType(file.name) || file.type || null;
+  if (!mime || isTextMime(mime)) {
+    const text = decodeTextOrNull(bytes);
+    if (text != null) return { content: text, mime, binary: false };
+  }
+  return { content: bytes, mime: mime || 'application/octet-stream', binary: true };
+}
+
 function resolveTargetPath(userArg, pickedName) {
   const arg = String(userArg || '').trim();
   if (!arg) {
@@ -61,7 +60,7 @@ function resolveTargetPath(userArg, pickedName) {
  * upload [targetPathOrFolder]
  *
  * - Prompts for a local file via file dialog.
- * - Only allows .js, .txt, .md
+ * - Text files are stored as text, everything else as binary.
  * - If targetPathOrFolder ends with '/', saves into that folder using original filename.
  * - Otherwise treats it as the target file path.
  */
@@ -76,7 +75,7 @@ export async function executeUploadProgram(shell, command, args) {
     return { handled: true, shouldContinue: true };
   }
 
-  shell.print('upload: choose a local file (.js, .txt, .md)');
+  shell.print('upload: choose a local file');
   const file = await pickFile();
 
   if (!file) {
@@ -85,15 +84,9 @@ export async function executeUploadProgram(shell, command, args) {
     return { handled: true, shouldContinue: true };
   }
 
-  if (!isAllowedFilename(file.name)) {
-    shell.print(`upload: rejected "${file.name}" (allowed: ${ALLOWED_EXTS.join(', ')})`);
-    shell.print('');
-    return { handled: true, shouldContinue: true };
-  }
-
-  let text;
+  let bytes;
   try {
-    text = await readFileAsText(file);
+    bytes = await readFileAsBytes(file);
   } catch (err) {
     shell.print('upload: failed to read selected file.');
     shell.print('');
@@ -102,9 +95,11 @@ export async function executeUploadProgram(shell, command, args) {
 
   const target = resolveTargetPath(args[0], file.name);
 
+  const { content, mime, binary } = toVfsContent(file, bytes);
+
   try {
-    vfs.writeFile(target, text);
-    shell.print(`upload: wrote ${target}`);
+    vfs.writeFile(target, content, { mime: mime || undefined });
+    shell.print(`upload: wrote ${target}${binary ? ` (binary, ${bytes.length} bytes)` : ''}`);
   } catch (err) {
     shell.print(String(err.message || err));
   }
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateArithmetic } from '../utils/arithmetic.js';
+
+const vars = { n: '4', neg: '-3', hex: '0x10', empty: '', word: 'abc', 1: '7', '#': '2' };
+const lookup = (name) => vars[name];
+
+function evaluate(expr) {
+  return evaluateArithmetic(expr, lookup);
+}
+
+test('operators follow the usual precedence', () => {
+  assert.equal(evaluate('1 + 2 * 3'), 7);
+  assert.equal(evaluate('(1 + 2) * 3'), 9);
+  assert.equal(evaluate('2 ** 3 ** 2'), 512);
+  assert.equal(evaluate('-2 ** 2'), -4);
+  assert.equal(evaluate('1 + 2 < 4 && 3 != 3 || !0'), 1);
+  assert.equal(evaluate('~0 + 0x0f'), 14);
+  assert.equal(evaluate(''), 0);
+});
+
+test('division and remainder truncate toward zero', () => {
+  assert.equal(evaluate('7 / 2'), 3);
+  assert.equal(evaluate('-7 / 2'), -3);
+  assert.equal(evaluate('-7 % 2'), -1);
+});
+
+test('variables are read by name, with or without $', () => {
+  assert.equal(evaluate('n * 2 + $n + ${n}'), 16);
+  assert.equal(evaluate('neg + hex'), 13);
+  assert.equal(evaluate('$1 + $# + unset + empty'), 9);
+});
+
+test('bad expressions, values and divisions throw', () => {
+  assert.throws(() => evaluate('1 +'), /operand expected/);
+  assert.throws(() => evaluate('(1 + 2'), /missing '\)'/);
+  assert.throws(() => evaluate('1 2'), /error token is "2"/);
+  assert.throws(() => evaluate('1 @ 2'), /invalid arithmetic operator/);
+  assert.throws(() => evaluate('word + 1'), /word: 'abc' is not an integer/);
+  assert.throws(() => evaluate('n / 0'), /division by 0/);
+  assert.throws(() => evaluate('n % (2 - 2)'), /division by 0/);
+  assert.throws(() => evaluate('2 ** -1'), /exponent less than 0/);
+});
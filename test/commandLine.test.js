@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommandList, parsePipeline } from '../utils/commandLine.js';
+
+function commands(input, options) {
+  const { stages, error } = parsePipeline(input, options);
+  assert.equal(error, null);
+  return stages.map(({ command, args }) => [command, ...args]);
+}
+
+test('parsePipeline splits stages at | and keeps quoted words whole', () => {
+  assert.deepEqual(commands(`cat 'a b.txt' | grep "x | y" | sort`), [
+    ['cat', 'a b.txt'],
+    ['grep', 'x | y'],
+    ['sort']
+  ]);
+});
+
+test('parsePipeline takes redirections out of the words', () => {
+  const { stages, error } = parsePipeline('grep x < in.txt > out.txt 2>&1 | sort 2>> err.txt');
+  assert.equal(error, null);
+  assert.deepEqual(stages[0].redirects, [
+    { op: '<', path: 'in.txt' },
+    { op: '>', path: 'out.txt' },
+    { op: '2>&1' }
+  ]);
+  assert.deepEqual(stages[0].args, ['x']);
+  assert.deepEqual(stages[1].redirects, [{ op: '2>>', path: 'err.txt' }]);
+});
+
+test('parsePipeline reports syntax errors', () => {
+  assert.match(parsePipeline('ls |').error, /unexpected token '\|'/);
+  assert.match(parsePipeline('| sort').error, /unexpected token '\|'/);
+  assert.match(parsePipeline('echo >').error, /unexpected token 'newline'/);
+});
+
+test('parsePipeline expands variables outside single quotes, as one word', () => {
+  const vars = { X: 'a b', EMPTY: '' };
+  const expand = (name) => vars[name];
+  assert.deepEqual(commands('echo $X "$X" \'$X\' ${NOPE:-def} ${EMPTY:-e}', { expand }), [
+    ['echo', 'a b', 'a b', '$X', 'def', 'e']
+  ]);
+  const args = (name) => (name === '@' ? ['x y', 'z'] : []);
+  assert.deepEqual(commands('f "$@"', { expand: args }), [['f', 'x y', 'z']]);
+});
+
+test('parsePipeline evaluates $((...)) and inserts $(...) output', () => {
+  const expand = (name) => ({ n: '4' })[name];
+  const substitute = ({ source }) => (source === 'ls' ? 'one\ntwo' : '');
+  assert.deepEqual(commands('echo $((n * 2 + 1)) $(ls) "$(ls)"', { expand, substitute }), [
+    ['echo', '9', 'one', 'two', 'one\ntwo']
+  ]);
+});
+
+test('parsePipeline replaces globs by their matches', () => {
+  const glob = (pattern) => (pattern === '*.txt' ? ['a.txt', 'b.txt'] : []);
+  assert.deepEqual(commands('ls *.txt "*.txt" *.md', { glob }), [['ls', 'a.txt', 'b.txt', '*.txt', '*.md']]);
+  assert.equal(parsePipeline('ls *.md', { glob, failGlob: true }).error, 'no match: *.md');
+});
+
+test('parseCommandList splits the line at ;, &&, || and &', () => {
+  const { items, error } = parseCommandList(`mkdir x && cd x || echo 'a && b'; sleep 5 & ls`);
+  assert.equal(error, null);
+  assert.deepEqual(items, [
+    { connector: null, source: 'mkdir x', background: false },
+    { connector: '&&', source: 'cd x', background: false },
+    { connector: '||', source: "echo 'a && b'", background: false },
+    { connector: ';', source: 'sleep 5', background: true },
+    { connector: '&', source: 'ls', background: false }
+  ]);
+});
+
+test('parseCommandList allows a trailing ; or & but not a missing command', () => {
+  assert.deepEqual(parseCommandList('ls;').items, [{ connector: null, source: 'ls', background: false }]);
+  assert.equal(parseCommandList('sleep 1 &').items[0].background, true);
+  assert.deepEqual(parseCommandList('').items, []);
+  assert.equal(parseCommandList('ls &&').error, "syntax error near unexpected token 'newline'");
+  assert.equal(parseCommandList('&& ls').error, "syntax error near unexpected token '&&'");
+  assert.equal(parseCommandList('ls ;; pwd').error, "syntax error near unexpected token ';'");
+  assert.match(parseCommandList('ls | ; pwd').error, /unexpected token '\|'/);
+});
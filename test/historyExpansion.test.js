@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandHistory } from '../utils/historyExpansion.js';
+
+const history = ['ls /tmp', 'echo one', 'cat notes.txt', 'echo two'];
+
+function expanded(line) {
+  const result = expandHistory(line, history);
+  assert.equal(result.error, null);
+  return result.line;
+}
+
+test('!!, !n, !-n and !prefix are replaced by the line they name', () => {
+  assert.equal(expanded('!!'), 'echo two');
+  assert.equal(expanded('sudo !!'), 'sudo echo two');
+  assert.equal(expanded('!1'), 'ls /tmp');
+  assert.equal(expanded('!-2'), 'cat notes.txt');
+  assert.equal(expanded('!ec | wc'), 'echo two | wc');
+  assert.equal(expanded('!cat;!l'), 'cat notes.txt;ls /tmp');
+});
+
+test('a ! that is quoted, escaped or not followed by an event stays as typed', () => {
+  const lines = ["echo '!!'", 'echo \\!!', 'echo hi!', 'echo ! x', 'test a != b', '[ !=x ]'];
+  for (const line of lines) {
+    assert.deepEqual(expandHistory(line, history), { line, changed: false, error: null });
+  }
+  assert.equal(expanded('echo "!!"'), 'echo "echo two"');
+});
+
+test('^old^new reruns the last line with the first old replaced', () => {
+  assert.equal(expanded('^two^three'), 'echo three');
+  assert.equal(expanded('^two^three^'), 'echo three');
+  assert.equal(expanded('^echo '), 'two');
+  assert.match(expandHistory('^nope^x', history).error, /substitution failed/);
+  assert.match(expandHistory('^a^b^c', history).error, /bad substitution/);
+});
+
+test('an event that does not exist is an error and the line is kept', () => {
+  for (const line of ['!9', '!-5', '!zz', 'echo !grep']) {
+    const result = expandHistory(line, history);
+    assert.match(result.error, /event not found/);
+    assert.equal(result.line, line);
+    assert.equal(result.changed, false);
+  }
+  assert.match(expandHistory('!!', []).error, /^!!: event not found$/);
+  assert.match(expandHistory('^a^b', []).error, /event not found/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { vfs } from '../fs/virtualFileSystem.js';
+import { createScopedVfs, DEFAULT_CAPABILITIES } from '../utils/scriptSandbox.js';
+
+function ensureFolder(path) {
+  vfs.changeDirectory('/');
+  for (const part of path.split('/').filter(Boolean)) {
+    if (!vfs.list('.').folders.includes(part)) vfs.mkdir(part);
+    vfs.changeDirectory(part);
+  }
+  vfs.changeDirectory('/');
+}
+
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, (err) => err.code === code);
+}
+
+test('by default a sandboxed script writes to /tmp only', async () => {
+  ensureFolder('/tmp');
+  ensureFolder('/home/user');
+  const scoped = createScopedVfs(DEFAULT_CAPABILITIES, '/tmp');
+  await scoped.writeFile('note.txt', 'hi');
+  assert.equal(vfs.readFile('/tmp/note.txt'), 'hi');
+  await rejectsWith(scoped.writeFile('/home/user/tool.js', 'x'), 'EACCES');
+  await rejectsWith(scoped.readFile('/sys/env.json'), 'EACCES');
+});
+
+test('startup scripts and /sys are never writable', async () => {
+  ensureFolder('/home/user');
+  ensureFolder('/etc');
+  ensureFolder('/sys');
+  vfs.writeFile('/home/user/.jshrc', 'echo hi');
+  const scoped = createScopedVfs({ read: ['/'], write: ['/'] }, '/');
+  await rejectsWith(scoped.writeFile('/home/user/.jshrc', 'evil'), 'EACCES');
+  await rejectsWith(scoped.writeFile('/etc/profile', 'evil'), 'EACCES');
+  await rejectsWith(scoped.writeFile('/sys/config.json', '{}'), 'EACCES');
+  await rejectsWith(scoped.remove('/home', { recursive: true }), 'EACCES');
+  assert.equal(vfs.readFile('/home/user/.jshrc'), 'echo hi');
+});
+
+test('a symlink does not lead around the write scope', async () => {
+  ensureFolder('/tmp');
+  ensureFolder('/home/user');
+  vfs.writeFile('/home/user/.jshrc', 'echo hi');
+  vfs.symlink('/home/user/.jshrc', '/tmp/rc');
+  const scoped = createScopedVfs(DEFAULT_CAPABILITIES, '/tmp');
+  await rejectsWith(scoped.writeFile('/tmp/rc', 'evil'), 'EACCES');
+  assert.equal(vfs.readFile('/home/user/.jshrc'), 'echo hi');
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeStates } from '../fs/stateMerge.js';
+
+function file(name, content, mtime = 1) {
+  return { type: 'file', name, content, encoding: 'utf8', mime: 'text/plain', mode: 0o644, mtime };
+}
+
+function folder(name, folders = [], files = []) {
+  return { type: 'folder', name, folders, files, mode: 0o755, mtime: 1 };
+}
+
+// A state whose /home holds `files`.
+function state(...files) {
+  return { root: folder('', [folder('home', [], files)]), cwdParts: [] };
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function homeFiles(merged) {
+  const home = merged.root.folders.find((f) => f.name === 'home');
+  return Object.fromEntries(home.files.map((f) => [f.name, f.content]));
+}
+
+test('changes to different files in both tabs are all kept', () => {
+  const base = state(file('a.txt', 'a'), file('b.txt', 'b'));
+  const local = state(file('a.txt', 'a2', 2), file('b.txt', 'b'), file('new.txt', 'n'));
+  const remote = state(file('a.txt', 'a'), file('b.txt', 'b2', 2));
+  const { state: merged, changed, conflicts } = mergeStates(base, local, remote);
+  assert.deepEqual(homeFiles(merged), { 'a.txt': 'a2', 'b.txt': 'b2', 'new.txt': 'n' });
+  assert.equal(changed, true);
+  assert.deepEqual(conflicts, []);
+});
+
+test('nothing changed in this tab: the remote state is taken as it is', () => {
+  const base = state(file('a.txt', 'a'));
+  const remote = state(file('a.txt', 'a2', 2));
+  const { state: merged, changed } = mergeStates(base, copy(base), remote);
+  assert.deepEqual(homeFiles(merged), { 'a.txt': 'a2' });
+  assert.equal(changed, false);
+});
+
+test('a file changed in both tabs keeps the newer version and the other as .conflict', () => {
+  const base = state(file('a.txt', 'a'));
+  const local = state(file('a.txt', 'mine', 2));
+  const remote = state(file('a.txt', 'theirs', 3));
+  const { state: merged, conflicts } = mergeStates(base, local, remote);
+  assert.deepEqual(homeFiles(merged), { 'a.txt': 'theirs', 'a.txt.conflict': 'mine' });
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].path, '/home/a.txt');
+});
+
+test('a deletion in one tab sticks unless the other tab changed the file', () => {
+  const base = state(file('a.txt', 'a'), file('b.txt', 'b'));
+  const local = state(file('b.txt', 'b'));
+  const remote = state(file('a.txt', 'a'), file('b.txt', 'b'));
+  assert.deepEqual(homeFiles(mergeStates(base, local, copy(remote)).state), { 'b.txt': 'b' });
+
+  const edited = state(file('a.txt', 'a2', 2), file('b.txt', 'b'));
+  const { state: merged, conflicts } = mergeStates(base, local, edited);
+  assert.deepEqual(homeFiles(merged), { 'a.txt': 'a2', 'b.txt': 'b' });
+  assert.match(conflicts[0].message, /not deleted/);
+});
+
+test('localWins paths take this tab\'s version without a conflict or a save', () => {
+  const base = state(file('a.txt', 'a'));
+  const local = state(file('a.txt', 'mine', 2));
+  const remote = state(file('a.txt', 'theirs', 3));
+  const { state: merged, changed, conflicts } = mergeStates(base, local, remote, {
+    localWins: (path) => path.startsWith('/home')
+  });
+  assert.deepEqual(homeFiles(merged), { 'a.txt': 'mine' });
+  assert.equal(changed, false);
+  assert.deepEqual(conflicts, []);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDbBackend, MemoryBackend } from '../fs/storageBackends.js';
+
+function createBackend() {
+  return new IndexedDbBackend({ indexedDB: new IDBFactory() });
+}
+
+async function stored(backend, key) {
+  return backend._run('readonly', (store) => store.get(key));
+}
+
+test('writes in one task are coalesced into one put of the latest value', async () => {
+  const backend = createBackend();
+  let puts = 0;
+  const run = backend._run.bind(backend);
+  backend._run = (mode, fn) => {
+    if (mode === 'readwrite') puts += 1;
+    return run(mode, fn);
+  };
+  const first = backend.write('k', { v: 1 });
+  const second = backend.write('k', { v: 2 });
+  assert.equal(first, second);
+  await second;
+  assert.equal(puts, 1);
+  assert.deepEqual(await stored(backend, 'k'), { v: 2 });
+});
+
+test('a write that comes in during a put is stored after it', async () => {
+  const backend = createBackend();
+  await backend.open();
+  const first = backend.write('k', { v: 1 });
+  // Let the first put start.
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  const second = backend.write('k', { v: 2 });
+  assert.notEqual(first, second);
+  await second;
+  assert.deepEqual(await stored(backend, 'k'), { v: 2 });
+  assert.deepEqual(await backend.read('k'), { v: 2 });
+});
+
+test('the value is taken when written, not when put', async () => {
+  const backend = createBackend();
+  const state = { v: 1 };
+  const written = backend.write('k', state);
+  state.v = 2;
+  state.half = true;
+  const pending = await backend.read('k');
+  pending.v = 99;
+  await written;
+  assert.deepEqual(await stored(backend, 'k'), { v: 1 });
+});
+
+test('MemoryBackend stores the JSON it is given', () => {
+  const backend = new MemoryBackend();
+  backend.write('k', { v: 1 }, JSON.stringify({ v: 1 }));
+  const value = backend.read('k');
+  value.v = 2;
+  assert.deepEqual(backend.read('k'), { v: 1 });
+});
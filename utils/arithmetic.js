@@ -0,0 +1,149 @@
+/*! arithmetic.js | Integer arithmetic for `$((expr))` on jsh command lines */
+
+// Longest first, so `**` is not read as two `*`.
+const OPERATORS = ['**', '<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '~', '(', ')'];
+
+// Binary operators from lowest to highest precedence (`**` is handled apart:
+// it binds tighter than unary minus on its left and groups to the right).
+const LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+function tokenize(expr) {
+  const tokens = [];
+  let i = 0;
+  while (i < expr.length) {
+    const ch = expr[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    const number = /^(0x[0-9a-fA-F]+|\d+)/.exec(expr.slice(i));
+    if (number) {
+      tokens.push({ number: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+    // NAME, $NAME, ${NAME}, $1, $#, $?
+    const name = /^(?:\$\{([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[?#])\}|\$?([A-Za-z_][A-Za-z0-9_]*)|\$([0-9?#]))/.exec(expr.slice(i));
+    if (name) {
+      tokens.push({ name: name[1] || name[2] || name[3] });
+      i += name[0].length;
+      continue;
+    }
+    const op = OPERATORS.find((o) => expr.startsWith(o, i));
+    if (!op) {
+      throw new Error(`syntax error: invalid arithmetic operator (error token is "${expr.slice(i)}")`);
+    }
+    tokens.push({ op });
+    i += op.length;
+  }
+  return tokens;
+}
+
+function toInteger(text, name) {
+  const value = String(text ?? '').trim();
+  if (value === '') return 0;
+  if (!/^[-+]?(0x[0-9a-fA-F]+|\d+)$/.test(value)) {
+    throw new Error(`${name}: '${value}' is not an integer`);
+  }
+  return value.startsWith('-') ? -Number(value.slice(1)) : Number(value.replace(/^\+/, ''));
+}
+
+function applyBinary(op, a, b) {
+  switch (op) {
+    case '||': return a || b ? 1 : 0;
+    case '&&': return a && b ? 1 : 0;
+    case '==': return a === b ? 1 : 0;
+    case '!=': return a !== b ? 1 : 0;
+    case '<': return a < b ? 1 : 0;
+    case '<=': return a <= b ? 1 : 0;
+    case '>': return a > b ? 1 : 0;
+    case '>=': return a >= b ? 1 : 0;
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '**':
+      if (b < 0) throw new Error('exponent less than 0');
+      return a ** b;
+    default:
+      if (b === 0) throw new Error('division by 0');
+      return op === '/' ? Math.trunc(a / b) : a % b;
+  }
+}
+
+/**
+ * Evaluate an integer expression as in `$((expr))`: decimal and `0x` numbers,
+ * variables by name (`count`, `$count`, `$1`; unset or empty ones are 0),
+ * parentheses, `+ - * / % **`, comparisons (`< <= > >= == !=`, 1 or 0),
+ * `&& || !` and unary `-` and `~`. Division truncates toward zero.
+ *
+ * @param {string} expr
+ * @param {(name: string) => (string|number|null|undefined)} lookup - value of a variable
+ * @returns {number}
+ * @throws {Error} on a malformed expression, a variable that is not an
+ *   integer, or a division by 0
+ */
+export function evaluateArithmetic(expr, lookup) {
+  const tokens = tokenize(String(expr ?? ''));
+  let pos = 0;
+
+  const peekOp = () => (tokens[pos] && tokens[pos].op) || null;
+
+  function primary() {
+    const token = tokens[pos];
+    if (!token) {
+      throw new Error('syntax error: operand expected');
+    }
+    pos += 1;
+    if (token.number != null) return token.number;
+    if (token.name != null) return toInteger(lookup(token.name), token.name);
+    if (token.op === '(') {
+      const value = binary(0);
+      if (peekOp() !== ')') throw new Error("syntax error: missing ')'");
+      pos += 1;
+      return value;
+    }
+    throw new Error(`syntax error: operand expected (error token is "${token.op}")`);
+  }
+
+  function power() {
+    const base = primary();
+    if (peekOp() === '**') {
+      pos += 1;
+      return applyBinary('**', base, unary());
+    }
+    return base;
+  }
+
+  function unary() {
+    const op = peekOp();
+    if (op === '-' || op === '+' || op === '!' || op === '~') {
+      pos += 1;
+      const value = unary();
+      if (op === '-') return -value;
+      if (op === '!') return value ? 0 : 1;
+      if (op === '~') return ~value;
+      return value;
+    }
+    return power();
+  }
+
+  function binary(level) {
+    if (level === LEVELS.length) return unary();
+    let value = binary(level + 1);
+    while (LEVELS[level].includes(peekOp())) {
+      const op = peekOp();
+      pos += 1;
+      const right = binary(level + 1);
+      value = applyBinary(op, value, right);
+    }
+    return value;
+  }
+
+  if (!tokens.length) return 0;
+  const result = binary(0);
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    throw new Error(`syntax error in expression (error token is "${token.op || token.name || token.number}")`);
+  }
+  return result;
+}
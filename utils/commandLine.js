@@ -1,23 +1,136 @@
 /* commandLine.js | Command line tokenization with quote support */
 
+import { evaluateArithmetic } from './arithmetic.js';
+
 function isWhitespace(ch) {
   return ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r';
 }
 
+// Control and redirection operators, recognized outside quotes even without
+// spaces around them. Longest first, so `>>` is not read as two `>`.
+const OPERATORS = ['2>&1', '2>>', '2>', '>>', '&&', '||', '>', '<', '|', ';', '&'];
+
+// Operators between the pipelines of a command list (see parseCommandList).
+const CONNECTORS = [';', '&&', '||', '&'];
+
+// Redirection operators that take a file name (see parsePipeline).
+const REDIRECTS = ['>', '>>', '<', '2>', '2>>'];
+
+// `2>` only counts at the start of a word: `a2>b` is the word `a2` and `> b`.
+function operatorAt(src, i, atWordStart) {
+  return OPERATORS.find((op) => src.startsWith(op, i) && (atWordStart || op[0] !== '2')) || null;
+}
+
+const NAME_START = /[A-Za-z_]/;
+const NAME_CHAR = /[A-Za-z0-9_]/;
+
+// A variable reference starting at src[i]: `$?` (exit status of the last
+// command), `$NAME`, `${NAME}` or `${NAME:-default}`, or a script argument:
+// `$0`..`$9` (`${10}` and up), `$#` (how many) and `$@` (all of them). A `$`
+// that starts none of these is an ordinary character.
+function variableAt(src, i) {
+  if (src[i] !== '$') return null;
+  if (/^[?#@0-9]$/.test(src[i + 1] || '')) {
+    return { name: src[i + 1], length: 2, fallback: null };
+  }
+  if (src[i + 1] === '{') {
+    const close = src.indexOf('}', i + 2);
+    const match = close === -1 ? null : /^([A-Za-z_][A-Za-z0-9_]*|[?#@]|[0-9]+)(?::-(.*))?$/s.exec(src.slice(i + 2, close));
+    if (!match) return null;
+    return { name: match[1], length: close + 1 - i, fallback: match[2] ?? null };
+  }
+  if (!NAME_START.test(src[i + 1] || '')) return null;
+  let end = i + 2;
+  while (end < src.length && NAME_CHAR.test(src[end])) end += 1;
+  return { name: src.slice(i + 1, end), length: end - i, fallback: null };
+}
+
+// Index of the `)` matching the `(` at src[open] (skipping quoted text and
+// escaped characters), or -1.
+function closingParen(src, open) {
+  let depth = 0;
+  let quote = null;
+  for (let j = open; j < src.length; j += 1) {
+    const ch = src[j];
+    if (ch === '\\' && quote !== "'") {
+      j += 1;
+    } else if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth += 1;
+    } else if (ch === ')') {
+      depth -= 1;
+      if (depth === 0) return j;
+    }
+  }
+  return -1;
+}
+
+// `$(command)` or `$((expression))` starting at src[i], or null. Also
+// returned, with `error`, when the closing `)` is missing.
+function substitutionAt(src, i) {
+  if (src[i] !== '$' || src[i + 1] !== '(') return null;
+  const end = closingParen(src, i + 1);
+  if (end === -1) {
+    const opener = src[i + 2] === '(' ? '$((' : '$(';
+    return { error: `syntax error: missing ')' for '${opener}'`, rawStart: i, length: src.length - i };
+  }
+  if (src[i + 2] === '(' && closingParen(src, i + 2) === end - 1) {
+    return { kind: 'arithmetic', source: src.slice(i + 3, end - 1), rawStart: i, length: end + 1 - i };
+  }
+  return { kind: 'command', source: src.slice(i + 2, end), rawStart: i, length: end + 1 - i };
+}
+
+// Text that is part of a word but must not act as a wildcard (quoted,
+// escaped or coming from a variable), written the way fs/glob.js reads it.
+function globLiteral(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
 /**
  * Tokenize a command line into shell-like arguments.
  * - Whitespace separates tokens (outside quotes)
  * - Supports single quotes '...' and double quotes "..."
  * - Supports backslash escapes (\\) to include the next character literally
+ * - Unquoted operators (`|`, `>`, `>>`, `<`, `2>`, `2>>`, `2>&1`, `;`, `&&`,
+ *   `||`) are tokens of their own, marked with `op`
+ * - Outside single quotes, `$NAME`, `${NAME}`, `${NAME:-default}`, `$?` and
+ *   `$1`, `$#`, `$@` are replaced by `options.expand(name)` (unset names by
+ *   '', or by the default when it is unset or empty); without
+ *   `options.expand` they are kept as typed. An array value (`$@`) gives
+ *   one word per item, even in double quotes, and no word at all when empty
+ * - `$((expression))` is replaced by its integer value (see
+ *   utils/arithmetic.js; variables are read with `options.expand`), and
+ *   `$(command)` by `options.substitute(ref)`: the output of the command,
+ *   run beforehand (see findSubstitutions). Without the option they are
+ *   kept as typed; either way, operators inside them do not split the line.
+ *   Outside double quotes the output is split into words at whitespace
+ * - A word with an unquoted `*`, `?` or `[` also gets `glob`: the word as a
+ *   glob pattern, with a backslash before wildcard characters that were
+ *   quoted, escaped or expanded (null for other words)
+ *
+ * Returns tokens with both parsed value and raw span indices, and `error`
+ * for the first `$(...)` without its `)` or `$((...))` that cannot be
+ * evaluated.
  *
- * Returns tokens with both parsed value and raw span indices.
+ * @param {string} input
+ * @param {{
+ *   expand?: (name: string) => (string|string[]|number|null|undefined),
+ *   substitute?: (ref: { source: string, rawStart: number }) => string
+ * }} [options]
  */
-export function tokenizeCommandLine(input) {
+export function tokenizeCommandLine(input, options = {}) {
   const src = String(input ?? '');
   const tokens = [];
 
   let i = 0;
   let buf = '';
+  let pattern = ''; // buf as a glob pattern
+  let globbed = false; // whether the token has an unquoted wildcard
+  let emptyList = false; // whether the token had an empty `$@` (dropped if that is all)
+  let error = null;
   let tokenStart = null;
   let quote = null; // ' or "
   let quoteChar = null; // which quote started this token (if any)
@@ -26,14 +139,18 @@ export function tokenizeCommandLine(input) {
 
   const pushToken = (tokenEnd) => {
     if (tokenStart == null) return;
-    tokens.push({
+    if (!(emptyList && buf === '')) tokens.push({
       value: buf,
       rawStart: tokenStart,
       rawEnd: tokenEnd,
       quoteChar,
-      hadQuotes
+      hadQuotes,
+      glob: globbed ? pattern : null
     });
     buf = '';
+    pattern = '';
+    globbed = false;
+    emptyList = false;
     tokenStart = null;
     quote = null;
     quoteChar = null;
@@ -47,6 +164,7 @@ export function tokenizeCommandLine(input) {
     if (escaping) {
       if (tokenStart == null) tokenStart = i - 1;
       buf += ch;
+      pattern += globLiteral(ch);
       escaping = false;
       i += 1;
       continue;
@@ -60,6 +178,70 @@ export function tokenizeCommandLine(input) {
       continue;
     }
 
+    const sub = quote !== "'" ? substitutionAt(src, i) : null;
+    if (sub) {
+      const started = tokenStart != null;
+      if (!started) tokenStart = i;
+      let text = src.slice(i, i + sub.length);
+      if (sub.error) {
+        error = error || sub.error;
+      } else if (sub.kind === 'arithmetic' && options.expand) {
+        try {
+          text = String(evaluateArithmetic(sub.source, options.expand));
+        } catch (err) {
+          error = error || `$((${sub.source})): ${err.message}`;
+        }
+      } else if (sub.kind === 'command' && options.substitute) {
+        text = String(options.substitute(sub) ?? '').replace(/\n+$/, '');
+        if (!quote) {
+          // Unquoted output is split into words; no words at all drops the token.
+          if (!started) tokenStart = null;
+          text.split(/[ \t\r\n]+/).forEach((word, n) => {
+            if (n > 0) pushToken(i);
+            if (word && tokenStart == null) tokenStart = i;
+            buf += word;
+            pattern += globLiteral(word);
+          });
+          i += sub.length;
+          continue;
+        }
+      }
+      buf += text;
+      pattern += globLiteral(text);
+      i += sub.length;
+      continue;
+    }
+
+    const ref = quote !== "'" ? variableAt(src, i) : null;
+    if (ref) {
+      if (tokenStart == null) tokenStart = i;
+      let text = src.slice(i, i + ref.length);
+      const value = options.expand ? options.expand(ref.name) : text;
+      if (Array.isArray(value)) {
+        value.forEach((word, n) => {
+          if (n > 0) {
+            const open = quote;
+            pushToken(i);
+            tokenStart = i;
+            quote = open;
+          }
+          buf += String(word);
+          pattern += globLiteral(String(word));
+        });
+        if (!value.length) emptyList = true;
+        i += ref.length;
+        continue;
+      }
+      if (options.expand) {
+        text = value == null ? '' : String(value);
+        if (text === '' && ref.fallback != null) text = ref.fallback;
+      }
+      buf += text;
+      pattern += globLiteral(text);
+      i += ref.length;
+      continue;
+    }
+
     if (quote) {
       if (ch === quote) {
         hadQuotes = true;
@@ -70,6 +252,7 @@ export function tokenizeCommandLine(input) {
       }
       if (tokenStart == null) tokenStart = i;
       buf += ch;
+      pattern += globLiteral(ch);
       i += 1;
       continue;
     }
@@ -94,14 +277,34 @@ export function tokenizeCommandLine(input) {
       continue;
     }
 
+    const op = operatorAt(src, i, tokenStart == null);
+    if (op) {
+      if (tokenStart != null) {
+        pushToken(i);
+      }
+      tokens.push({
+        value: op,
+        rawStart: i,
+        rawEnd: i + op.length,
+        quoteChar: null,
+        hadQuotes: false,
+        op
+      });
+      i += op.length;
+      continue;
+    }
+
     if (tokenStart == null) tokenStart = i;
     buf += ch;
+    if (ch === '*' || ch === '?' || ch === '[') globbed = true;
+    pattern += ch;
     i += 1;
   }
 
   // If there was a trailing backslash, treat it literally.
   if (escaping) {
     buf += '\\';
+    pattern += '\\\\';
     escaping = false;
   }
 
@@ -114,10 +317,34 @@ export function tokenizeCommandLine(input) {
   return {
     tokens,
     endsWithSpace,
-    unterminatedQuote: Boolean(quote)
+    unterminatedQuote: Boolean(quote),
+    error
   };
 }
 
+/**
+ * The `$(command)` parts of a command line, in order, outside single quotes
+ * (not the ones nested in another: those run as part of it). The caller
+ * runs them and passes their output back through `options.substitute`,
+ * matching them by `rawStart`.
+ * @param {string} input
+ * @returns {Array<{ source: string, rawStart: number }>}
+ */
+export function findSubstitutions(input) {
+  const found = [];
+  tokenizeCommandLine(input, {
+    substitute: ({ source, rawStart }) => {
+      found.push({ source, rawStart });
+      return '';
+    }
+  });
+  return found;
+}
+
+function isRedirect(op) {
+  return REDIRECTS.includes(op);
+}
+
 export function parseCommandLine(input) {
   const { tokens } = tokenizeCommandLine(input);
   const parts = tokens.map((t) => t.value);
@@ -127,9 +354,134 @@ export function parseCommandLine(input) {
   };
 }
 
+/**
+ * Where a command reads its input from or sends its output to, besides the
+ * terminal: `> path`, `>> path`, `< path`, `2> path`, `2>> path`, or `2>&1`
+ * (errors go wherever the output goes; no path).
+ * @typedef {Object} Redirect
+ * @property {'>'|'>>'|'<'|'2>'|'2>>'|'2>&1'} op
+ * @property {string} [path]
+ */
+
+/**
+ * Split a command line into the commands of a pipeline (`a | b | c`), taking
+ * redirections out of each command's arguments. A line without operators
+ * gives a single stage, like `parseCommandLine`.
+ *
+ * With `options.glob`, words with wildcards are replaced by the paths it
+ * returns for their pattern (null: not a pattern after all). A pattern that matches nothing is kept as
+ * typed, or is an error (`no match: *.txt`) with `options.failGlob`.
+ *
+ * @param {string} input
+ * @param {{
+ *   expand?: (name: string) => (string|string[]|number|null|undefined),
+ *   substitute?: (ref: { source: string, rawStart: number }) => string,
+ *   glob?: (pattern: string) => (string[]|null),
+ *   failGlob?: boolean
+ * }} [options] - see tokenizeCommandLine for `expand` and `substitute`
+ * @returns {{ stages: Array<{ command: string, args: string[], redirects: Redirect[] }>, error: string|null }}
+ */
+export function parsePipeline(input, options = {}) {
+  const { tokens, error: expansionError } = tokenizeCommandLine(input, options);
+  if (expansionError) {
+    return { stages: [], error: expansionError };
+  }
+  const newStage = () => ({ words: [], redirects: [] });
+  const stages = [newStage()];
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    const stage = stages[stages.length - 1];
+    if (token.op === '|') {
+      stages.push(newStage());
+    } else if (token.op === '2>&1') {
+      stage.redirects.push({ op: token.op });
+    } else if (isRedirect(token.op)) {
+      const target = tokens[i + 1];
+      if (!target || target.op) {
+        return { stages: [], error: `syntax error near unexpected token '${target ? target.op : 'newline'}'` };
+      }
+      stage.redirects.push({ op: token.op, path: target.value });
+      i += 1;
+    } else if (token.op) {
+      return { stages: [], error: `syntax error near unexpected token '${token.op}'` };
+    } else if (token.glob != null && options.glob) {
+      const matches = options.glob(token.glob) || [token.value];
+      if (matches.length) {
+        stage.words.push(...matches);
+      } else if (options.failGlob) {
+        return { stages: [], error: `no match: ${token.value}` };
+      } else {
+        stage.words.push(token.value);
+      }
+    } else {
+      stage.words.push(token.value);
+    }
+  }
+  if (stages.length > 1 && stages.some((stage) => !stage.words.length && !stage.redirects.length)) {
+    return { stages: [], error: "syntax error near unexpected token '|'" };
+  }
+  return {
+    stages: stages.map(({ words, redirects }) => ({ command: words[0] || '', args: words.slice(1), redirects })),
+    error: null
+  };
+}
+
+/**
+ * Split a command line into pipelines joined by `;`, `&&`, `||` and `&`
+ * (`mkdir x && cd x || echo failed`). Each pipeline is returned as its
+ * source text, to be parsed with `parsePipeline` right before it runs, so
+ * `$?` sees the status of the pipeline before it.
+ *
+ * `connector` is the operator before the pipeline (null for the first):
+ * after `&&` it only runs if the previous status was 0, after `||` only if
+ * it was not. A pipeline followed by `&` has `background` set: it runs as
+ * a job while the next one starts right away.
+ *
+ * @param {string} input
+ * @returns {{ items: Array<{ connector: (';'|'&&'|'||'|'&'|null), source: string, background: boolean }>, error: string|null }}
+ */
+export function parseCommandList(input) {
+  const src = String(input ?? '');
+  const { tokens } = tokenizeCommandLine(src);
+  const items = [];
+  let connector = null;
+  let first = null;
+  let last = null;
+
+  // End the pipeline before `next` (null at the end of the line).
+  const flush = (next) => {
+    if (first == null) {
+      // Nothing before `next`: only fine at the end, after `;` (`a;`) or on an empty line.
+      if (next === null && connector !== '&&' && connector !== '||') return null;
+      return `syntax error near unexpected token '${next || 'newline'}'`;
+    }
+    const source = src.slice(first.rawStart, last.rawEnd);
+    const { error } = parsePipeline(source);
+    if (error) return error;
+    items.push({ connector, source, background: next === '&' });
+    first = null;
+    last = null;
+    return null;
+  };
+
+  for (const token of tokens) {
+    if (CONNECTORS.includes(token.op)) {
+      const error = flush(token.op);
+      if (error) return { items: [], error };
+      connector = token.op;
+      continue;
+    }
+    if (first == null) first = token;
+    last = token;
+  }
+  const error = flush(null);
+  if (error) return { items: [], error };
+  return { items, error: null };
+}
+
 export function quoteArgIfNeeded(value, preferredQuote = '"') {
   const v = String(value ?? '');
-  const needs = /\s|"|'|\\/.test(v);
+  const needs = /\s|"|'|\\|[|<>;&$*?[]/.test(v);
   if (!needs) return v;
 
   const q = preferredQuote === "'" ? "'" : '"';
@@ -139,6 +491,6 @@ export function quoteArgIfNeeded(value, preferredQuote = '"') {
     return `'${escaped}'`;
   }
 
-  const escaped = v.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const escaped = v.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\$/g, '\\$');
   return `"${escaped}"`;
 }
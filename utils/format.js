@@ -0,0 +1,47 @@
+/*! format.js | Formatting helpers for file metadata in command output */
+
+/**
+ * Render permission bits like `ls -l` does, e.g. "drwxr-xr-x".
+ * @param {number} mode - permission bits (e.g. 0o644)
+ * @param {'file'|'folder'|'symlink'} type
+ * @returns {string}
+ */
+export function formatMode(mode, type) {
+  const bits = typeof mode === 'number' ? mode : (type === 'folder' ? 0o755 : 0o644);
+  const chars = ['r', 'w', 'x'];
+  let out = type === 'folder' ? 'd' : (type === 'symlink' ? 'l' : '-');
+  for (let shift = 8; shift >= 0; shift -= 1) {
+    out += (bits & (1 << shift)) ? chars[(8 - shift) % 3] : '-';
+  }
+  return out;
+}
+
+/**
+ * Render a timestamp as "YYYY-MM-DD HH:MM" in local time.
+ * @param {number} ms - milliseconds since epoch
+ * @returns {string}
+ */
+export function formatTimestamp(ms) {
+  if (typeof ms !== 'number' || !Number.isFinite(ms)) return '????-??-?? ??:??';
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Render a byte count the way `du -h` does, e.g. "512", "1.5K", "12M".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+  const units = ['K', 'M', 'G', 'T'];
+  let value = Math.max(0, Number(bytes) || 0);
+  if (value < 1024) return String(Math.ceil(value));
+  let unit = -1;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  const rounded = Math.ceil(value * 10) / 10;
+  return (rounded < 10 ? rounded.toFixed(1) : String(Math.ceil(value))) + units[unit];
+}
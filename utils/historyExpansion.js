@@ -0,0 +1,115 @@
+/*! historyExpansion.js | Bash-style history events (`!!`, `!n`, `!-n`, `!prefix`, `^old^new`) for typed lines */
+
+// Characters that end a `!prefix` event, besides whitespace.
+const PREFIX_END = /[\s;&|<>()'"`]/;
+
+function findEvent(spec, history) {
+  if (spec === '!') {
+    return history.length ? history[history.length - 1] : null;
+  }
+  if (/^-?\d+$/.test(spec)) {
+    const n = Number(spec);
+    const index = n < 0 ? history.length + n : n - 1;
+    return index >= 0 && index < history.length ? history[index] : null;
+  }
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    if (history[i].startsWith(spec)) return history[i];
+  }
+  return null;
+}
+
+// `^old^new` (optionally ending in `^`): the last command with the first
+// `old` replaced by `new`.
+function quickSubstitution(line, history) {
+  const parts = line.slice(1).split('^');
+  const [from, to = ''] = parts;
+  if (!from || parts.length > 3 || (parts.length === 3 && parts[2] !== '')) {
+    return { line, changed: false, error: `${line}: bad substitution (use ^old^new)` };
+  }
+  const last = history.length ? history[history.length - 1] : null;
+  if (last == null) {
+    return { line, changed: false, error: `${line}: event not found` };
+  }
+  if (!last.includes(from)) {
+    return { line, changed: false, error: `${line}: substitution failed` };
+  }
+  return { line: last.replace(from, to), changed: true, error: null };
+}
+
+/**
+ * Expand history events in a typed line, given the earlier lines (oldest
+ * first, numbered from 1 as `history` lists them):
+ *
+ *   !!          the last line
+ *   !n / !-n    line n / the n-th line from the end
+ *   !prefix     the last line starting with prefix
+ *   ^old^new    the last line with the first `old` replaced by `new` (whole line only)
+ *
+ * A `!` inside single quotes, after a backslash, or followed by a space,
+ * `=` or the end of the line stays as typed.
+ *
+ * @param {string} line
+ * @param {string[]} history
+ * @returns {{ line: string, changed: boolean, error: string|null }} - on
+ *   `error` (an event that does not exist) the line should not run
+ */
+export function expandHistory(line, history) {
+  const src = String(line ?? '');
+  const entries = Array.isArray(history) ? history : [];
+  if (src.startsWith('^')) {
+    return quickSubstitution(src, entries);
+  }
+
+  let out = '';
+  let changed = false;
+  let quote = null;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (ch === '\\' && i + 1 < src.length) {
+      out += ch + src[i + 1];
+      i += 1;
+      continue;
+    }
+    if (quote) {
+      if (ch === quote) quote = null;
+      if (quote === "'" || ch !== '!') {
+        out += ch;
+        continue;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      out += ch;
+      continue;
+    }
+    if (ch !== '!') {
+      out += ch;
+      continue;
+    }
+
+    const next = src[i + 1];
+    let spec = null;
+    if (next === '!') {
+      spec = '!';
+    } else if (next != null && /[-\d]/.test(next)) {
+      spec = /^-?\d+/.exec(src.slice(i + 1));
+      spec = spec ? spec[0] : null;
+    } else if (next != null && !PREFIX_END.test(next) && next !== '=') {
+      let end = i + 1;
+      while (end < src.length && !PREFIX_END.test(src[end])) end += 1;
+      spec = src.slice(i + 1, end);
+    }
+    if (spec == null) {
+      out += ch;
+      continue;
+    }
+
+    const event = findEvent(spec, entries);
+    if (event == null) {
+      return { line: src, changed: false, error: `!${spec}: event not found` };
+    }
+    out += event;
+    changed = true;
+    i += spec.length;
+  }
+  return { line: out, changed, error: null };
+}
@@ -0,0 +1,272 @@
+/*! jshScript.js | Parse .jsh scripts (and prompt lines) into statements: commands, if, for, while, functions */
+
+import { tokenizeCommandLine } from './commandLine.js';
+
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Words that are only keywords at the start of a command, unquoted.
+const KEYWORDS = ['if', 'then', 'elif', 'else', 'fi', 'for', 'while', 'do', 'done', 'function', '{', '}', 'break', 'continue', 'return'];
+
+// Keywords that may be followed by a command on the same line (`then echo hi`).
+const LEADING = ['then', 'else', 'do', '{'];
+
+// Keywords that end a block; nothing may follow them but `;`.
+const CLOSING = ['fi', 'done', '}'];
+
+/**
+ * One statement of a script. `line` is the 1-based line it starts on.
+ * @typedef {(
+ *   { type: 'command', source: string, line: number } |
+ *   { type: 'if', clauses: Array<{ condition: Statement[], body: Statement[] }>, elseBody: Statement[]|null, line: number } |
+ *   { type: 'for', name: string, words: string|null, body: Statement[], line: number } |
+ *   { type: 'while', condition: Statement[], body: Statement[], line: number } |
+ *   { type: 'function', name: string, body: Statement[], line: number } |
+ *   { type: 'break'|'continue', line: number } |
+ *   { type: 'return', source: string, line: number }
+ * )} Statement
+ *
+ * `source` is command line text, still to be expanded and run with
+ * parseCommandList/parsePipeline; so is `words` (null for `for NAME` without
+ * `in`, which loops over the arguments).
+ */
+
+function isKeyword(token, word) {
+  return !token.op && !token.hadQuotes && token.value === word;
+}
+
+function keywordOf(token) {
+  return KEYWORDS.find((word) => isKeyword(token, word)) || null;
+}
+
+function sourceOf(rawLine, tokens) {
+  return tokens.length ? rawLine.slice(tokens[0].rawStart, tokens[tokens.length - 1].rawEnd) : '';
+}
+
+// `name()` or `name ()` at the start of tokens: the function name, or null.
+function functionNameAt(tokens) {
+  const [first, second] = tokens;
+  if (!first || first.op || first.hadQuotes) return null;
+  const match = /^([A-Za-z_][A-Za-z0-9_-]*)\(\)$/.exec(first.value);
+  if (match) return { name: match[1], length: 1 };
+  if (second && isKeyword(second, '()') && /^[A-Za-z_][A-Za-z0-9_-]*$/.test(first.value)) {
+    return { name: first.value, length: 2 };
+  }
+  return null;
+}
+
+// Split the tokens of one `;`-separated part of a line into items: keywords
+// and the command text that follows them.
+function splitItems(rawLine, tokens, line, items) {
+  let rest = tokens;
+  while (rest.length) {
+    const word = keywordOf(rest[0]);
+    const fn = word ? null : functionNameAt(rest);
+
+    if (fn) {
+      items.push({ word: 'function', name: fn.name, line });
+      rest = rest.slice(fn.length);
+    } else if (word === 'function') {
+      const name = rest[1] && !rest[1].op ? rest[1].value.replace(/\(\)$/, '') : '';
+      items.push({ word, name, line });
+      rest = rest.slice(2);
+      if (rest[0] && isKeyword(rest[0], '()')) rest = rest.slice(1);
+    } else if (LEADING.includes(word)) {
+      items.push({ word, line });
+      rest = rest.slice(1);
+    } else if (CLOSING.includes(word)) {
+      items.push({ word, line });
+      if (rest.length > 1) {
+        items.push({ word: null, error: `syntax error near unexpected token '${rest[1].value}'`, line });
+      }
+      return;
+    } else if (word === 'for') {
+      const hasIn = rest[2] && isKeyword(rest[2], 'in');
+      items.push({
+        word,
+        name: rest[1] && !rest[1].op ? rest[1].value : '',
+        words: hasIn ? sourceOf(rawLine, rest.slice(3)) : null,
+        extra: hasIn || rest.length <= 2 ? null : rest[2].value,
+        line
+      });
+      return;
+    } else if (word) {
+      // if, elif, while, break, continue, return: the rest is their command text
+      items.push({ word, source: sourceOf(rawLine, rest.slice(1)), line });
+      return;
+    } else {
+      items.push({ word: null, source: sourceOf(rawLine, rest), line });
+      return;
+    }
+  }
+}
+
+function syntaxError(line, message) {
+  const err = new Error(message);
+  err.line = line;
+  return err;
+}
+
+function parseBlock(state, until, context) {
+  const statements = [];
+  while (state.pos < state.items.length) {
+    const item = state.items[state.pos];
+    if (item.word && until.includes(item.word)) {
+      return statements;
+    }
+    state.pos += 1;
+    statements.push(parseStatement(state, item, context));
+  }
+  if (until.length) {
+    throw syntaxError(state.lastLine, `syntax error: unexpected end of file (expected '${until[until.length - 1]}')`);
+  }
+  return statements;
+}
+
+// Consume the keyword `word`, which must come next.
+function expect(state, word, after) {
+  const item = state.items[state.pos];
+  if (!item || item.word !== word) {
+    const found = item ? (item.word || 'a command') : 'end of file';
+    throw syntaxError(item ? item.line : state.lastLine, `syntax error: expected '${word}' after '${after}', found ${item && item.word ? `'${found}'` : found}`);
+  }
+  state.pos += 1;
+}
+
+// The command list after `if`, `elif` or `while` and the lines up to `stop`.
+function parseCondition(state, item, stop, context) {
+  const condition = item.source ? [{ type: 'command', source: item.source, line: item.line }] : [];
+  condition.push(...parseBlock(state, [stop], context));
+  if (!condition.length) {
+    throw syntaxError(item.line, `syntax error: expected a command after '${item.word}'`);
+  }
+  expect(state, stop, item.word);
+  return condition;
+}
+
+function parseStatement(state, item, context) {
+  const { line } = item;
+  if (item.error) {
+    throw syntaxError(line, item.error);
+  }
+
+  switch (item.word) {
+    case null:
+      return { type: 'command', source: item.source, line };
+
+    case 'if': {
+      const clauses = [];
+      let elseBody = null;
+      let current = item;
+      for (;;) {
+        const condition = parseCondition(state, current, 'then', context);
+        clauses.push({ condition, body: parseBlock(state, ['elif', 'else', 'fi'], context) });
+        const next = state.items[state.pos];
+        state.pos += 1;
+        if (next.word === 'elif') {
+          current = next;
+          continue;
+        }
+        if (next.word === 'else') {
+          elseBody = parseBlock(state, ['fi'], context);
+          expect(state, 'fi', 'else');
+        }
+        break;
+      }
+      return { type: 'if', clauses, elseBody, line };
+    }
+
+    case 'for': {
+      if (!NAME_RE.test(item.name)) {
+        throw syntaxError(line, `for: '${item.name}': not a valid variable name`);
+      }
+      if (item.extra) {
+        throw syntaxError(line, `syntax error near unexpected token '${item.extra}' (expected 'in')`);
+      }
+      expect(state, 'do', 'for');
+      const body = parseBlock(state, ['done'], { ...context, loops: context.loops + 1 });
+      expect(state, 'done', 'do');
+      return { type: 'for', name: item.name, words: item.words, body, line };
+    }
+
+    case 'while': {
+      const condition = parseCondition(state, item, 'do', context);
+      const body = parseBlock(state, ['done'], { ...context, loops: context.loops + 1 });
+      expect(state, 'done', 'do');
+      return { type: 'while', condition, body, line };
+    }
+
+    case 'function': {
+      if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(item.name)) {
+        throw syntaxError(line, `function: '${item.name}': not a valid function name`);
+      }
+      expect(state, '{', `${item.name}()`);
+      // `break` in a function does not reach the loop around its call
+      const body = parseBlock(state, ['}'], { ...context, loops: 0 });
+      expect(state, '}', '{');
+      return { type: 'function', name: item.name, body, line };
+    }
+
+    case 'break':
+    case 'continue':
+      if (!context.loops) {
+        throw syntaxError(line, `${item.word}: only meaningful in a 'for' or 'while' loop`);
+      }
+      return { type: item.word, line };
+
+    case 'return':
+      return { type: 'return', source: item.source, line };
+
+    default:
+      throw syntaxError(line, `syntax error near unexpected token '${item.word}'`);
+  }
+}
+
+/**
+ * Parse jsh source into statements. Each line holds one or more commands
+ * separated by `;` (or ending in `&`); blocks span lines or share one:
+ *
+ *   if grep -q TODO notes.md; then echo todo; elif test -f done.txt; then echo done; else echo none; fi
+ *   for f in *.txt; do cat "$f"; done        (`for f` alone loops over "$@")
+ *   while test -f lock; do delay 1000; done
+ *   greet() { echo "hello $1"; }             (or `function greet { ... }`)
+ *   break, continue, return [status]
+ *
+ * Blank lines and lines starting with `#` or `//` are skipped.
+ *
+ * @param {string} text
+ * @returns {{ statements: Statement[], error: { line: number, message: string }|null }}
+ */
+export function parseScript(text) {
+  const lines = String(text ?? '').split(/\r?\n/);
+  const items = [];
+  lines.forEach((rawLine, index) => {
+    const trimmed = rawLine.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('//')) {
+      return;
+    }
+    const { tokens } = tokenizeCommandLine(rawLine);
+    let part = [];
+    for (const token of tokens) {
+      if (token.op === ';') {
+        splitItems(rawLine, part, index + 1, items);
+        part = [];
+      } else if (token.op === '&') {
+        // Ends a command too, but stays in its source (see parseCommandList).
+        part.push(token);
+        splitItems(rawLine, part, index + 1, items);
+        part = [];
+      } else {
+        part.push(token);
+      }
+    }
+    splitItems(rawLine, part, index + 1, items);
+  });
+
+  const lastLine = lines.length - (lines.length > 1 && lines[lines.length - 1] === '' ? 1 : 0);
+  const state = { items, pos: 0, lastLine };
+  try {
+    return { statements: parseBlock(state, [], { loops: 0 }), error: null };
+  } catch (err) {
+    return { statements: [], error: { line: err.line || state.lastLine, message: err.message } };
+  }
+}
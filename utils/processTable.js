@@ -0,0 +1,139 @@
+/*! processTable.js | Process table of the shell: the command line running at the prompt and background jobs (`cmd &`) */
+
+/**
+ * One entry of the process table.
+ * @typedef {Object} Process
+ * @property {number} pid - 1 is the shell itself
+ * @property {number|null} job - job number (`%1`) of a background job; null otherwise
+ * @property {string} command - the command line, with `&` for jobs
+ * @property {'running'|'done'|'killed'} state
+ * @property {number|null} status - exit status once it is no longer running
+ * @property {number} started - start time (ms since epoch)
+ * @property {boolean} foreground - false while a job runs in the background
+ * @property {Object|null} io - a job's shell (see createJobShell in utils/stdio.js)
+ * @property {Promise<number>} finished - resolves with the exit status
+ * @property {(() => void)|null} kill - aborts its signal (null for the shell)
+ */
+
+/**
+ * `[1]  Running     sort big.txt > sorted.txt &`, as `jobs` and the
+ * notices before the prompt show a job.
+ * @param {Process} proc
+ * @returns {string}
+ */
+export function describeJob(proc) {
+  let state = 'Running';
+  if (proc.state === 'killed') state = 'Killed';
+  else if (proc.state === 'done') state = proc.status === 0 ? 'Done' : `Exit ${proc.status}`;
+  return `[${proc.job}]  ${state.padEnd(10)}  ${proc.command}`;
+}
+
+/**
+ * Create the process table. Foreground command lines are in it while they
+ * run; background jobs until they are reported (see `takeFinished`) or
+ * brought back with `fg`.
+ *
+ * @returns {{
+ *   add: (entry: { command: string, background?: boolean, kill: () => void, io?: Object|null }) => Process,
+ *   finish: (proc: Process, status: number) => void,
+ *   remove: (proc: Process) => void,
+ *   find: (spec?: string) => Process|null,
+ *   list: () => Process[],
+ *   jobs: () => Process[],
+ *   takeFinished: () => Process[]
+ * }}
+ */
+export function createProcessTable() {
+  const processes = new Map();
+  const shellProcess = {
+    pid: 1,
+    job: null,
+    command: 'jsh',
+    state: 'running',
+    status: null,
+    started: Date.now(),
+    foreground: true,
+    io: null,
+    finished: new Promise(() => {}),
+    kill: null
+  };
+  processes.set(1, shellProcess);
+  let nextPid = 2;
+  const resolvers = new Map();
+  const killed = new Set();
+
+  const jobs = () => Array.from(processes.values()).filter((p) => p.job != null);
+
+  return {
+    add({ command, background = false, kill, io = null }) {
+      const proc = {
+        pid: nextPid,
+        // Like bash: one more than the highest job number in use.
+        job: background ? Math.max(0, ...jobs().map((p) => p.job)) + 1 : null,
+        command,
+        state: 'running',
+        status: null,
+        started: Date.now(),
+        foreground: !background,
+        io,
+        finished: null,
+        kill: () => {
+          if (proc.state !== 'running') return;
+          killed.add(proc);
+          kill();
+        }
+      };
+      proc.finished = new Promise((resolve) => resolvers.set(proc, resolve));
+      nextPid += 1;
+      processes.set(proc.pid, proc);
+      return proc;
+    },
+
+    // A foreground command leaves the table; a background job stays (as
+    // done or killed) until it is reported.
+    finish(proc, status) {
+      if (proc.state !== 'running') return;
+      proc.state = killed.delete(proc) ? 'killed' : 'done';
+      proc.status = status;
+      if (proc.job == null) {
+        processes.delete(proc.pid);
+      }
+      resolvers.get(proc)(status);
+      resolvers.delete(proc);
+    },
+
+    remove(proc) {
+      processes.delete(proc.pid);
+    },
+
+    // `%1`, `%%` / `%+` / `%` (the newest job), or a PID. Without a spec,
+    // the newest job.
+    find(spec) {
+      const text = spec == null ? '%%' : String(spec);
+      if (text === '%' || text === '%%' || text === '%+') {
+        const all = jobs();
+        return all.length ? all[all.length - 1] : null;
+      }
+      if (/^%\d+$/.test(text)) {
+        return jobs().find((p) => p.job === Number(text.slice(1))) || null;
+      }
+      if (/^\d+$/.test(text)) {
+        return processes.get(Number(text)) || null;
+      }
+      return null;
+    },
+
+    list() {
+      return Array.from(processes.values()).sort((a, b) => a.pid - b.pid);
+    },
+
+    jobs,
+
+    // Background jobs that ended since the last call; they leave the table.
+    takeFinished() {
+      const done = jobs().filter((p) => p.state !== 'running' && !p.foreground);
+      done.forEach((p) => processes.delete(p.pid));
+      return done;
+    }
+  };
+}
@@ -0,0 +1,444 @@
+/*! scriptSandbox.js | Run a VFS script in a Web Worker: shell calls by message, folder-scoped VFS, CPU time limit */
+
+import { vfs, vfsError } from '../fs/virtualFileSystem.js';
+import { normalizePathFromCwd } from '../fs/pathUtils.js';
+import { htmlToText } from './stdio.js';
+
+// Exit status of a script stopped by its CPU time limit (128 + SIGXCPU, as
+// in bash).
+export const CPU_LIMIT_STATUS = 152;
+
+/**
+ * Folders a sandboxed script may read and write (see createScopedVfs).
+ * `/sys` (settings, environment, history) is left out on purpose, and only
+ * `/tmp` is writable: a script written anywhere else (in PATH, say) could
+ * later run outside the sandbox.
+ */
+export const DEFAULT_CAPABILITIES = {
+  read: ['/bin', '/etc', '/home', '/tmp', '/usr'],
+  write: ['/tmp']
+};
+
+// Never writable from the sandbox, whatever `write` allows: the startup
+// scripts run outside of it before the next prompt, and /sys holds the
+// shell's settings.
+const PROTECTED_PATHS = ['/etc/profile', '/home/user/.jshrc', '/sys'];
+
+// VFS methods a sandboxed script can call, by what they need.
+const READ_METHODS = ['readFile', 'readFileBytes', 'stat', 'list'];
+const WRITE_METHODS = ['writeFile', 'remove'];
+
+// How often the shell checks that the worker still answers (see
+// createCpuClock).
+const PING_INTERVAL = 50;
+
+// HTML a sandboxed script may print. Other elements are replaced by their
+// content; these go with everything in them.
+const ALLOWED_TAGS = new Set([
+  'A', 'B', 'BR', 'CODE', 'DIV', 'EM', 'H1', 'H2', 'H3', 'H4', 'HR', 'I', 'LI', 'OL', 'P', 'PRE',
+  'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TR', 'U', 'UL'
+]);
+const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH', 'NOSCRIPT']);
+const ALLOWED_ATTRIBUTES = ['class', 'title', 'href'];
+// Styles a sandboxed script may set, in printed HTML and on the status line.
+// Nothing that places or sizes things, so it cannot cover the page with a
+// fake prompt.
+const ALLOWED_STYLES = ['color', 'backgroundColor', 'fontWeight', 'fontStyle', 'textDecoration'];
+
+// Shell methods that put their text on the page as HTML (innerHTML). Text
+// the worker sends to them is cleaned first, see workerText().
+const HTML_METHODS = new Set(['printHTML', 'write', 'setStatusLine', 'enterProgramMode', 'input', 'password', 'confirm']);
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function cleanStyle(node) {
+  const kept = plainStyle(node.style);
+  node.removeAttribute('style');
+  Object.assign(node.style, kept);
+}
+
+function cleanNode(parent) {
+  for (const node of Array.from(parent.childNodes)) {
+    if (node.nodeType === 3) continue;
+    if (node.nodeType !== 1 || DROPPED_TAGS.has(node.tagName)) {
+      node.remove();
+      continue;
+    }
+    cleanNode(node);
+    if (!ALLOWED_TAGS.has(node.tagName)) {
+      node.replaceWith(...Array.from(node.childNodes));
+      continue;
+    }
+    if (node.hasAttribute('style')) cleanStyle(node);
+    for (const { name, value } of Array.from(node.attributes)) {
+      const keep = name === 'style' || (ALLOWED_ATTRIBUTES.includes(name)
+        && !(name === 'href' && !/^(https?:|mailto:)/i.test(value.trim())));
+      if (!keep) node.removeAttribute(name);
+    }
+    if (node.tagName === 'A' && node.hasAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+  }
+}
+
+/**
+ * HTML from a sandboxed script, made safe to put on the page: only simple
+ * formatting elements, no scripts, event handlers or `javascript:` links.
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+  if (typeof document === 'undefined') {
+    return escapeHtml(htmlToText(html));
+  }
+  const template = document.createElement('template');
+  template.innerHTML = String(html ?? '');
+  cleanNode(template.content);
+  return template.innerHTML;
+}
+
+// `path` with every symlink along it followed, so a link cannot lead out of
+// the folders a script was given.
+function physicalPath(path) {
+  let parts = path.split('/').filter(Boolean);
+  let hops = 0;
+  for (let i = 0; i < parts.length;) {
+    const prefix = '/' + parts.slice(0, i + 1).join('/');
+    let info = null;
+    try {
+      info = vfs.lstat(prefix);
+    } catch (_) {
+      break;
+    }
+    if (info.type !== 'symlink') {
+      i += 1;
+      continue;
+    }
+    hops += 1;
+    if (hops > 40) {
+      throw vfsError('ELOOP', `${path}: Too many levels of symbolic links`);
+    }
+    const target = normalizePathFromCwd('/' + parts.slice(0, i).join('/'), vfs.readlink(prefix));
+    parts = [...target.split('/').filter(Boolean), ...parts.slice(i + 1)];
+    i = 0;
+  }
+  return '/' + parts.join('/');
+}
+
+function isWithin(path, folders) {
+  return folders.some((folder) => folder === '/' || path === folder || path.startsWith(`${folder}/`));
+}
+
+/**
+ * The VFS as a sandboxed script sees it: readFile, readFileBytes, stat and
+ * list in the `read` folders, writeFile and remove in the `write` ones
+ * (except for PROTECTED_PATHS and folders holding them). Relative paths
+ * start at `cwd`. Anything else fails with EACCES.
+ *
+ * @param {{ read: string[], write: string[] }} capabilities
+ * @param {string} cwd
+ * @returns {Object<string, (...args: any[]) => Promise<any>>}
+ */
+export function createScopedVfs(capabilities, cwd) {
+  const allowed = (method, path) => {
+    const resolved = physicalPath(normalizePathFromCwd(cwd, String(path ?? '')));
+    const write = WRITE_METHODS.includes(method);
+    const folders = write ? capabilities.write : capabilities.read;
+    if (!isWithin(resolved, folders)) {
+      throw vfsError('EACCES', `${path}: Permission denied (${write ? 'writable' : 'readable'}: ${folders.join(', ')})`);
+    }
+    if (write && PROTECTED_PATHS.some((protectedPath) => isWithin(resolved, [protectedPath]) || isWithin(protectedPath, [resolved]))) {
+      throw vfsError('EACCES', `${path}: Permission denied (startup scripts and /sys are never writable)`);
+    }
+    return resolved;
+  };
+
+  return {
+    readFile: async (path) => vfs.readFileAsync(allowed('readFile', path)),
+    readFileBytes: async (path) => vfs.readFileBytesAsync(allowed('readFileBytes', path)),
+    stat: async (path) => vfs.stat(allowed('stat', path)),
+    list: async (path = '.') => vfs.list(allowed('list', path)),
+    writeFile: async (path, content, { mime, encoding, history } = {}) => {
+      vfs.writeFile(allowed('writeFile', path), content, { mime, encoding, history });
+    },
+    remove: async (path, { recursive = false } = {}) => {
+      vfs.remove(allowed('remove', path), { recursive });
+    }
+  };
+}
+
+/**
+ * Sandbox settings a script asks for in a `// jsh:` comment among its first
+ * lines: `// jsh: sandbox` runs it in the worker, `// jsh: time-limit=2000`
+ * too, with at most 2000 ms of CPU time.
+ * @param {string} source
+ * @returns {{ sandbox: boolean, timeLimit: number }}
+ */
+export function readSandboxDirective(source) {
+  const directive = { sandbox: false, timeLimit: 0 };
+  for (const line of String(source ?? '').split('\n').slice(0, 10)) {
+    const match = /^\s*\/\/\s*jsh:\s*(.*)$/.exec(line);
+    if (!match) continue;
+    for (const word of match[1].trim().split(/\s+/)) {
+      const limit = /^time-limit=(\d+)$/.exec(word);
+      if (word === 'sandbox') {
+        directive.sandbox = true;
+      } else if (limit) {
+        directive.sandbox = true;
+        directive.timeLimit = Number(limit[1]);
+      }
+    }
+  }
+  return directive;
+}
+
+// CPU time used by the worker: how long it keeps the shell's pings (every
+// PING_INTERVAL ms) waiting. A worker busy in a loop cannot answer; one
+// that waits for a key or a timer answers right away. `onExceeded` is
+// called once `limit` ms are used up (0: no limit).
+function createCpuClock(worker, limit, onExceeded) {
+  let used = 0;
+  let sentAt = null;
+  const timer = limit > 0
+    ? setInterval(() => {
+      if (sentAt == null) {
+        sentAt = Date.now();
+        worker.postMessage({ type: 'ping' });
+      } else if (used + (Date.now() - sentAt) >= limit) {
+        onExceeded();
+      }
+    }, PING_INTERVAL)
+    : null;
+  return {
+    pong() {
+      if (sentAt == null) return;
+      used += Date.now() - sentAt;
+      sentAt = null;
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+    }
+  };
+}
+
+// Screen changes a script made that the shell undoes when it ends, even if
+// it was stopped in the middle (it gets no `finally`).
+function createScreenState(shell) {
+  const rawModes = new Map();
+  const state = { screens: 0, programs: 0, statusLine: false };
+  return {
+    state,
+    rawModes,
+    restore() {
+      for (const exit of rawModes.values()) exit();
+      rawModes.clear();
+      if (state.statusLine) shell.clearStatusLine();
+      for (; state.screens > 0; state.screens -= 1) shell.popScreen();
+      for (; state.programs > 0; state.programs -= 1) shell.exitProgramMode();
+    }
+  };
+}
+
+// Text from the worker for the shell's `method`: every string the worker
+// hands to the shell goes through here, so none reaches the page as HTML
+// without sanitizeHtml().
+function workerText(method, value) {
+  return HTML_METHODS.has(method) ? sanitizeHtml(value) : String(value ?? '');
+}
+
+function plainKey(keyEvent) {
+  if (!keyEvent) return null;
+  const { key, code, keyCode, ctrlKey, shiftKey, altKey, metaKey } = keyEvent;
+  return { key, code, keyCode, ctrlKey, shiftKey, altKey, metaKey };
+}
+
+function plainStyle(style) {
+  const out = {};
+  for (const name of ALLOWED_STYLES) {
+    const value = style ? style[name] : undefined;
+    if (typeof value === 'string' && value && !/url\s*\(|expression/i.test(value)) out[name] = value;
+  }
+  return out;
+}
+
+/**
+ * Run a script in a Web Worker (utils/scriptWorker.js) instead of on the
+ * page. It gets the same `shell`, `command`, `args`, `env` and `vfs`, with
+ * these differences:
+ *
+ * - `shell` passes messages: output calls go out as they happen (HTML,
+ *   prompt messages included, is cleaned, see sanitizeHtml); `input`,
+ *   `readKey`, `sleep` and friends return Promises as usual; key handlers
+ *   and other callbacks into the page are not available.
+ * - `vfs` methods all return Promises and only reach `capabilities`.
+ * - Ctrl+C (`shell.signal`) and `timeLimit` (ms of CPU time, 0 for none)
+ *   end the worker at once, even in a loop that never awaits anything.
+ *
+ * Resolves with the script's exit status; rejects with the script's error,
+ * the signal's AbortError, or an error with code `ETIME` at the time limit.
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {{ source: string, command: string, args: string[], env: Object<string, string>, timeLimit?: number, capabilities?: { read: string[], write: string[] } }} options
+ * @returns {Promise<number>}
+ */
+export function runInWorker(shell, { source, command, args, env, timeLimit = 0, capabilities = DEFAULT_CAPABILITIES }) {
+  const signal = shell.signal;
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  const cwd = vfs.getCwdPath();
+  const scopedVfs = createScopedVfs(capabilities, cwd);
+  const screen = createScreenState(shell);
+  const worker = new Worker(new URL('./scriptWorker.js', import.meta.url), { type: 'module' });
+
+  return new Promise((resolve, reject) => {
+    let clock = null;
+    let settled = false;
+    const finish = (settle, value) => {
+      if (settled) return;
+      settled = true;
+      clock.stop();
+      signal.removeEventListener('abort', onAbort);
+      worker.terminate();
+      screen.restore();
+      settle(value);
+    };
+    const onAbort = () => finish(reject, signal.reason);
+    clock = createCpuClock(worker, timeLimit, () => {
+      finish(reject, vfsError('ETIME', `CPU time limit exceeded (${timeLimit} ms)`));
+    });
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    const reply = (id, promise) => {
+      Promise.resolve()
+        .then(promise)
+        .then((value) => worker.postMessage({ type: 'reply', id, value }))
+        .catch((err) => worker.postMessage({
+          type: 'reply',
+          id,
+          error: { name: (err && err.name) || 'Error', message: String((err && err.message) || err), code: err && err.code }
+        }));
+    };
+
+    const onCall = ({ method, args: callArgs = [] }) => {
+      const [first, second] = callArgs;
+      switch (method) {
+        case 'print':
+        case 'printError':
+        case 'printHTML':
+        case 'write':
+          shell[method](workerText(method, first));
+          break;
+        case 'newLine':
+        case 'clear':
+          shell[method]();
+          break;
+        case 'stdoutWrite':
+          if (shell.stdout) shell.stdout.write(workerText(method, first));
+          break;
+        case 'setStatusLine':
+          shell.setStatusLine(workerText(method, first), plainStyle(second));
+          screen.state.statusLine = true;
+          break;
+        case 'clearStatusLine':
+          shell.clearStatusLine();
+          screen.state.statusLine = false;
+          break;
+        case 'pushScreen':
+        case 'enterFullscreenMode':
+          shell.pushScreen({ clear: !first || first.clear !== false });
+          screen.state.screens += 1;
+          break;
+        case 'popScreen':
+        case 'exitFullscreenMode':
+          if (screen.state.screens > 0) {
+            shell.popScreen();
+            screen.state.screens -= 1;
+          }
+          break;
+        case 'enterProgramMode': {
+          const { prompt, textColor, backgroundColor } = first || {};
+          shell.enterProgramMode({
+            prompt: typeof prompt === 'string' ? workerText(method, prompt) : undefined,
+            textColor: typeof textColor === 'string' ? textColor : undefined,
+            backgroundColor: typeof backgroundColor === 'string' ? backgroundColor : undefined
+          });
+          screen.state.programs += 1;
+          break;
+        }
+        case 'exitProgramMode':
+          if (screen.state.programs > 0) {
+            shell.exitProgramMode();
+            screen.state.programs -= 1;
+          }
+          break;
+        case 'enterRawMode':
+          if (typeof shell.enterRawMode === 'function' && !screen.rawModes.has(first)) {
+            screen.rawModes.set(first, shell.enterRawMode({ hideInput: !second || second.hideInput !== false }));
+          }
+          break;
+        case 'exitRawMode':
+          if (screen.rawModes.has(first)) {
+            screen.rawModes.get(first)();
+            screen.rawModes.delete(first);
+          }
+          break;
+        default:
+          break;
+      }
+    };
+
+    const onRequest = ({ id, target, method, args: requestArgs = [] }) => {
+      const [first] = requestArgs;
+      if (target === 'vfs' && Object.prototype.hasOwnProperty.call(scopedVfs, method)) {
+        reply(id, () => scopedVfs[method](...requestArgs));
+      } else if (target === 'stdin' && shell.stdin && ['read', 'readLine', 'lines'].includes(method)) {
+        reply(id, () => shell.stdin[method]());
+      } else if (target === 'shell' && method === 'readKey') {
+        reply(id, () => shell.readKey({ timeout: first && first.timeout }).then(plainKey));
+      } else if (target === 'shell' && ['input', 'password', 'confirm'].includes(method)) {
+        reply(id, () => shell[method](workerText(method, first)));
+      } else if (target === 'shell' && method === 'sleep') {
+        reply(id, () => shell.sleep(Number(first) || 0));
+      } else if (target === 'shell' && method === 'type') {
+        reply(id, () => shell.type(workerText(method, first), requestArgs[1]));
+      } else {
+        reply(id, () => {
+          throw new Error(`${target}.${method} is not available in the sandbox`);
+        });
+      }
+    };
+
+    worker.addEventListener('message', (event) => {
+      const message = event.data || {};
+      if (settled) return;
+      if (message.type === 'pong') clock.pong();
+      else if (message.type === 'call') onCall(message);
+      else if (message.type === 'request') onRequest(message);
+      else if (message.type === 'done') finish(resolve, message.status);
+      else if (message.type === 'failed') finish(reject, Object.assign(new Error(message.error.message), { name: message.error.name }));
+    });
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      finish(reject, new Error(event.message || 'the script worker could not start'));
+    });
+
+    const viewport = typeof shell.getViewportSize === 'function' ? shell.getViewportSize() : { cols: 0, rows: 0 };
+    worker.postMessage({
+      type: 'start',
+      source,
+      command,
+      args: Array.isArray(args) ? [...args] : [],
+      env: { ...env },
+      cwd,
+      viewport,
+      stdin: Boolean(shell.stdin),
+      stdout: Boolean(shell.stdout),
+      vfsMethods: [...READ_METHODS, ...WRITE_METHODS]
+    });
+  });
+}
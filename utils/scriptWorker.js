@@ -0,0 +1,164 @@
+/*! scriptWorker.js | Web Worker that runs one VFS script for the sandbox (see utils/scriptSandbox.js) */
+
+// Browser APIs a sandboxed script must not reach: storage (where the VFS
+// lives), other tabs and more workers. They are removed before the script
+// runs; it talks to the shell and the VFS only through messages. The usual
+// network APIs go too, but that does not cut the script off: import() of a
+// URL cannot be taken away and still loads it.
+const BLOCKED_GLOBALS = [
+  'indexedDB', 'caches', 'navigator', 'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport',
+  'EventSource', 'BroadcastChannel', 'Worker', 'SharedWorker', 'importScripts'
+];
+
+// Taken before the script runs, so replacing them does not cut the shell off.
+const post = self.postMessage.bind(self);
+const listen = self.addEventListener.bind(self);
+
+const pending = new Map();
+let nextId = 1;
+
+function blockGlobals() {
+  for (const name of BLOCKED_GLOBALS) {
+    for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+      if (Object.prototype.hasOwnProperty.call(scope, name)) {
+        try {
+          delete scope[name];
+        } catch (_) {
+          // not configurable; nothing more to do
+        }
+      }
+    }
+  }
+}
+
+function toError({ name, message, code }) {
+  const err = new Error(message);
+  err.name = name || 'Error';
+  if (code) err.code = code;
+  return err;
+}
+
+// Ask the shell for something and wait for the answer (see onRequest in
+// utils/scriptSandbox.js).
+function request(target, method, args = []) {
+  const id = nextId;
+  nextId += 1;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    post({ type: 'request', id, target, method, args });
+  });
+}
+
+// Tell the shell to do something; nothing comes back.
+function call(method, args = []) {
+  post({ type: 'call', method, args });
+}
+
+function text(message) {
+  return String(message ?? '');
+}
+
+// The `shell` a sandboxed script gets: output calls are sent as they
+// happen, input and keys are asked for, and sizes are those at start.
+function createShell(init) {
+  const controller = new AbortController();
+  let nextRawMode = 1;
+  const shell = {
+    signal: controller.signal,
+    print: (message) => (call('print', [text(message)]), shell),
+    printError: (message) => (call('printError', [text(message)]), shell),
+    printHTML: (content) => (call('printHTML', [text(content)]), shell),
+    write: (message) => (call('write', [text(message)]), shell),
+    newLine: () => (call('newLine'), shell),
+    clear: () => (call('clear'), shell),
+    setStatusLine: (message, style = {}) => (call('setStatusLine', [text(message), { ...style }]), shell),
+    clearStatusLine: () => (call('clearStatusLine'), shell),
+    pushScreen: (options = {}) => (call('pushScreen', [{ clear: options.clear !== false }]), shell),
+    popScreen: () => (call('popScreen'), shell),
+    enterFullscreenMode: () => (call('enterFullscreenMode'), shell),
+    exitFullscreenMode: () => (call('exitFullscreenMode'), shell),
+    enterProgramMode: ({ prompt, textColor, backgroundColor } = {}) => (call('enterProgramMode', [{ prompt, textColor, backgroundColor }]), shell),
+    exitProgramMode: () => (call('exitProgramMode'), shell),
+    enterRawMode: ({ hideInput = true } = {}) => {
+      const id = nextRawMode;
+      nextRawMode += 1;
+      call('enterRawMode', [id, { hideInput }]);
+      return () => call('exitRawMode', [id]);
+    },
+    getViewportSize: () => ({ ...init.viewport }),
+    getViewportColumns: () => init.viewport.cols,
+    getViewportRows: () => init.viewport.rows,
+    type: (message, speed) => request('shell', 'type', [text(message), speed]),
+    sleep: (milliseconds) => request('shell', 'sleep', [milliseconds]),
+    input: (message) => request('shell', 'input', [text(message)]),
+    password: (message) => request('shell', 'password', [text(message)]),
+    confirm: (message) => request('shell', 'confirm', [text(message)]),
+    // A filter runs here, so the keys it turns down are used up.
+    async readKey({ filter, timeout } = {}) {
+      const deadline = typeof timeout === 'number' && timeout > 0 ? Date.now() + timeout : 0;
+      for (;;) {
+        const left = deadline ? deadline - Date.now() : 0;
+        if (deadline && left <= 0) return null;
+        const key = await request('shell', 'readKey', [{ timeout: left || undefined }]);
+        if (key == null || typeof filter !== 'function' || filter(key)) return key;
+      }
+    }
+  };
+  if (init.stdin) {
+    shell.stdin = {
+      isTTY: false,
+      read: () => request('stdin', 'read'),
+      readLine: () => request('stdin', 'readLine'),
+      lines: () => request('stdin', 'lines')
+    };
+  }
+  if (init.stdout) {
+    shell.stdout = { isTTY: false, write: (message) => call('stdoutWrite', [text(message)]) };
+  }
+  return shell;
+}
+
+// The `vfs` a sandboxed script gets: every method returns a Promise, and
+// the shell only allows the folders it was given (see createScopedVfs).
+function createVfs(init) {
+  const vfs = { getCwdPath: () => init.cwd };
+  for (const method of init.vfsMethods) {
+    vfs[method] = (...args) => request('vfs', method, args);
+  }
+  return vfs;
+}
+
+async function run(init) {
+  const shell = createShell(init);
+  const vfs = createVfs(init);
+  blockGlobals();
+
+  const wrappedSource = `
+const argv = args;
+${init.source}
+if (typeof main === 'function') {
+  return main(shell, command, args);
+}
+return undefined;
+`;
+  const fn = new Function('shell', 'command', 'args', 'vfs', 'env', wrappedSource);
+  return fn(shell, init.command, init.args, vfs, init.env);
+}
+
+listen('message', (event) => {
+  const message = event.data || {};
+  if (message.type === 'ping') {
+    post({ type: 'pong' });
+  } else if (message.type === 'reply') {
+    const entry = pending.get(message.id);
+    if (!entry) return;
+    pending.delete(message.id);
+    if (message.error) entry.reject(toError(message.error));
+    else entry.resolve(message.value);
+  } else if (message.type === 'start') {
+    Promise.resolve()
+      .then(() => run(message))
+      .then((result) => post({ type: 'done', status: Number.isInteger(result) ? result : 0 }))
+      .catch((err) => post({ type: 'failed', error: { name: (err && err.name) || 'Error', message: String((err && err.message) || err) } }));
+  }
+});
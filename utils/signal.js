@@ -0,0 +1,47 @@
+/*! signal.js | Ctrl+C for running commands: exit status and AbortSignal helpers (see JsShell.signal) */
+
+// Exit status of a command stopped by Ctrl+C (128 + SIGINT, as in bash).
+export const INTERRUPTED_STATUS = 130;
+
+/**
+ * Whether `err` is what an aborted `shell.signal` throws.
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return Boolean(err) && err.name === 'AbortError';
+}
+
+/**
+ * Settle like `promise`, or reject with the signal's reason as soon as it is
+ * aborted. The work behind `promise` is not stopped; this only stops waiting
+ * for it, so a program that ignores the signal cannot hold the prompt.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise<T>}
+ */
+export function untilAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (err) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+    );
+  });
+}
@@ -0,0 +1,333 @@
+/*! stdio.js | Standard input/output for commands in a pipeline or with redirections */
+
+/**
+ * Input a command reads when it runs behind a `|` (as `shell.stdin`).
+ * Commands run at the prompt have no `shell.stdin`.
+ * @typedef {Object} ShellStdin
+ * @property {false} isTTY
+ * @property {() => Promise<string>} read - everything not read yet
+ * @property {() => Promise<string|null>} readLine - the next line, or null at the end
+ * @property {() => Promise<string[]>} lines - all lines not read yet
+ */
+
+/**
+ * Output of a command whose output goes to the next command of a pipeline
+ * (as `shell.stdout`). Commands printing to the terminal have no `shell.stdout`.
+ * @typedef {Object} ShellStdout
+ * @property {false} isTTY
+ * @property {(text: string) => void} write - append text, `\n` starts a new line
+ */
+
+const ENTITIES = { nbsp: ' ', lt: '<', gt: '>', amp: '&', quot: '"', '#39': "'" };
+
+/**
+ * Plain text of HTML printed with `printHTML()` / `write()`.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return String(html ?? '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(nbsp|lt|gt|amp|quot|#39);/g, (_, name) => ENTITIES[name]);
+}
+
+/**
+ * @param {string} text
+ * @returns {ShellStdin}
+ */
+export function createStdin(text) {
+  // A file's final newline ends its last line; it does not start another.
+  const all = String(text ?? '').replace(/\r\n/g, '\n').replace(/\n$/, '');
+  const lines = all ? all.split('\n') : [];
+  let pos = 0;
+  return {
+    isTTY: false,
+    async read() {
+      const rest = lines.slice(pos).join('\n');
+      pos = lines.length;
+      return rest;
+    },
+    async readLine() {
+      return pos < lines.length ? lines[pos++] : null;
+    },
+    async lines() {
+      const rest = lines.slice(pos);
+      pos = lines.length;
+      return rest;
+    }
+  };
+}
+
+// Collects what a command prints, the way the terminal would lay it out:
+// print() starts a line of its own, write() continues the current one.
+function createOutputBuffer() {
+  const lines = [];
+  let partial = null;
+  return {
+    writeLine(text) {
+      if (partial != null) lines.push(partial);
+      partial = null;
+      lines.push(String(text ?? ''));
+    },
+    write(text) {
+      const [first, ...rest] = String(text ?? '').split('\n');
+      partial = (partial ?? '') + first;
+      for (const line of rest) {
+        lines.push(partial);
+        partial = line;
+      }
+    },
+    // Commands end with a blank line to separate them from the prompt;
+    // the next command should not read it as input.
+    trimEnd() {
+      if (partial != null && !partial.trim()) partial = null;
+      while (partial == null && lines.length && !lines[lines.length - 1].trim()) lines.pop();
+    },
+    text() {
+      this.trimEnd();
+      return (partial != null ? lines.concat(partial) : lines).join('\n');
+    }
+  };
+}
+
+/**
+ * Shell for one command of a pipeline (or one with redirections): `shell`
+ * with its input taken from `stdin` and/or its output collected instead of
+ * shown.
+ *
+ * - With `stdin`, `shell.stdin` is set and `shell.input()` reads its next line.
+ *   Without, the command keeps the input of `shell` (so the commands of a
+ *   .jsh script share the script's input).
+ * - With `captureOutput`, `print`, `printHTML`, `write`, `newLine` and `type`
+ *   are collected as plain text (read with `output()`) and `shell.stdout` is
+ *   set. `printError` still reaches the terminal, unless
+ * - `captureErrors` collects it too (read with `errors()`), or
+ * - `errorsToOutput` sends it wherever the output goes (`2>&1`).
+ * - With `signal`, that is `shell.signal` (see JsShell.beginCommand), also
+ *   for `sleep()`, `readKey()`, `input()`, `password()` and `confirm()`.
+ *
+ * Everything else (readKey, clear, pushScreen, ...) goes to `shell`.
+ *
+ * When several commands print to one such shell, call `endCommand()` after
+ * each so the blank line that ends it is not kept between their outputs.
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {{ stdin?: ShellStdin|null, captureOutput?: boolean, captureErrors?: boolean, errorsToOutput?: boolean, signal?: AbortSignal|null }} [options]
+ * @returns {{ shell: import('../jsShell.js').JsShell, output: () => string, errors: () => string, endCommand: () => void }}
+ */
+export function createStageShell(shell, { stdin = null, captureOutput = false, captureErrors = false, errorsToOutput = false, signal = null } = {}) {
+  if (!stdin && !captureOutput && !captureErrors && !signal) {
+    return { shell, output: () => '', errors: () => '', endCommand: () => {} };
+  }
+
+  const overrides = {};
+  let proxy = null;
+
+  if (signal) {
+    overrides.signal = signal;
+    overrides.sleep = (milliseconds) => shell.sleep(milliseconds, signal);
+    overrides.readKey = (options = {}) => shell.readKey({ ...options, signal });
+    overrides.input = (message) => shell.input(message, signal);
+    overrides.password = (message) => shell.password(message, signal);
+    overrides.confirm = (message) => shell.confirm(message, signal);
+  }
+
+  if (stdin) {
+    overrides.stdin = stdin;
+    overrides.input = async () => {
+      const line = await stdin.readLine();
+      return line == null ? '' : line;
+    };
+  }
+
+  const out = captureOutput ? createOutputBuffer() : null;
+  if (out) {
+    overrides.stdout = { isTTY: false, write: (text) => out.write(text) };
+    overrides.print = (message) => {
+      out.writeLine(message);
+      return proxy;
+    };
+    overrides.printHTML = (content) => {
+      out.writeLine(htmlToText(content));
+      return proxy;
+    };
+    overrides.write = (message) => {
+      out.write(htmlToText(message));
+      return proxy;
+    };
+    overrides.newLine = () => {
+      out.writeLine('');
+      return proxy;
+    };
+    overrides.type = async (message) => {
+      out.write(message);
+    };
+  }
+
+  const err = captureErrors && !(errorsToOutput && out) ? createOutputBuffer() : null;
+  if (err || (errorsToOutput && out)) {
+    const target = err || out;
+    overrides.printError = (message) => {
+      target.writeLine(message);
+      return proxy;
+    };
+  }
+
+  proxy = new Proxy(shell, {
+    get(target, prop) {
+      if (Object.prototype.hasOwnProperty.call(overrides, prop)) {
+        return overrides[prop];
+      }
+      const value = Reflect.get(target, prop);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+    has(target, prop) {
+      return Object.prototype.hasOwnProperty.call(overrides, prop) || Reflect.has(target, prop);
+    }
+  });
+
+  return {
+    shell: proxy,
+    output: () => (out ? out.text() : ''),
+    errors: () => (err ? err.text() : ''),
+    endCommand: () => {
+      if (out) out.trimEnd();
+    }
+  };
+}
+
+// JsShell methods that change the screen rather than print to it. A
+// background job's shell keeps their calls in order with the output, so a
+// full-screen program shows up as such when it is brought back.
+const SCREEN_METHODS = [
+  'pushScreen', 'popScreen', 'enterFullscreenMode', 'exitFullscreenMode',
+  'enterProgramMode', 'exitProgramMode', 'setStatusLine', 'clearStatusLine',
+  'pushKeyHandler', 'popKeyHandler'
+];
+
+// Methods that belong to the prompt; a background job's shell skips them.
+const PROMPT_METHODS = ['showHint', 'hideHint', 'updateHint', 'setPrompt'];
+
+// Output methods whose calls a background job's shell keeps for later.
+const OUTPUT_METHODS = ['print', 'printHTML', 'printError', 'write', 'newLine'];
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Shell for a background job (`cmd &`): `shell` while nobody is watching.
+ * Until `attach()`:
+ *
+ * - what the job prints is kept (the last `limit` calls; `clear()` forgets
+ *   them), to be shown by `attach()`, and so are screen changes
+ *   (`enterFullscreenMode`, `setStatusLine`, ...);
+ * - `input()`, `password()`, `confirm()` and `readKey()` without a timeout
+ *   wait for `attach()` (`readKey()` with one returns null after it);
+ * - `enterRawMode()` and prompt hints are skipped.
+ *
+ * `attach()` prints what was kept and from then on passes everything on to
+ * `shell`, as when `fg` brings the job back. `signal` is the job's own,
+ * as with createStageShell.
+ *
+ * @param {import('../jsShell.js').JsShell} shell
+ * @param {{ signal: AbortSignal, limit?: number }} options
+ * @returns {{ shell: import('../jsShell.js').JsShell, attach: () => void }}
+ */
+export function createJobShell(shell, { signal, limit = 1000 }) {
+  const kept = [];
+  let printed = 0;
+  let attached = false;
+  let waiting = [];
+  let proxy = null;
+
+  // Resolves on attach(); rejects when the job is killed first.
+  const untilAttached = () => new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    waiting.push(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    });
+  });
+
+  const live = {
+    signal,
+    sleep: (milliseconds) => shell.sleep(milliseconds, signal),
+    readKey: (options = {}) => shell.readKey({ ...options, signal }),
+    input: (message) => shell.input(message, signal),
+    password: (message) => shell.password(message, signal),
+    confirm: (message) => shell.confirm(message, signal)
+  };
+
+  const detached = {
+    ...live,
+    readKey: (options = {}) => (options.timeout > 0
+      ? shell.sleep(options.timeout, signal).then(() => null)
+      : untilAttached().then(() => live.readKey(options))),
+    input: (message) => untilAttached().then(() => live.input(message)),
+    password: (message) => untilAttached().then(() => live.password(message)),
+    confirm: (message) => untilAttached().then(() => live.confirm(message)),
+    type: async (message) => {
+      detached.write(escapeHtml(message));
+    },
+    clear: () => {
+      // The output since the last screen change.
+      const lastScreen = kept.findLastIndex(([method]) => SCREEN_METHODS.includes(method));
+      kept.splice(lastScreen + 1);
+      printed = kept.filter(([method]) => OUTPUT_METHODS.includes(method)).length;
+      return proxy;
+    },
+    enterRawMode: () => () => {}
+  };
+  for (const method of OUTPUT_METHODS) {
+    detached[method] = (...args) => {
+      kept.push([method, args]);
+      printed += 1;
+      if (printed > limit) {
+        kept.splice(kept.findIndex(([name]) => OUTPUT_METHODS.includes(name)), 1);
+        printed -= 1;
+      }
+      return proxy;
+    };
+  }
+  for (const method of SCREEN_METHODS) {
+    detached[method] = (...args) => {
+      kept.push([method, args]);
+      return proxy;
+    };
+  }
+  for (const method of PROMPT_METHODS) {
+    detached[method] = () => proxy;
+  }
+
+  proxy = new Proxy(shell, {
+    get(target, prop) {
+      const overrides = attached ? live : detached;
+      if (Object.prototype.hasOwnProperty.call(overrides, prop)) {
+        return overrides[prop];
+      }
+      const value = Reflect.get(target, prop);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+
+  return {
+    shell: proxy,
+    attach() {
+      if (attached) return;
+      attached = true;
+      for (const [method, args] of kept.splice(0)) {
+        shell[method](...args);
+      }
+      const resume = waiting;
+      waiting = [];
+      resume.forEach((fn) => fn());
+    }
+  };
+}